@@ -0,0 +1,116 @@
+const express = require("express");
+const cors = require("cors");
+
+// Import routes
+const authRoutes = require("./routes/auth");
+const kidRoutes = require("./routes/kids");
+const activityRoutes = require("./routes/activities");
+const meRoutes = require("./routes/me");
+const familyRoutes = require("./routes/family");
+const securityRoutes = require("./routes/security");
+const auditRoutes = require("./routes/audit");
+const rewardRoutes = require("./routes/rewards");
+const redemptionRoutes = require("./routes/redemptions");
+const activityCatalogRoutes = require("./routes/activityCatalog");
+const challengeRoutes = require("./routes/challenges");
+const photoRoutes = require("./routes/photos");
+const avatarRoutes = require("./routes/avatars");
+const eventRoutes = require("./routes/events");
+const deviceRoutes = require("./routes/devices");
+const reportRoutes = require("./routes/reports");
+const placeRoutes = require("./routes/places");
+const checkInRoutes = require("./routes/checkins");
+const docsRoutes = require("./routes/docs");
+const requestLogger = require("./middleware/requestLogger");
+const locale = require("./middleware/locale");
+const { notFound, errorHandler } = require("./middleware/errorHandler");
+
+// Initialize Express app
+// The app is exported without connecting to the database or listening, so
+// tests can import it; src/server.js starts it
+const app = express();
+
+// Trust X-Forwarded-For from a reverse proxy so rate limits see the client IP
+// e.g. TRUST_PROXY=1 for a single Nginx hop
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Middleware
+// Request ID and access log first, so every response carries an X-Request-Id
+app.use(requestLogger);
+
+app.use(
+  cors({
+    origin: process.env.CORS_ORIGIN || "*",
+    credentials: true,
+    exposedHeaders: ["X-Request-Id"],
+  })
+);
+
+// Message language, before the body parsers so their errors are localized too
+app.use(locale);
+
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// API Routes
+// Listed once so the OpenAPI document (GET /api/docs/openapi.json) can be
+// generated from the same routers
+const apiRoutes = [
+  ["/api/auth", authRoutes],
+  ["/api/kids", kidRoutes],
+  ["/api/activities", activityRoutes],
+  ["/api/me", meRoutes],
+  ["/api/family", familyRoutes],
+  ["/api/security", securityRoutes],
+  ["/api/audit", auditRoutes],
+  ["/api/rewards", rewardRoutes],
+  ["/api/redemptions", redemptionRoutes],
+  ["/api/activity-catalog", activityCatalogRoutes],
+  ["/api/challenges", challengeRoutes],
+  ["/api/photos", photoRoutes],
+  ["/api/avatars", avatarRoutes],
+  ["/api/events", eventRoutes],
+  ["/api/devices", deviceRoutes],
+  ["/api/reports", reportRoutes],
+  ["/api/places", placeRoutes],
+  ["/api/checkins", checkInRoutes],
+];
+
+for (const [path, router] of apiRoutes) {
+  app.use(path, router);
+}
+app.locals.apiRoutes = apiRoutes;
+
+app.use("/api/docs", docsRoutes);
+
+// Health check route
+app.get("/health", (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: "Server is running",
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Root route
+app.get("/", (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: "Touch Grass API - Authentication Service",
+    version: "1.0.0",
+    health: "/health",
+    docs: "/api/docs",
+    openapi: "/api/docs/openapi.json",
+  });
+});
+
+// 404 handler
+app.use(notFound);
+
+// Error handler, every error response goes through here
+app.use(errorHandler);
+
+module.exports = app;
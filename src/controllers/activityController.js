@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const ActivitySession = require('../models/ActivitySession');
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const ActivityIdea = require('../models/ActivityIdea');
+const { syncActivityPoints } = require('../services/points');
+const { syncActivityScreenTime } = require('../services/screenTime');
+const { removePhotos } = require('../services/photos');
+const { publish } = require('../services/events');
+const { BadRequestError, NotFoundError, ConflictError } = require('../errors');
+
+/**
+ * Build the ownership filter for a session based on the caller's role
+ * Parents may access sessions of kids in families they manage, kids only
+ * their own sessions
+ * @param {Object} req - Express request
+ * @param {string} sessionId - ActivitySession ID
+ * @returns {Promise<Object|null>} Mongo filter, or null if the kid has no profile
+ */
+const sessionFilterFor = async (req, sessionId) => {
+  if (req.user.role === 'parent') {
+    const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+    return { _id: sessionId, parent: { $in: parentIds } };
+  }
+
+  const kid = await Kid.findForUser(req.user);
+  if (!kid) return null;
+
+  return { _id: sessionId, kid: kid._id };
+};
+
+/**
+ * Resolve the kid a new session is logged for
+ * Parents pass kidId in the body, kids always log for themselves
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Kid document
+ */
+const resolveKid = async (req) => {
+  if (req.user.role === 'parent') {
+    if (!req.body.kidId) return null;
+
+    const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+    return Kid.findOne({ _id: req.body.kidId, parent: { $in: parentIds } });
+  }
+
+  return Kid.findForUser(req.user);
+};
+
+/**
+ * Publish an activity event to the family feed
+ * @param {string} type - activity.started or activity.completed
+ * @param {Object} session - ActivitySession document
+ * @param {Object} req - Express request
+ */
+const publishActivityEvent = (type, session, req) => {
+  return publish({
+    type,
+    parent: session.parent,
+    kid: session.kid,
+    actor: req.user._id,
+    data: {
+      activityId: session._id,
+      type: session.type,
+      startedAt: session.startedAt,
+      durationMinutes: session.durationMinutes
+    }
+  });
+};
+
+/**
+ * Look up the catalog activity a session is started from
+ * @param {string} [activityIdeaId] - ActivityIdea ID from the request body
+ * @returns {Promise<Object|null|undefined>} Idea, null if not in the catalog, undefined if none given
+ */
+const findActivityIdea = async (activityIdeaId) => {
+  if (!activityIdeaId) return undefined;
+  if (!mongoose.isValidObjectId(activityIdeaId)) return null;
+
+  return ActivityIdea.findOne({ _id: activityIdeaId, active: true });
+};
+
+/**
+ * Start a new outdoor activity session
+ * @route POST /api/activities/start
+ * @access Private (Kid - own profile, Parent - family owner or co-parent)
+ */
+exports.startActivity = async (req, res) => {
+  const { type, notes, activityIdeaId } = req.body;
+
+  const kid = await resolveKid(req);
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  const idea = await findActivityIdea(activityIdeaId);
+  if (idea === null) {
+    throw new NotFoundError('CATALOG_ACTIVITY_NOT_FOUND', 'Activity not found in catalog');
+  }
+
+  // Only one running session per kid
+  const running = await ActivitySession.findOne({ kid: kid._id, status: 'active' });
+  if (running) {
+    throw new ConflictError('ACTIVITY_IN_PROGRESS', 'An activity is already in progress for this kid', {
+      data: running
+    });
+  }
+
+  const session = await ActivitySession.create({
+    kid: kid._id,
+    parent: kid.parent,
+    loggedBy: req.user._id,
+    // Sessions started from the catalog default to its activity type
+    type: type || (idea && idea.activityType),
+    notes,
+    activityIdea: idea && idea._id
+  });
+
+  await publishActivityEvent('activity.started', session, req);
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Activity started'),
+    data: session
+  });
+};
+
+/**
+ * Stop a running outdoor activity session
+ * @route POST /api/activities/:id/stop
+ * @access Private (Kid - own sessions, Parent - family owner or co-parent)
+ */
+exports.stopActivity = async (req, res) => {
+  const filter = await sessionFilterFor(req, req.params.id);
+  const session = filter ? await ActivitySession.findOne(filter) : null;
+
+  if (!session) {
+    throw new NotFoundError('ACTIVITY_NOT_FOUND', 'Activity not found');
+  }
+
+  if (session.status !== 'active') {
+    throw new BadRequestError('ACTIVITY_ALREADY_STOPPED', 'Activity has already been stopped');
+  }
+
+  if (req.body.notes !== undefined) session.notes = req.body.notes;
+  session.endedAt = new Date();
+  session.status = 'completed';
+  session.calculateDuration();
+
+  await session.save();
+  await syncActivityPoints(session, { actor: req.user._id });
+  await syncActivityScreenTime(session, { actor: req.user._id });
+  await publishActivityEvent('activity.completed', session, req);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Activity stopped'),
+    data: session
+  });
+};
+
+/**
+ * Log a completed outdoor activity after the fact
+ * @route POST /api/activities
+ * @access Private (Kid - own profile, Parent - family owner or co-parent)
+ */
+exports.logActivity = async (req, res) => {
+  const { type, notes, startedAt, endedAt, durationMinutes, activityIdeaId } = req.body;
+
+  if (!startedAt || (!endedAt && durationMinutes === undefined)) {
+    throw new BadRequestError('ACTIVITY_DURATION_REQUIRED',
+      'Please provide startedAt and either endedAt or durationMinutes');
+  }
+
+  const kid = await resolveKid(req);
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  const idea = await findActivityIdea(activityIdeaId);
+  if (idea === null) {
+    throw new NotFoundError('CATALOG_ACTIVITY_NOT_FOUND', 'Activity not found in catalog');
+  }
+
+  const start = new Date(startedAt);
+  const end = endedAt
+    ? new Date(endedAt)
+    : new Date(start.getTime() + Number(durationMinutes) * 60000);
+
+  if (end > new Date()) {
+    throw new BadRequestError('ACTIVITY_ENDS_IN_FUTURE', 'Cannot log an activity that ends in the future');
+  }
+
+  const session = new ActivitySession({
+    kid: kid._id,
+    parent: kid.parent,
+    loggedBy: req.user._id,
+    // Sessions started from the catalog default to its activity type
+    type: type || (idea && idea.activityType),
+    notes,
+    activityIdea: idea && idea._id,
+    status: 'completed',
+    startedAt: start,
+    endedAt: end
+  });
+  session.calculateDuration();
+
+  await session.save();
+  await syncActivityPoints(session, { actor: req.user._id });
+  await syncActivityScreenTime(session, { actor: req.user._id });
+  await publishActivityEvent('activity.completed', session, req);
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Activity logged successfully'),
+    data: session
+  });
+};
+
+/**
+ * Get activity sessions visible to the logged-in user
+ * Kids get their own sessions, parents get sessions of every kid in their families
+ * @route GET /api/activities
+ * @access Private (Kid, Parent)
+ */
+exports.getActivities = async (req, res) => {
+  let filter;
+
+  if (req.user.role === 'parent') {
+    filter = { parent: { $in: await Family.accessibleOwnerIds(req.user, 'read') } };
+  } else {
+    const kid = await Kid.findForUser(req.user);
+
+    if (!kid) {
+      throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+    }
+
+    filter = { kid: kid._id };
+  }
+
+  const sessions = await ActivitySession.find(filter).sort({ startedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions
+  });
+};
+
+/**
+ * Get all activity sessions for a kid of the parent's families
+ * @route GET /api/kids/:id/activities
+ * @access Private (Parent only - any family member)
+ */
+exports.getKidActivities = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'read');
+  const kid = await Kid.findOne({ _id: req.params.id, parent: { $in: parentIds } });
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  const sessions = await ActivitySession.find({ kid: kid._id }).sort({ startedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions
+  });
+};
+
+/**
+ * Correct an activity session
+ * @route PUT /api/activities/:id
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.updateActivity = async (req, res) => {
+  const { type, notes, startedAt, endedAt, durationMinutes } = req.body;
+
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const session = await ActivitySession.findOne({ _id: req.params.id, parent: { $in: parentIds } });
+
+  if (!session) {
+    throw new NotFoundError('ACTIVITY_NOT_FOUND', 'Activity not found');
+  }
+
+  // Update fields if provided
+  if (type !== undefined) session.type = type;
+  if (notes !== undefined) session.notes = notes;
+  if (startedAt !== undefined) session.startedAt = startedAt;
+  if (endedAt !== undefined) {
+    session.endedAt = endedAt;
+    session.status = 'completed';
+  }
+
+  // An explicit duration wins over the one derived from the timestamps
+  if (durationMinutes !== undefined) {
+    session.durationMinutes = durationMinutes;
+  } else if (startedAt !== undefined || endedAt !== undefined) {
+    session.calculateDuration();
+  }
+
+  await session.save();
+  await syncActivityPoints(session, { actor: req.user._id });
+  await syncActivityScreenTime(session, { actor: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Activity updated successfully'),
+    data: session
+  });
+};
+
+/**
+ * Delete an activity session
+ * @route DELETE /api/activities/:id
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.deleteActivity = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const session = await ActivitySession.findOneAndDelete({ _id: req.params.id, parent: { $in: parentIds } });
+
+  if (!session) {
+    throw new NotFoundError('ACTIVITY_NOT_FOUND', 'Activity not found');
+  }
+
+  // Take back the points and screen time the session earned
+  await syncActivityPoints(session, { actor: req.user._id, deleted: true });
+  await syncActivityScreenTime(session, { actor: req.user._id, deleted: true });
+  await removePhotos({ activity: session._id });
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Activity deleted successfully')
+  });
+};
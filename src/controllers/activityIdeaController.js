@@ -0,0 +1,92 @@
+const ActivityIdea = require('../models/ActivityIdea');
+const { NotFoundError, ConflictError } = require('../errors');
+
+/**
+ * Get the activity catalog
+ * Admins may include retired activities with ?includeInactive=true
+ * @route GET /api/activity-catalog
+ * @access Private
+ */
+exports.getActivityIdeas = async (req, res) => {
+  const filter = {};
+  if (!(req.user.role === 'admin' && req.query.includeInactive === 'true')) {
+    filter.active = true;
+  }
+  if (req.query.interest) {
+    filter.interests = req.query.interest.toLowerCase().trim();
+  }
+
+  const ideas = await ActivityIdea.find(filter).sort({ title: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: ideas.length,
+    data: ideas
+  });
+};
+
+/**
+ * Add an activity to the catalog
+ * @route POST /api/activity-catalog
+ * @access Private (Admin only)
+ */
+exports.createActivityIdea = async (req, res) => {
+  const idea = await ActivityIdea.create(req.body).catch((error) => {
+    if (error.code === 11000) {
+      throw new ConflictError('CATALOG_SLUG_TAKEN', 'An activity with this slug already exists');
+    }
+    throw error;
+  });
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Activity added to catalog'),
+    data: idea
+  });
+};
+
+/**
+ * Update a catalog activity
+ * @route PUT /api/activity-catalog/:id
+ * @access Private (Admin only)
+ */
+exports.updateActivityIdea = async (req, res) => {
+  const idea = await ActivityIdea.findById(req.params.id);
+
+  if (!idea) {
+    throw new NotFoundError('CATALOG_ACTIVITY_NOT_FOUND', 'Activity not found');
+  }
+
+  const fields = ['title', 'description', 'interests', 'minAge', 'maxAge',
+    'setting', 'durationMinutes', 'seasons', 'activityType', 'active'];
+  for (const field of fields) {
+    if (req.body[field] !== undefined) idea[field] = req.body[field];
+  }
+
+  await idea.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Activity updated successfully'),
+    data: idea
+  });
+};
+
+/**
+ * Retire a catalog activity
+ * Kept so sessions started from it still reference it
+ * @route DELETE /api/activity-catalog/:id
+ * @access Private (Admin only)
+ */
+exports.deleteActivityIdea = async (req, res) => {
+  const idea = await ActivityIdea.findByIdAndUpdate(req.params.id, { active: false });
+
+  if (!idea) {
+    throw new NotFoundError('CATALOG_ACTIVITY_NOT_FOUND', 'Activity not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Activity removed from catalog')
+  });
+};
@@ -0,0 +1,32 @@
+const AuditLog = require('../models/AuditLog');
+const Family = require('../models/Family');
+
+/**
+ * Get the audit trail of the parent's families, newest first
+ * Covers the parents' and kids' logins, kid profile changes, family code use
+ * and password changes
+ * @route GET /api/audit
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.getAuditLog = async (req, res) => {
+  const { action, kidId, userId, before } = req.query;
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+  const filter = { familyOwners: { $in: parentIds } };
+  if (action) filter.action = action;
+  if (kidId) filter.kid = kidId;
+  if (userId) filter.actor = userId;
+  if (before) filter.createdAt = { $lt: new Date(before) };
+
+  const entries = await AuditLog.find(filter)
+    .populate('actor', 'email name role')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries
+  });
+};
@@ -1,187 +1,268 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Kid = require('../models/Kid');
+const RefreshToken = require('../models/RefreshToken');
+const JoinRequest = require('../models/JoinRequest');
+const AuditLog = require('../models/AuditLog');
+const SecurityEvent = require('../models/SecurityEvent');
+const rateLimitStore = require('../services/rateLimit');
+const audit = require('../services/audit');
+const { sendMail } = require('../services/mailer');
+const templates = require('../services/mailer/templates');
+const { avatarFor } = require('../services/avatars');
+const { negotiateLocale } = require('../services/i18n');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+} = require('../errors');
 
 /**
- * Generate JWT token
+ * Generate short-lived JWT access token
  * @param {string} id - User ID
  * @param {string} role - User role
+ * @param {number} tokenVersion - User token version, checked by auth middleware
  * @returns {string} JWT token
  */
-const generateToken = (id, role) => {
+const generateToken = (id, role, tokenVersion = 0) => {
   return jwt.sign(
-    { id, role },
+    { id, role, tv: tokenVersion },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {Object} user - User document
+ * @param {string} [family] - Refresh token family when rotating
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+const issueTokens = async (user, family) => {
+  const { token: refreshToken } = await RefreshToken.issue(user._id, family);
+
+  return {
+    token: generateToken(user._id, user.role, user.tokenVersion),
+    refreshToken
+  };
+};
+
+// Invalid family codes allowed per IP before signups are refused
+const FAMILY_CODE_MAX_FAILURES = 10;
+const FAMILY_CODE_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Record a failed password check, locking the account after repeated failures
+ * Every lock is stored as a security event visible to the family's parent
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<Date|null>} Lock expiry if the account is now locked
+ */
+const handleFailedPassword = async (user, req) => {
+  const lockedUntil = await user.registerFailedLogin();
+
+  if (lockedUntil) {
+    await SecurityEvent.create({
+      type: 'account_locked',
+      user: user._id,
+      familyOwner: user.role === 'kid' ? user.parent : user._id,
+      ip: req.ip,
+      failedAttempts: user.failedLoginAttempts,
+      lockedUntil
+    });
+  }
+
+  return lockedUntil;
+};
+
+/**
+ * Record a refused login in the audit log
+ * @param {Object} req - Express request
+ * @param {Object|null} user - Account the login was for, null if none matched
+ * @param {string} reason - e.g. 'wrong_password'
+ * @returns {Promise<Object|null>} Stored entry
+ */
+const auditLoginFailure = (req, user, reason) => audit.record(req, 'login_failed', {
+  actor: user,
+  // The actor identifies a matched account; an unknown email is kept only hashed
+  details: user ? { reason } : { reason, emailHash: AuditLog.hashEmail(req.body.email) }
+});
+
 /**
  * @desc    Register a new user
  * @route   POST /api/auth/signup
  * @access  Public
  */
 const signup = async (req, res) => {
-  try {
-    const { email, password, role, familyCode, name, age } = req.body;
-
-    // Validate required fields
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and password'
-      });
-    }
+  const { email, password, role, familyCode, name, age, locale } = req.body;
 
-    // Validate password length
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters long'
-      });
-    }
+  // Answer in the language the account is created with
+  if (locale) {
+    req.setLocale(locale);
+  }
 
-    // Validate role if provided
-    if (role && !['parent', 'kid'].includes(role)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Role must be either "parent" or "kid"'
-      });
-    }
+  // Check if user already exists
+  const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
+  if (existingUser) {
+    throw new ConflictError('AUTH_EMAIL_TAKEN', 'User with this email already exists');
+  }
 
-    // If signing up as a kid, validate required fields
-    if (role === 'kid') {
-      if (!familyCode) {
-        return res.status(400).json({
-          success: false,
-          message: 'Family code is required for kid signup'
-        });
-      }
+  let parentUser = null;
+  let userFamilyCode = null;
+
+  // Handle role-specific logic
+  if (role === 'kid') {
+    // Family codes are short enough to guess, so cap wrong guesses per IP
+    const familyCodeKey = `familycode:${req.ip}`;
+    const failures = await rateLimitStore.getStore().get(familyCodeKey);
+    if (failures && failures.count >= FAMILY_CODE_MAX_FAILURES) {
+      throw new TooManyRequestsError('FAMILY_CODE_TOO_MANY_ATTEMPTS',
+        'Too many invalid family codes. Please try again later.', failures.resetAt);
+    }
 
-      if (!name) {
-        return res.status(400).json({
-          success: false,
-          message: 'Name is required for kid signup'
-        });
-      }
+    // Find parent by family code
+    parentUser = await User.findOne({ familyCode: familyCode.toUpperCase(), role: 'parent' });
+    if (!parentUser) {
+      await rateLimitStore.getStore().increment(familyCodeKey, FAMILY_CODE_WINDOW_MS);
+      throw new BadRequestError('FAMILY_CODE_INVALID', 'Invalid family code. Please check with your parent.');
+    }
 
-      if (!age) {
-        return res.status(400).json({
-          success: false,
-          message: 'Age is required for kid signup'
-        });
-      }
+    // Family codes can't be used until the parent has verified their email
+    if (!parentUser.emailVerified) {
+      throw new ForbiddenError('FAMILY_NOT_VERIFIED',
+        'This family is not accepting new members yet. Ask your parent to verify their email.');
     }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        message: 'User with this email already exists'
-      });
+    // Claim one use of the code atomically so maxUses can't be exceeded
+    const usesFilter = parentUser.familyCodeSettings.maxUses
+      ? { 'familyCodeSettings.uses': { $lt: parentUser.familyCodeSettings.maxUses } }
+      : {};
+    const claimed = parentUser.isFamilyCodeUsable() && await User.findOneAndUpdate(
+      { _id: parentUser._id, familyCode: parentUser.familyCode, ...usesFilter },
+      { $inc: { 'familyCodeSettings.uses': 1 } }
+    );
+
+    if (!claimed) {
+      throw new BadRequestError('FAMILY_CODE_EXPIRED',
+        'This family code has expired or reached its usage limit. Ask your parent for a new one.');
     }
+  } else {
+    // Generate unique family code for parent
+    userFamilyCode = await User.generateUniqueFamilyCode();
+  }
 
-    let parentUser = null;
-    let userFamilyCode = null;
+  // Create new user
+  const user = new User({
+    email: email.toLowerCase().trim(),
+    password,
+    role: role || 'parent',
+    // Parents get their own code, kids get their parent's code
+    familyCode: role === 'kid' ? parentUser.familyCode : userFamilyCode,
+    parent: parentUser ? parentUser._id : undefined,
+    name: role === 'kid' ? name : undefined,
+    locale,
+    // Kid can't log in until the parent approves the join request
+    pendingApproval: role === 'kid' && parentUser.familyCodeSettings.requireApproval
+  });
+
+  // Parents must verify their email before adding kids or sharing the code
+  const verificationToken = user.role === 'parent'
+    ? user.createEmailVerificationToken()
+    : null;
 
-    // Handle role-specific logic
+  try {
+    await user.save();
+  } catch (error) {
+    // The account was never created, so give the family code use back
     if (role === 'kid') {
-      // Find parent by family code
-      parentUser = await User.findOne({ familyCode: familyCode.toUpperCase() });
-      if (!parentUser) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid family code. Please check with your parent.'
-        });
-      }
-    } else {
-      // Generate unique family code for parent
-      let isUnique = false;
-      while (!isUnique) {
-        userFamilyCode = User.generateFamilyCode();
-        const existing = await User.findOne({ familyCode: userFamilyCode });
-        if (!existing) isUnique = true;
-      }
+      await User.updateOne(
+        { _id: parentUser._id, familyCode: parentUser.familyCode, 'familyCodeSettings.uses': { $gt: 0 } },
+        { $inc: { 'familyCodeSettings.uses': -1 } }
+      );
     }
+    throw error;
+  }
 
-    // Create new user
-    const user = await User.create({
-      email: email.toLowerCase().trim(),
-      password,
-      role: role || 'parent',
-      // Parents get their own code, kids get their parent's code
-      familyCode: role === 'kid' ? parentUser.familyCode : userFamilyCode,
-      parent: parentUser ? parentUser._id : undefined,
-      name: role === 'kid' ? name : undefined
+  if (role === 'kid') {
+    await audit.record(req, 'family_code_used', {
+      actor: user,
+      familyOwner: parentUser._id,
+      details: { pendingApproval: user.pendingApproval }
     });
+  }
 
-    // If kid signup, also create Kid document and link to parent
-    let kidDoc = null;
-    if (role === 'kid' && parentUser) {
-      // Create Kid document
-      kidDoc = await Kid.create({
-        name,
-        age,
-        parent: parentUser._id
-      });
-
-      // Add kid to parent's kids array
-      await User.findByIdAndUpdate(
-        parentUser._id,
-        { $push: { kids: kidDoc._id } },
-        { new: true }
-      );
-    }
-
-    // Generate token
-    const token = generateToken(user._id, user.role);
+  if (verificationToken) {
+    // The parent can request a new link if this one never arrives
+    await sendMail({ to: user.email, ...templates.emailVerification(verificationToken, user.locale || req.locale) })
+      .catch(mailError => req.log.error('Verification email error', { error: mailError }));
+  }
 
-    // Build response data
-    const responseData = {
-      id: user._id,
+  // Approval required: park the signup as a join request, no tokens yet
+  if (user.pendingApproval) {
+    const joinRequest = await JoinRequest.create({
+      parent: parentUser._id,
+      user: user._id,
       email: user.email,
-      role: user.role,
-      createdAt: user.createdAt
-    };
-
-    // Include family code for parents
-    if (user.role === 'parent') {
-      responseData.familyCode = user.familyCode;
-    }
-
-    // Include name and parent info for kids
-    if (user.role === 'kid') {
-      responseData.name = user.name;
-      responseData.parentId = user.parent;
-      responseData.kidId = kidDoc ? kidDoc._id : undefined;
-      responseData.age = age;
-    }
+      name,
+      age
+    });
 
-    // Return response
-    res.status(201).json({
+    return res.status(202).json({
       success: true,
-      message: 'User created successfully',
-      token,
-      data: responseData
+      message: req.t('Join request sent. You can log in once your parent approves it.'),
+      data: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        name: user.name,
+        joinRequestId: joinRequest._id,
+        status: joinRequest.status
+      }
     });
-  } catch (error) {
-    console.error('Signup error:', error);
-
-    // Handle mongoose validation errors
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: messages.join(', ')
-      });
-    }
+  }
 
-    res.status(500).json({
-      success: false,
-      message: 'Error creating user'
-    });
+  // If kid signup, also create Kid document and link to parent
+  let kidDoc = null;
+  if (role === 'kid' && parentUser) {
+    kidDoc = await Kid.createForUser(user, { name, age });
   }
+
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user);
+
+  // Build response data
+  const responseData = {
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    createdAt: user.createdAt
+  };
+
+  // Include verification state for parents, the family code is only
+  // shared once the email is verified
+  if (user.role === 'parent') {
+    responseData.emailVerified = user.emailVerified;
+  }
+
+  // Include name and parent info for kids
+  if (user.role === 'kid') {
+    responseData.name = user.name;
+    responseData.parentId = user.parent;
+    responseData.kidId = kidDoc ? kidDoc._id : undefined;
+    responseData.age = age;
+  }
+
+  // Return response
+  res.status(201).json({
+    success: true,
+    message: req.t('User created successfully'),
+    token,
+    refreshToken,
+    data: responseData
+  });
 };
 
 /**
@@ -190,61 +271,68 @@ const signup = async (req, res) => {
  * @access  Public
  */
 const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validate required fields
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and password'
-      });
-    }
+  const { email, password } = req.body;
 
-    // Find user by email and explicitly select password field
-    const user = await User.findOne({
-      email: email.toLowerCase().trim()
-    }).select('+password');
+  // Find user by email and explicitly select password and lockout fields
+  const user = await User.findOne({
+    email: email.toLowerCase().trim()
+  }).select('+password +failedLoginAttempts +lockUntil');
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
+  if (!user) {
+    await auditLoginFailure(req, null, 'unknown_email');
+    throw new UnauthorizedError('AUTH_INVALID_CREDENTIALS', 'Invalid email or password');
+  }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
+  if (user.isLocked()) {
+    await auditLoginFailure(req, user, 'account_locked');
+    throw new TooManyRequestsError('AUTH_ACCOUNT_LOCKED',
+      'Too many failed login attempts. Please try again later.', user.lockUntil);
+  }
 
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+  // Check password
+  const isPasswordValid = await user.comparePassword(password);
+
+  if (!isPasswordValid) {
+    const lockedUntil = await handleFailedPassword(user, req);
+    await auditLoginFailure(req, user, 'wrong_password');
+
+    if (lockedUntil) {
+      throw new TooManyRequestsError('AUTH_ACCOUNT_LOCKED',
+        'Too many failed login attempts. Please try again later.', lockedUntil);
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    throw new UnauthorizedError('AUTH_INVALID_CREDENTIALS', 'Invalid email or password');
+  }
 
-    // Return response
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      token,
-      data: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        createdAt: user.createdAt
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error logging in'
-    });
+  await user.resetFailedLogins();
+
+  if (user.disabled) {
+    await auditLoginFailure(req, user, 'account_disabled');
+    throw new ForbiddenError('ACCOUNT_DISABLED', 'This account has been disabled');
   }
+
+  if (user.pendingApproval) {
+    await auditLoginFailure(req, user, 'pending_approval');
+    throw new ForbiddenError('ACCOUNT_PENDING_APPROVAL', 'Your parent has not approved your account yet');
+  }
+
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user);
+  await audit.record(req, 'login_succeeded', { actor: user });
+
+  // Return response
+  res.status(200).json({
+    success: true,
+    message: req.t('Login successful'),
+    token,
+    refreshToken,
+    data: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      createdAt: user.createdAt
+    }
+  });
 };
 
 /**
@@ -253,74 +341,362 @@ const login = async (req, res) => {
  * @access  Private
  */
 const getCurrentUser = async (req, res) => {
-  try {
-    // User is already attached to req by auth middleware
-    const user = await User.findById(req.user._id).select('-password');
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+  // User is already attached to req by auth middleware
+  const user = await User.findById(req.user._id)
+    .select('-password')
+    .populate('kidProfile');
 
-    // Build response data
-    const responseData = {
-      id: user._id,
-      email: user.email,
-      role: user.role,
-      createdAt: user.createdAt
-    };
+  if (!user) {
+    throw new NotFoundError('USER_NOT_FOUND', 'User not found');
+  }
 
-    // Include role-specific data
-    if (user.role === 'parent') {
+  // Build response data
+  const responseData = {
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    createdAt: user.createdAt
+  };
+
+  responseData.locale = user.locale;
+
+  // Include role-specific data
+  if (user.role === 'parent') {
+    responseData.emailVerified = user.emailVerified;
+    if (user.emailVerified) {
       responseData.familyCode = user.familyCode;
-      responseData.kids = user.kids;
-    } else if (user.role === 'kid') {
-      responseData.name = user.name;
-      responseData.parent = user.parent;
     }
+    responseData.kids = user.kids;
+  } else if (user.role === 'kid') {
+    responseData.name = user.name;
+    responseData.parent = user.parent;
+    if (user.kidProfile) {
+      responseData.kidId = user.kidProfile._id;
+      responseData.age = user.kidProfile.age;
+      responseData.interests = user.kidProfile.interests;
+      responseData.avatar = avatarFor(user.kidProfile);
+    }
+  }
 
-    res.status(200).json({
-      success: true,
-      data: responseData
-    });
-  } catch (error) {
-    console.error('Get current user error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching user data'
-    });
+  res.status(200).json({
+    success: true,
+    data: responseData
+  });
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires refresh token)
+ */
+const refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const tokenHash = RefreshToken.hashToken(refreshToken);
+  const stored = await RefreshToken.findOne({ tokenHash });
+
+  if (!stored) {
+    throw new UnauthorizedError('AUTH_REFRESH_TOKEN_INVALID', 'Invalid refresh token');
+  }
+
+  // A revoked token being presented again means it was stolen or replayed:
+  // kill the whole family so neither party can keep using it
+  if (stored.revokedAt) {
+    await RefreshToken.revokeFamily(stored.family);
+    throw new UnauthorizedError('AUTH_REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked');
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw new UnauthorizedError('AUTH_REFRESH_TOKEN_EXPIRED', 'Refresh token has expired');
+  }
+
+  const user = await User.findById(stored.user);
+
+  if (!user) {
+    throw new UnauthorizedError('AUTH_USER_NOT_FOUND', 'User not found');
   }
+
+  // Revoke atomically so two concurrent refreshes cannot both succeed
+  const consumed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  if (!consumed) {
+    await RefreshToken.revokeFamily(stored.family);
+    throw new UnauthorizedError('AUTH_REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked');
+  }
+
+  const tokens = await issueTokens(user, stored.family);
+
+  await RefreshToken.updateOne(
+    { _id: stored._id },
+    { replacedBy: RefreshToken.hashToken(tokens.refreshToken) }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Token refreshed'),
+    token: tokens.token,
+    refreshToken: tokens.refreshToken
+  });
 };
 
 /**
- * @desc    Logout user
+ * @desc    Logout user by revoking the session's refresh token family
  * @route   POST /api/auth/logout
- * @access  Public
+ * @access  Public (requires refresh token)
  */
 const logout = async (req, res) => {
-  try {
-    // In a stateless JWT setup, logout is handled client-side
-    // The client should remove the token from storage
-    // Optionally, you could implement token blacklisting here
+  const { refreshToken } = req.body;
 
-    res.status(200).json({
-      success: true,
-      message: 'Logout successful. Please remove the token from client storage.'
-    });
-  } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error logging out'
-    });
+  const stored = await RefreshToken.findOne({
+    tokenHash: RefreshToken.hashToken(refreshToken)
+  });
+
+  // Revoke the whole family so rotated descendants die with it
+  if (stored) {
+    await RefreshToken.revokeFamily(stored.family);
   }
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Logout successful')
+  });
+};
+
+/**
+ * @desc    Logout from all devices, revoking every access and refresh token
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = async (req, res) => {
+  await req.user.revokeAllTokens();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Logged out from all devices')
+  });
+};
+
+/**
+ * @desc    Email a single-use password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+  // Only send mail if the account exists, but never reveal whether it does
+  if (user) {
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    try {
+      await sendMail({ to: user.email, ...templates.passwordReset(resetToken, user.locale || req.locale) });
+    } catch (mailError) {
+      // Don't leave a usable token behind if the email never went out
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+      throw mailError;
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: req.t('If an account exists for this email, a reset link has been sent')
+  });
+};
+
+/**
+ * @desc    Set a new password using a reset token
+ * @route   POST /api/auth/reset-password
+ * @access  Public (requires reset token)
+ */
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  const user = await User.findOne({
+    passwordResetToken: User.hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+
+  if (!user) {
+    throw new BadRequestError('AUTH_RESET_TOKEN_INVALID', 'Reset token is invalid or has expired');
+  }
+
+  // Token is single-use, and proving email ownership lifts any lockout
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.failedLoginAttempts = 0;
+  user.lockUntil = undefined;
+  await user.save();
+
+  // Sign out every existing session
+  await user.revokeAllTokens();
+  await audit.record(req, 'password_changed', { actor: user, details: { via: 'reset' } });
+
+  await sendMail({ to: user.email, ...templates.passwordChanged(user.locale || req.locale) })
+    .catch(mailError => req.log.error('Password changed email error', { error: mailError }));
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Password has been reset. Please log in with your new password.')
+  });
+};
+
+/**
+ * @desc    Change password of the logged in user
+ * @route   PUT /api/auth/password
+ * @access  Private
+ */
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password +failedLoginAttempts +lockUntil');
+
+  if (!user) {
+    throw new NotFoundError('USER_NOT_FOUND', 'User not found');
+  }
+
+  if (user.isLocked()) {
+    throw new TooManyRequestsError('AUTH_ACCOUNT_LOCKED',
+      'Too many failed password attempts. Please try again later.', user.lockUntil);
+  }
+
+  const isPasswordValid = await user.comparePassword(currentPassword);
+
+  if (!isPasswordValid) {
+    const lockedUntil = await handleFailedPassword(user, req);
+
+    if (lockedUntil) {
+      throw new TooManyRequestsError('AUTH_ACCOUNT_LOCKED',
+        'Too many failed password attempts. Please try again later.', lockedUntil);
+    }
+
+    throw new UnauthorizedError('AUTH_PASSWORD_INCORRECT', 'Current password is incorrect');
+  }
+
+  await user.resetFailedLogins();
+
+  // Pre-save hook hashes the new password
+  user.password = newPassword;
+  await user.save();
+
+  // Sign out every other session, then keep this client logged in
+  await user.revokeAllTokens();
+  const { token, refreshToken } = await issueTokens(user);
+  await audit.record(req, 'password_changed', { actor: user, details: { via: 'change' } });
+
+  await sendMail({ to: user.email, ...templates.passwordChanged(user.locale || req.locale) })
+    .catch(mailError => req.log.error('Password changed email error', { error: mailError }));
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Password changed successfully'),
+    token,
+    refreshToken
+  });
+};
+
+/**
+ * @desc    Verify email address using the emailed token
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public (requires verification token)
+ */
+const verifyEmail = async (req, res) => {
+  const user = await User.findOne({
+    emailVerificationToken: User.hashToken(req.params.token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+
+  if (!user) {
+    throw new BadRequestError('AUTH_VERIFICATION_TOKEN_INVALID',
+      'Verification link is invalid or has expired');
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Email verified successfully'),
+    data: {
+      id: user._id,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      familyCode: user.familyCode
+    }
+  });
+};
+
+/**
+ * @desc    Send a new email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private (Parent only)
+ */
+const resendVerification = async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    throw new NotFoundError('USER_NOT_FOUND', 'User not found');
+  }
+
+  if (user.emailVerified) {
+    throw new BadRequestError('AUTH_EMAIL_ALREADY_VERIFIED', 'Email is already verified');
+  }
+
+  // Issuing a new token invalidates the previous link
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  await sendMail({ to: user.email, ...templates.emailVerification(verificationToken, user.locale || req.locale) });
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Verification email sent')
+  });
+};
+
+/**
+ * @desc    Set the language of API messages for the logged in user
+ *          null goes back to following the Accept-Language header
+ * @route   PUT /api/auth/locale
+ * @access  Private
+ */
+const updateLocale = async (req, res) => {
+  req.user.locale = req.body.locale;
+  await req.user.save();
+
+  // Answer in the language just chosen
+  req.setLocale(req.user.locale || negotiateLocale(req.get('Accept-Language')));
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Language updated'),
+    data: {
+      locale: req.user.locale
+    }
+  });
 };
 
 module.exports = {
   signup,
   login,
   getCurrentUser,
-  logout
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  updateLocale
 };
@@ -0,0 +1,119 @@
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const { getStorage } = require('../services/storage');
+const { presets, removeAvatarImage } = require('../services/avatars');
+const {
+  ALLOWED_TYPES,
+  processAvatar,
+  photoKeys
+} = require('../services/photos');
+const { NotFoundError } = require('../errors');
+
+/**
+ * Get the avatar preset palette
+ * @route GET /api/avatars/presets
+ * @access Public
+ */
+exports.getPresets = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    count: presets.length,
+    data: presets
+  });
+};
+
+/**
+ * Upload a kid's profile image, optionally cropped
+ * Crop fields (cropX, cropY, cropWidth, cropHeight) are pixels of the upright photo
+ * @route PUT /api/kids/:id/avatar (multipart, field "photo")
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.uploadKidAvatar = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const kid = await Kid.findOne({ _id: req.params.id, parent: { $in: parentIds } });
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  const processed = await processAvatar(req.file.buffer, req.file.mimetype, req.body);
+  const { key, thumbnailKey } = photoKeys(kid.parent, ALLOWED_TYPES[processed.contentType]);
+  const storage = getStorage();
+
+  await storage.put(key, processed.full, processed.contentType);
+  await storage.put(thumbnailKey, processed.thumbnail, processed.contentType);
+
+  const previous = { ...kid.get('avatar.image') };
+  kid.avatar.image = {
+    key,
+    thumbnailKey,
+    contentType: processed.contentType,
+    updatedAt: new Date()
+  };
+
+  try {
+    await kid.save();
+  } catch (error) {
+    await removeAvatarImage({ key, thumbnailKey });
+    throw error;
+  }
+
+  await removeAvatarImage(previous);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Profile image updated'),
+    data: kid
+  });
+};
+
+/**
+ * Remove a kid's profile image, falling back to their preset
+ * @route DELETE /api/kids/:id/avatar
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.deleteKidAvatar = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const kid = await Kid.findOne({ _id: req.params.id, parent: { $in: parentIds } });
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  const previous = { ...kid.get('avatar.image') };
+  kid.avatar.image = undefined;
+  await kid.save();
+
+  await removeAvatarImage(previous);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Profile image removed'),
+    data: kid
+  });
+};
+
+/**
+ * Download a kid's profile image (?size=thumbnail for the thumbnail)
+ * @route GET /api/avatars/kids/:id
+ * @access Private (Parent - any family member, Kid - same family)
+ */
+exports.getKidAvatarImage = async (req, res) => {
+  const parentIds = req.user.role === 'parent'
+    ? await Family.accessibleOwnerIds(req.user, 'read')
+    : [req.user.parent];
+  const kid = await Kid.findOne({ _id: req.params.id, parent: { $in: parentIds } });
+  const image = kid && kid.avatar.image;
+
+  if (!image || !image.key) {
+    throw new NotFoundError('AVATAR_NOT_FOUND', 'Profile image not found');
+  }
+
+  const file = await getStorage().get(req.query.size === 'thumbnail' ? image.thumbnailKey : image.key);
+
+  res.set({
+    'Content-Type': image.contentType,
+    'Cache-Control': 'private, max-age=86400'
+  });
+  res.status(200).send(file);
+};
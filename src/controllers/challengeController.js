@@ -0,0 +1,383 @@
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const Photo = require('../models/Photo');
+const PointsTransaction = require('../models/PointsTransaction');
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const { removePhotos } = require('../services/photos');
+const { publish } = require('../services/events');
+const { BadRequestError, NotFoundError, ConflictError } = require('../errors');
+
+/**
+ * Build the ownership filter for a challenge based on the caller's role
+ * Parents may access challenges of kids in their families, kids only their own
+ * @param {Object} req - Express request
+ * @param {string} permission - Family permission parents need
+ * @returns {Promise<Object|null>} Mongo filter, or null if the kid has no profile
+ */
+const challengeFilterFor = async (req, permission = 'read') => {
+  if (req.user.role === 'parent') {
+    const parentIds = await Family.accessibleOwnerIds(req.user, permission);
+    return { parent: { $in: parentIds } };
+  }
+
+  const kid = await Kid.findForUser(req.user);
+  if (!kid) return null;
+
+  return { kid: kid._id };
+};
+
+/**
+ * Publish a challenge event to the family feed
+ * @param {string} type - challenge.* event type
+ * @param {Object} challenge - Challenge document
+ * @param {Object} req - Express request
+ */
+const publishChallengeEvent = (type, challenge, req) => {
+  return publish({
+    type,
+    parent: challenge.parent,
+    kid: challenge.kid,
+    actor: req.user._id,
+    data: {
+      challengeId: challenge._id,
+      title: challenge.title,
+      points: challenge.points,
+      dueAt: challenge.dueAt
+    }
+  });
+};
+
+/**
+ * Validate the proof a kid submits for a challenge
+ * @param {Object} challenge - Challenge document
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Submission
+ * @throws {BadRequestError} If the proof is missing
+ */
+const buildSubmission = async (challenge, { photoId, latitude, longitude, note }) => {
+  const submission = { note, submittedAt: new Date() };
+
+  if (challenge.proofType === 'photo') {
+    // The photo must have been uploaded for this challenge
+    const photo = mongoose.isValidObjectId(photoId)
+      && await Photo.exists({ _id: photoId, challenge: challenge._id });
+
+    if (!photo) {
+      throw new BadRequestError('CHALLENGE_PROOF_REQUIRED', 'This challenge needs a photo as proof');
+    }
+    submission.photo = photo._id;
+  }
+
+  if (challenge.proofType === 'location') {
+    if (latitude === undefined || longitude === undefined) {
+      throw new BadRequestError('CHALLENGE_PROOF_REQUIRED', 'This challenge needs your location as proof');
+    }
+    submission.location = { latitude, longitude };
+  }
+
+  return submission;
+};
+
+/**
+ * Assign a challenge to a kid
+ * @route POST /api/challenges
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.createChallenge = async (req, res) => {
+  const { kidId, title, description, dueAt, points, proofType } = req.body;
+
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const kid = await Kid.findOne({ _id: kidId, parent: { $in: parentIds } });
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  if (dueAt && new Date(dueAt) <= new Date()) {
+    throw new BadRequestError('CHALLENGE_DUE_DATE_PAST', 'Due date must be in the future');
+  }
+
+  const challenge = await Challenge.create({
+    kid: kid._id,
+    parent: kid.parent,
+    assignedBy: req.user._id,
+    title,
+    description,
+    dueAt,
+    points,
+    proofType
+  });
+
+  await publishChallengeEvent('challenge.assigned', challenge, req);
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Challenge assigned'),
+    data: challenge
+  });
+};
+
+/**
+ * Get challenges
+ * Kids see their own, parents every kid's in their families
+ * (optional ?status= and, for parents, ?kidId=)
+ * @route GET /api/challenges
+ * @access Private (Kid, Parent)
+ */
+exports.getChallenges = async (req, res) => {
+  const filter = await challengeFilterFor(req);
+
+  if (!filter) {
+    throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+  }
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.kidId && req.user.role === 'parent') {
+    filter.kid = req.query.kidId;
+  }
+
+  const challenges = await Challenge.find(filter).sort({ dueAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: challenges.length,
+    data: challenges
+  });
+};
+
+/**
+ * Get a single challenge
+ * @route GET /api/challenges/:id
+ * @access Private (Kid - own challenges, Parent - any family member)
+ */
+exports.getChallenge = async (req, res) => {
+  const filter = await challengeFilterFor(req);
+  const challenge = filter && await Challenge.findOne({ _id: req.params.id, ...filter });
+
+  if (!challenge) {
+    throw new NotFoundError('CHALLENGE_NOT_FOUND', 'Challenge not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: challenge
+  });
+};
+
+/**
+ * Update a challenge
+ * Only challenges that haven't been submitted or approved can be changed
+ * @route PUT /api/challenges/:id
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.updateChallenge = async (req, res) => {
+  const { title, description, dueAt, points, proofType } = req.body;
+
+  const filter = await challengeFilterFor(req, 'manage');
+  const challenge = await Challenge.findOne({ _id: req.params.id, ...filter });
+
+  if (!challenge) {
+    throw new NotFoundError('CHALLENGE_NOT_FOUND', 'Challenge not found');
+  }
+
+  if (['submitted', 'approved'].includes(challenge.status)) {
+    throw new ConflictError('CHALLENGE_NOT_EDITABLE',
+      'Cannot change a challenge that is {status}',
+      { params: { status: challenge.status } });
+  }
+
+  if (dueAt !== undefined && new Date(dueAt) <= new Date()) {
+    throw new BadRequestError('CHALLENGE_DUE_DATE_PAST', 'Due date must be in the future');
+  }
+
+  // Update fields if provided
+  if (title !== undefined) challenge.title = title;
+  if (description !== undefined) challenge.description = description;
+  if (dueAt !== undefined) challenge.dueAt = dueAt;
+  if (points !== undefined) challenge.points = points;
+  if (proofType !== undefined) challenge.proofType = proofType;
+
+  await challenge.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Challenge updated successfully'),
+    data: challenge
+  });
+};
+
+/**
+ * Delete a challenge
+ * Approved challenges are kept since their points are in the ledger
+ * @route DELETE /api/challenges/:id
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.deleteChallenge = async (req, res) => {
+  const filter = await challengeFilterFor(req, 'manage');
+  const challenge = await Challenge.findOneAndDelete({
+    _id: req.params.id,
+    ...filter,
+    status: { $ne: 'approved' }
+  });
+
+  if (!challenge) {
+    throw new NotFoundError('CHALLENGE_NOT_FOUND', 'Challenge not found or already approved');
+  }
+
+  await removePhotos({ challenge: challenge._id });
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Challenge deleted successfully')
+  });
+};
+
+/**
+ * Accept an assigned challenge
+ * @route POST /api/challenges/:id/accept
+ * @access Private (Kid only)
+ */
+exports.acceptChallenge = async (req, res) => {
+  const filter = await challengeFilterFor(req);
+
+  const challenge = filter && await Challenge.findOneAndUpdate(
+    { _id: req.params.id, ...filter, status: 'assigned', dueAt: { $gt: new Date() } },
+    { status: 'accepted', acceptedAt: new Date() },
+    { new: true }
+  );
+
+  if (!challenge) {
+    throw new NotFoundError('CHALLENGE_NOT_FOUND', 'Open challenge not found');
+  }
+
+  await publishChallengeEvent('challenge.accepted', challenge, req);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Challenge accepted'),
+    data: challenge
+  });
+};
+
+/**
+ * Submit proof for an accepted (or previously rejected) challenge
+ * Photo proof is uploaded first with POST /api/challenges/:id/photos
+ * @route POST /api/challenges/:id/submit
+ * @access Private (Kid only)
+ */
+exports.submitChallenge = async (req, res) => {
+  const filter = await challengeFilterFor(req);
+  const challenge = filter && await Challenge.findOne({
+    _id: req.params.id,
+    ...filter,
+    status: { $in: ['accepted', 'rejected'] }
+  });
+
+  if (!challenge) {
+    throw new NotFoundError('CHALLENGE_NOT_FOUND', 'Accepted challenge not found');
+  }
+
+  if (challenge.isOverdue()) {
+    throw new BadRequestError('CHALLENGE_PAST_DUE', 'This challenge is past its due date');
+  }
+
+  const submission = await buildSubmission(challenge, req.body || {});
+
+  challenge.submission = submission;
+  challenge.status = 'submitted';
+  challenge.reviewedBy = undefined;
+  challenge.reviewedAt = undefined;
+  challenge.reviewNote = undefined;
+  await challenge.save();
+
+  await publishChallengeEvent('challenge.submitted', challenge, req);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Challenge submitted. Waiting for parent review.'),
+    data: challenge
+  });
+};
+
+/**
+ * Approve a submitted challenge, awarding its points
+ * @route POST /api/challenges/:id/approve
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.approveChallenge = async (req, res) => {
+  const { note } = req.body || {};
+  const filter = await challengeFilterFor(req, 'manage');
+
+  // Claim the challenge first so its points can't be awarded twice
+  const challenge = await Challenge.findOneAndUpdate(
+    { _id: req.params.id, ...filter, status: 'submitted' },
+    {
+      status: 'approved',
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      reviewNote: note
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!challenge) {
+    throw new NotFoundError('CHALLENGE_NOT_FOUND', 'Submitted challenge not found');
+  }
+
+  if (challenge.points > 0) {
+    await PointsTransaction.create({
+      kid: challenge.kid,
+      parent: challenge.parent,
+      amount: challenge.points,
+      type: 'challenge',
+      challenge: challenge._id,
+      note: challenge.title,
+      createdBy: req.user._id
+    });
+  }
+
+  await publishChallengeEvent('challenge.approved', challenge, req);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Challenge approved and {points} points awarded', { points: challenge.points }),
+    data: challenge
+  });
+};
+
+/**
+ * Reject a submitted challenge
+ * The kid can submit again until the due date
+ * @route POST /api/challenges/:id/reject
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.rejectChallenge = async (req, res) => {
+  const { note } = req.body || {};
+  const filter = await challengeFilterFor(req, 'manage');
+
+  const challenge = await Challenge.findOneAndUpdate(
+    { _id: req.params.id, ...filter, status: 'submitted' },
+    {
+      status: 'rejected',
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      reviewNote: note
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!challenge) {
+    throw new NotFoundError('CHALLENGE_NOT_FOUND', 'Submitted challenge not found');
+  }
+
+  await publishChallengeEvent('challenge.rejected', challenge, req);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Challenge rejected'),
+    data: challenge
+  });
+};
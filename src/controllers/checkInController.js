@@ -0,0 +1,147 @@
+const CheckIn = require('../models/CheckIn');
+const ActivitySession = require('../models/ActivitySession');
+const Place = require('../models/Place');
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const { toPosition, findPlacesAt } = require('../services/places');
+const { publish } = require('../services/events');
+const { NotFoundError } = require('../errors');
+
+/**
+ * Round a position to 5 decimals (about 1 meter)
+ * More precision than that is never needed to match a place
+ */
+const roundPosition = position => position.map(value => Math.round(value * 1e5) / 1e5);
+
+/**
+ * Count a check-in toward the session it was made during
+ * @param {Object} session - Active ActivitySession document
+ * @param {Object} checkIn - CheckIn document
+ */
+const recordOnSession = async (session, checkIn) => {
+  const updated = await ActivitySession.findByIdAndUpdate(
+    session._id,
+    {
+      $inc: {
+        'checkIns.total': 1,
+        'checkIns.outdoor': checkIn.outdoor ? 1 : 0,
+        'checkIns.flagged': checkIn.flagged ? 1 : 0
+      }
+    },
+    { new: true }
+  );
+  if (!updated) return;
+
+  const { total, outdoor, flagged } = updated.checkIns;
+  let status = 'unverified';
+  if (flagged) status = 'flagged';
+  else if (total) status = outdoor ? 'verified' : 'indoor';
+
+  await ActivitySession.updateOne({ _id: session._id }, { 'checkIns.status': status });
+};
+
+/**
+ * Check in the logged-in kid's current location
+ * The server matches it against the family's places; check-ins outside
+ * every place are flagged to the parents
+ * @route POST /api/checkins
+ * @access Private (Kid only)
+ */
+exports.createCheckIn = async (req, res) => {
+  const { accuracy } = req.body || {};
+
+  const kid = await Kid.findForUser(req.user);
+
+  if (!kid) {
+    throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+  }
+
+  const position = roundPosition(toPosition(req.body));
+
+  const [places, hasPlaces, session] = await Promise.all([
+    findPlacesAt(kid.parent, position),
+    Place.exists({ parent: kid.parent }),
+    ActivitySession.findOne({ kid: kid._id, status: 'active' })
+  ]);
+  const place = places[0];
+
+  const checkIn = await CheckIn.create({
+    kid: kid._id,
+    parent: kid.parent,
+    activity: session ? session._id : undefined,
+    location: { type: 'Point', coordinates: position },
+    accuracyMeters: accuracy !== undefined ? Number(accuracy) : undefined,
+    status: place ? 'inside' : 'outside',
+    place: place ? place._id : undefined,
+    placeName: place ? place.name : undefined,
+    outdoor: place ? place.outdoor : false,
+    // Nothing to be outside of until the family adds places
+    flagged: !place && Boolean(hasPlaces)
+  });
+
+  if (session) {
+    await recordOnSession(session, checkIn);
+  }
+
+  if (checkIn.flagged) {
+    await publish({
+      type: 'checkin.flagged',
+      parent: kid.parent,
+      kid: kid._id,
+      actor: req.user._id,
+      data: {
+        checkInId: checkIn._id,
+        activityId: checkIn.activity,
+        latitude: position[1],
+        longitude: position[0]
+      }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: place ? req.t('Checked in at {place}', { place: place.name }) : req.t('Checked in'),
+    data: {
+      checkIn,
+      place: place || null
+    }
+  });
+};
+
+/**
+ * Get check-ins, newest first
+ * Kids see their own, parents every kid's in their families
+ * (optional ?kidId=&activityId=&flagged=true&limit=50)
+ * @route GET /api/checkins
+ * @access Private (Kid, Parent)
+ */
+exports.getCheckIns = async (req, res) => {
+  const { kidId, activityId, flagged } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  let filter;
+
+  if (req.user.role === 'parent') {
+    filter = { parent: { $in: await Family.accessibleOwnerIds(req.user, 'read') } };
+    if (kidId) filter.kid = kidId;
+  } else {
+    const kid = await Kid.findForUser(req.user);
+
+    if (!kid) {
+      throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+    }
+
+    filter = { kid: kid._id };
+  }
+
+  if (activityId) filter.activity = activityId;
+  if (flagged !== undefined) filter.flagged = flagged === 'true';
+
+  const checkIns = await CheckIn.find(filter).sort({ createdAt: -1 }).limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: checkIns.length,
+    retentionDays: CheckIn.retentionDays(),
+    data: checkIns
+  });
+};
@@ -0,0 +1,17 @@
+const { buildSpec } = require('../services/openapi');
+
+// Routes don't change while the server runs, so the document is built once
+let spec = null;
+
+/**
+ * Get the OpenAPI 3 document of the API
+ * @route GET /api/docs/openapi.json
+ * @access Public
+ */
+exports.getOpenApiSpec = async (req, res) => {
+  if (!spec) {
+    spec = buildSpec(req.app.locals.apiRoutes);
+  }
+
+  res.status(200).json(spec);
+};
@@ -0,0 +1,88 @@
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const { eventsSince, subscribe } = require('../services/events');
+const { NotFoundError } = require('../errors');
+
+// Comment line sent regularly so proxies don't close an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Write one event in Server-Sent Events format
+ */
+const writeEvent = (res, event) => {
+  res.write(`id: ${event._id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+/**
+ * Stream family events as Server-Sent Events
+ * Parents receive every event of the families they belong to, kids the
+ * events about themselves. Pass the last event ID received as the
+ * Last-Event-ID header (sent automatically by EventSource on reconnect) or
+ * ?lastEventId= to replay missed events first.
+ * @route GET /api/events
+ * @access Private (Kid, Parent)
+ */
+exports.streamEvents = async (req, res) => {
+  let scope;
+
+  if (req.user.role === 'parent') {
+    scope = { parentIds: await Family.accessibleOwnerIds(req.user, 'read') };
+  } else {
+    const kid = await Kid.findForUser(req.user);
+
+    if (!kid) {
+      throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+    }
+
+    scope = { kidId: kid._id };
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop Nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Subscribe before replaying so nothing published meanwhile is lost;
+  // live events are held back until the replay has been sent
+  let pending = [];
+  const unsubscribe = subscribe(scope, (event) => {
+    if (pending) pending.push(event);
+    else writeEvent(res, event);
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  // End the stream when the access token expires; the client reconnects
+  // with a fresh token and replays from its last event ID
+  const expiry = req.tokenExpiresAt
+    ? setTimeout(() => res.end(), Math.max(req.tokenExpiresAt - Date.now(), 0))
+    : null;
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+
+  let missed = [];
+  try {
+    const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) missed = await eventsSince(scope, lastEventId);
+  } catch (error) {
+    // Headers are sent, so carry on with live events only
+    req.log.error('Replay events error', { error });
+  }
+
+  missed.forEach(event => writeEvent(res, event));
+
+  const replayed = new Set(missed.map(event => String(event._id)));
+  pending
+    .filter(event => !replayed.has(String(event._id)))
+    .forEach(event => writeEvent(res, event));
+  pending = null;
+};
@@ -0,0 +1,584 @@
+const User = require('../models/User');
+const Kid = require('../models/Kid');
+const JoinRequest = require('../models/JoinRequest');
+const Family = require('../models/Family');
+const FamilyInvite = require('../models/FamilyInvite');
+const { sendMail } = require('../services/mailer');
+const templates = require('../services/mailer/templates');
+const { BadRequestError, NotFoundError, ConflictError } = require('../errors');
+
+/**
+ * Build the family code view returned to parents
+ * @param {Object} parent - Parent User document
+ * @returns {Object} Family code and its settings
+ */
+const familyCodeView = (parent) => {
+  const settings = parent.familyCodeSettings || {};
+
+  return {
+    familyCode: parent.familyCode || null,
+    active: parent.isFamilyCodeUsable(),
+    expiresAt: settings.expiresAt || null,
+    maxUses: settings.maxUses || null,
+    uses: settings.uses || 0,
+    requireApproval: Boolean(settings.requireApproval)
+  };
+};
+
+/**
+ * Apply expiry, usage limit and approval settings from a request body
+ * @param {Object} parent - Parent User document
+ * @param {Object} body - { expiresAt, maxUses, requireApproval }
+ * @throws {BadRequestError} If a setting is invalid
+ */
+const applyCodeSettings = (parent, { expiresAt, maxUses, requireApproval }) => {
+  if (expiresAt !== undefined) {
+    if (expiresAt !== null) {
+      const expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new BadRequestError('FAMILY_CODE_EXPIRY_INVALID', 'Expiry must be a date in the future');
+      }
+      parent.familyCodeSettings.expiresAt = expiry;
+    } else {
+      parent.familyCodeSettings.expiresAt = null;
+    }
+  }
+
+  if (maxUses !== undefined) {
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      throw new BadRequestError('FAMILY_CODE_MAX_USES_INVALID', 'Maximum uses must be a positive whole number');
+    }
+    parent.familyCodeSettings.maxUses = maxUses;
+  }
+
+  if (requireApproval !== undefined) {
+    parent.familyCodeSettings.requireApproval = Boolean(requireApproval);
+  }
+};
+
+/**
+ * Get the family code and its settings
+ * @route GET /api/family/code
+ * @access Private (Parent only)
+ */
+exports.getFamilyCode = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: familyCodeView(req.user)
+  });
+};
+
+/**
+ * Update family code expiry, usage limit and approval settings
+ * @route PUT /api/family/code
+ * @access Private (Parent only)
+ */
+exports.updateFamilyCode = async (req, res) => {
+  const parent = req.user;
+
+  applyCodeSettings(parent, req.body);
+
+  await parent.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Family code settings updated'),
+    data: familyCodeView(parent)
+  });
+};
+
+/**
+ * Replace the family code with a new one, resetting its usage count
+ * The old code stops working immediately
+ * @route POST /api/family/code/regenerate
+ * @access Private (Parent only)
+ */
+exports.regenerateFamilyCode = async (req, res) => {
+  const parent = req.user;
+
+  applyCodeSettings(parent, req.body);
+
+  // An expiry that has already passed would make the new code expired on arrival
+  const { expiresAt } = parent.familyCodeSettings;
+  if (req.body.expiresAt === undefined && expiresAt && expiresAt <= new Date()) {
+    parent.familyCodeSettings.expiresAt = null;
+  }
+
+  parent.familyCode = await User.generateUniqueFamilyCode();
+  parent.familyCodeSettings.uses = 0;
+  await parent.save();
+
+  // Kids mirror their parent's code
+  await User.updateMany(
+    { parent: parent._id, role: 'kid' },
+    { familyCode: parent.familyCode }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Family code regenerated'),
+    data: familyCodeView(parent)
+  });
+};
+
+/**
+ * Revoke the family code so no one can join until a new one is generated
+ * @route DELETE /api/family/code
+ * @access Private (Parent only)
+ */
+exports.revokeFamilyCode = async (req, res) => {
+  const parent = req.user;
+
+  parent.familyCode = undefined;
+  parent.familyCodeSettings.uses = 0;
+  await parent.save();
+
+  await User.updateMany(
+    { parent: parent._id, role: 'kid' },
+    { $unset: { familyCode: 1 } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Family code revoked'),
+    data: familyCodeView(parent)
+  });
+};
+
+/**
+ * Move a pending join request to its decided status
+ * Done atomically, so two parents deciding at once can't both act on it
+ * @param {string} id - Join request ID
+ * @param {Object} parent - Filter on the family owner, e.g. { $in: parentIds }
+ * @param {string} status - 'approved' or 'rejected'
+ * @returns {Promise<Object>} Join request, already in its new status
+ * @throws {NotFoundError|BadRequestError} If it doesn't exist or was already decided
+ */
+const claimJoinRequest = async (id, parent, status) => {
+  const joinRequest = await JoinRequest.findOneAndUpdate(
+    { _id: id, parent, status: 'pending' },
+    { status, decidedAt: new Date() },
+    { new: true }
+  );
+
+  if (joinRequest) return joinRequest;
+
+  const existing = await JoinRequest.findOne({ _id: id, parent });
+
+  if (!existing) {
+    throw new NotFoundError('JOIN_REQUEST_NOT_FOUND', 'Join request not found');
+  }
+
+  throw new BadRequestError('JOIN_REQUEST_ALREADY_HANDLED',
+    'Join request has already been {status}',
+    { params: { status: existing.status } });
+};
+
+/**
+ * Put a claimed join request back to pending after its approval failed
+ * @param {Object} joinRequest - Join request document
+ */
+const releaseJoinRequest = (joinRequest) => JoinRequest.updateOne(
+  { _id: joinRequest._id },
+  { status: 'pending', $unset: { decidedAt: 1 } }
+);
+
+/**
+ * Get join requests for the families the parent manages
+ * @route GET /api/family/join-requests?status=pending
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.getJoinRequests = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const filter = { parent: { $in: parentIds } };
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const joinRequests = await JoinRequest.find(filter).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: joinRequests.length,
+    data: joinRequests
+  });
+};
+
+/**
+ * Approve a pending join request, creating the kid's profile
+ * @route POST /api/family/join-requests/:id/approve
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.approveJoinRequest = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+
+  // Claim the request first so the kid profile is only created once
+  const joinRequest = await claimJoinRequest(req.params.id, { $in: parentIds }, 'approved');
+
+  const kidUser = await User.findById(joinRequest.user);
+
+  if (!kidUser) {
+    await releaseJoinRequest(joinRequest);
+    throw new NotFoundError('KID_ACCOUNT_NOT_FOUND', 'Kid account no longer exists');
+  }
+
+  let kid;
+  try {
+    kidUser.pendingApproval = false;
+    kid = await Kid.createForUser(kidUser, {
+      name: joinRequest.name,
+      age: joinRequest.age
+    });
+  } catch (error) {
+    await releaseJoinRequest(joinRequest);
+    throw error;
+  }
+
+  joinRequest.kid = kid._id;
+  await joinRequest.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Join request approved'),
+    data: joinRequest
+  });
+};
+
+/**
+ * Reject a pending join request and remove the pending kid login
+ * @route POST /api/family/join-requests/:id/reject
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.rejectJoinRequest = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const joinRequest = await claimJoinRequest(req.params.id, { $in: parentIds }, 'rejected');
+
+  // Free the email so the kid can sign up again later
+  await User.deleteOne({ _id: joinRequest.user, pendingApproval: true });
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Join request rejected'),
+    data: joinRequest
+  });
+};
+
+/**
+ * Get every family the logged-in user belongs to, with their role
+ * @route GET /api/family/memberships
+ * @access Private (Parent only)
+ */
+exports.getMemberships = async (req, res) => {
+  // Make sure the user's own family shows up even before it is first used
+  await Family.forOwner(req.user._id);
+
+  const families = await Family.find({ 'members.user': req.user._id })
+    .populate('owner', 'email');
+
+  const memberships = families.map(family => ({
+    familyId: family._id,
+    name: family.name,
+    owner: family.owner,
+    role: family.roleOf(req.user._id)
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: memberships.length,
+    data: memberships
+  });
+};
+
+/**
+ * Leave a family the user was invited to
+ * @route DELETE /api/family/memberships/:familyId
+ * @access Private (Parent only - co-parent or caregiver)
+ */
+exports.leaveFamily = async (req, res) => {
+  const family = await Family.findOne({ _id: req.params.familyId, 'members.user': req.user._id });
+
+  if (!family) {
+    throw new NotFoundError('FAMILY_NOT_FOUND', 'Family not found');
+  }
+
+  if (family.owner.equals(req.user._id)) {
+    throw new BadRequestError('FAMILY_OWNER_CANNOT_LEAVE', 'The owner cannot leave their own family');
+  }
+
+  await Family.updateOne(
+    { _id: family._id },
+    { $pull: { members: { user: req.user._id } } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: req.t('You have left the family')
+  });
+};
+
+/**
+ * Get members of the parent's own family
+ * @route GET /api/family/members
+ * @access Private (Parent only - family owner)
+ */
+exports.getMembers = async (req, res) => {
+  const family = await Family.forOwner(req.user._id);
+  await family.populate('members.user', 'email name');
+
+  res.status(200).json({
+    success: true,
+    count: family.members.length,
+    data: family.members
+  });
+};
+
+/**
+ * Change a member's role in the parent's own family
+ * @route PUT /api/family/members/:userId
+ * @access Private (Parent only - family owner)
+ */
+exports.updateMember = async (req, res) => {
+  const { role } = req.body;
+
+  const family = await Family.forOwner(req.user._id);
+  const member = family.members.find(m => m.user.equals(req.params.userId));
+
+  if (!member || member.role === 'owner') {
+    throw new NotFoundError('FAMILY_MEMBER_NOT_FOUND', 'Member not found');
+  }
+
+  member.role = role;
+  await family.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Member updated successfully'),
+    data: member
+  });
+};
+
+/**
+ * Remove a member from the parent's own family
+ * @route DELETE /api/family/members/:userId
+ * @access Private (Parent only - family owner)
+ */
+exports.removeMember = async (req, res) => {
+  const family = await Family.forOwner(req.user._id);
+  const member = family.members.find(m => m.user.equals(req.params.userId));
+
+  if (!member || member.role === 'owner') {
+    throw new NotFoundError('FAMILY_MEMBER_NOT_FOUND', 'Member not found');
+  }
+
+  await Family.updateOne(
+    { _id: family._id },
+    { $pull: { members: { user: member.user } } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Member removed successfully')
+  });
+};
+
+/**
+ * Invite a co-parent or caregiver to the parent's own family
+ * With an email the code is mailed and only that account can accept it
+ * @route POST /api/family/invites
+ * @access Private (Parent only - family owner)
+ */
+exports.createInvite = async (req, res) => {
+  const { email, role } = req.body;
+
+  const family = await Family.forOwner(req.user._id);
+  const code = FamilyInvite.generateCode();
+
+  const invite = await FamilyInvite.create({
+    family: family._id,
+    invitedBy: req.user._id,
+    email,
+    role,
+    codeHash: FamilyInvite.hashCode(code),
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+  });
+
+  if (invite.email) {
+    // In the invitee's language if they already have an account, else the inviter's
+    const invitee = await User.findOne({ email: invite.email }).select('locale');
+    const locale = (invitee && invitee.locale) || req.locale;
+    await sendMail({ to: invite.email, ...templates.familyInvite(code, req.user.email, invite.role, locale) });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: req.t(invite.email ? 'Invite sent' : 'Invite created'),
+    data: {
+      id: invite._id,
+      email: invite.email,
+      role: invite.role,
+      expiresAt: invite.expiresAt,
+      // Only returned once, share it with the person being invited
+      code
+    }
+  });
+};
+
+/**
+ * Get pending invites of the parent's own family
+ * @route GET /api/family/invites
+ * @access Private (Parent only - family owner)
+ */
+exports.getInvites = async (req, res) => {
+  const family = await Family.forOwner(req.user._id);
+
+  const invites = await FamilyInvite.find({
+    family: family._id,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  }).select('-codeHash').sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: invites.length,
+    data: invites
+  });
+};
+
+/**
+ * Revoke a pending invite
+ * @route DELETE /api/family/invites/:id
+ * @access Private (Parent only - family owner)
+ */
+exports.revokeInvite = async (req, res) => {
+  const family = await Family.forOwner(req.user._id);
+
+  const invite = await FamilyInvite.findOneAndUpdate(
+    { _id: req.params.id, family: family._id, status: 'pending' },
+    { status: 'revoked' }
+  );
+
+  if (!invite) {
+    throw new NotFoundError('INVITE_NOT_FOUND', 'Invite not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Invite revoked')
+  });
+};
+
+/**
+ * Put a claimed invite back to pending after joining the family failed
+ * @param {Object} invite - Invite document
+ */
+const releaseInvite = (invite) => FamilyInvite.updateOne(
+  { _id: invite._id },
+  { status: 'pending', $unset: { acceptedBy: 1 } }
+);
+
+/**
+ * Accept an invite code and join the inviting family
+ * @route POST /api/family/invites/accept
+ * @access Private (Parent only)
+ */
+exports.acceptInvite = async (req, res) => {
+  const { code } = req.body;
+
+  // Claim the invite first so a single-use code can't be accepted twice.
+  // Email-bound invites look invalid to everyone else
+  const invite = await FamilyInvite.findOneAndUpdate(
+    {
+      codeHash: FamilyInvite.hashCode(code),
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+      email: { $in: [null, req.user.email] }
+    },
+    { status: 'accepted', acceptedBy: req.user._id },
+    { new: true }
+  );
+
+  if (!invite) {
+    throw new BadRequestError('INVITE_CODE_INVALID', 'Invite code is invalid or has expired');
+  }
+
+  try {
+    const family = await Family.findById(invite.family);
+
+    if (!family) {
+      throw new NotFoundError('FAMILY_NOT_FOUND', 'Family not found');
+    }
+
+    if (family.roleOf(req.user._id)) {
+      throw new ConflictError('FAMILY_ALREADY_MEMBER', 'You are already a member of this family');
+    }
+
+    family.members.push({ user: req.user._id, role: invite.role });
+    await family.save();
+  } catch (error) {
+    await releaseInvite(invite);
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: req.t('You have joined the family'),
+    data: {
+      familyId: invite.family,
+      role: invite.role
+    }
+  });
+};
+
+/**
+ * Get settings of the parent's own family
+ * @route GET /api/family/settings
+ * @access Private (Parent only - family owner)
+ */
+exports.getFamilySettings = async (req, res) => {
+  const family = await Family.forOwner(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      familyId: family._id,
+      name: family.name,
+      timeZone: family.timeZone,
+      reminders: family.reminders,
+      weeklyReport: family.weeklyReport
+    }
+  });
+};
+
+/**
+ * Update name, time zone, reminders and weekly report of the parent's own family
+ * @route PUT /api/family/settings
+ * @access Private (Parent only - family owner)
+ */
+exports.updateFamilySettings = async (req, res) => {
+  const { name, timeZone, reminders, weeklyReport } = req.body;
+
+  const family = await Family.forOwner(req.user._id);
+
+  if (name !== undefined) family.name = name;
+  if (timeZone !== undefined) family.timeZone = timeZone;
+  if (reminders) {
+    if (reminders.enabled !== undefined) family.reminders.enabled = reminders.enabled;
+    if (reminders.time !== undefined) family.reminders.time = reminders.time;
+  }
+  if (weeklyReport !== undefined) family.weeklyReport = weeklyReport;
+
+  await family.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Family settings updated'),
+    data: {
+      familyId: family._id,
+      name: family.name,
+      timeZone: family.timeZone,
+      reminders: family.reminders,
+      weeklyReport: family.weeklyReport
+    }
+  });
+};
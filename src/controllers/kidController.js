@@ -1,225 +1,219 @@
 const Kid = require('../models/Kid');
 const User = require('../models/User');
+const Family = require('../models/Family');
+const CheckIn = require('../models/CheckIn');
+const ActivitySession = require('../models/ActivitySession');
+const Challenge = require('../models/Challenge');
+const Redemption = require('../models/Redemption');
+const FamilyEvent = require('../models/FamilyEvent');
+const { removePhotos } = require('../services/photos');
+const audit = require('../services/audit');
+const { DEFAULT_PRESET, resolvePreset, removeAvatarImage } = require('../services/avatars');
+const { BadRequestError, NotFoundError } = require('../errors');
 
 /**
- * Add a new kid to parent's account
+ * Resolve the avatar preset requested for a kid
+ * `avatarColor` is the pre-preset field and accepts the old Tailwind classes
+ * @param {Object} body - Request body
+ * @returns {string|undefined} Preset ID, undefined if none requested
+ * @throws {BadRequestError} If the preset doesn't exist
+ */
+const requestedPreset = ({ avatarPreset, avatarColor }) => {
+  const value = avatarPreset !== undefined ? avatarPreset : avatarColor;
+  if (value === undefined) return undefined;
+
+  const preset = resolvePreset(value);
+  if (!preset) {
+    throw new BadRequestError('AVATAR_PRESET_UNKNOWN', 'Unknown avatar preset. See GET /api/avatars/presets');
+  }
+
+  return preset.id;
+};
+
+/**
+ * Add a new kid to the parent's family, or to a family they co-parent
  * @route POST /api/kids
- * @access Private (Parent only)
+ * @access Private (Parent only - family owner or co-parent)
  */
 exports.addKid = async (req, res) => {
-  try {
-    const { name, age, avatarColor, interests } = req.body;
-    const parentId = req.user._id;
-
-    // Validate required fields
-    if (!name || !age || !interests) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide name, age, and interests'
-      });
-    }
+  const { name, age, interests, familyId } = req.body;
 
-    // Validate interests is an array
-    if (!Array.isArray(interests) || interests.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Interests must be a non-empty array'
-      });
-    }
-
-    // Create new kid
-    const kid = await Kid.create({
-      name,
-      age,
-      avatarColor: avatarColor || 'from-blue-400 to-purple-500',
-      interests,
-      parent: parentId
-    });
-
-    // Add kid to parent's kids array
-    await User.findByIdAndUpdate(
-      parentId,
-      { $push: { kids: kid._id } },
-      { new: true }
-    );
-
-    res.status(201).json({
-      success: true,
-      message: 'Kid added successfully',
-      data: kid
-    });
-  } catch (error) {
-    console.error('Add kid error:', error);
-
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(e => e.message);
-      return res.status(400).json({
-        success: false,
-        message: messages.join(', ')
-      });
-    }
+  // Co-parents may add kids to a family they help manage
+  const parentId = await Family.ownerIdFor(req.user, familyId, 'manage');
 
-    res.status(500).json({
-      success: false,
-      message: 'Failed to add kid'
-    });
+  if (!parentId) {
+    throw new NotFoundError('FAMILY_NOT_FOUND', 'Family not found');
   }
+
+  const preset = requestedPreset(req.body);
+
+  // Create new kid
+  const kid = await Kid.create({
+    name,
+    age,
+    avatar: { preset: preset || DEFAULT_PRESET },
+    interests,
+    parent: parentId
+  });
+
+  // Add kid to parent's kids array
+  await User.findByIdAndUpdate(
+    parentId,
+    { $push: { kids: kid._id } },
+    { new: true }
+  );
+
+  await audit.record(req, 'kid_created', {
+    familyOwner: kid.parent,
+    kid: kid._id,
+    details: { name: kid.name }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Kid added successfully'),
+    data: kid
+  });
 };
 
 /**
- * Get all kids for logged-in parent
+ * Get all kids of every family the logged-in user belongs to
  * @route GET /api/kids
- * @access Private (Parent only)
+ * @access Private (Parent only - any family member)
  */
 exports.getKids = async (req, res) => {
-  try {
-    const parentId = req.user._id;
-
-    const kids = await Kid.find({ parent: parentId }).sort({ createdAt: -1 });
-
-    res.status(200).json({
-      success: true,
-      count: kids.length,
-      data: kids
-    });
-  } catch (error) {
-    console.error('Get kids error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to retrieve kids'
-    });
-  }
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'read');
+
+  const kids = await Kid.find({ parent: { $in: parentIds } }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: kids.length,
+    data: kids
+  });
 };
 
 /**
  * Get a single kid by ID
  * @route GET /api/kids/:id
- * @access Private (Parent only - own kids)
+ * @access Private (Parent only - any family member)
  */
 exports.getKid = async (req, res) => {
-  try {
-    const kidId = req.params.id;
-    const parentId = req.user._id;
+  const kidId = req.params.id;
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'read');
 
-    const kid = await Kid.findOne({ _id: kidId, parent: parentId });
+  const kid = await Kid.findOne({ _id: kidId, parent: { $in: parentIds } });
 
-    if (!kid) {
-      return res.status(404).json({
-        success: false,
-        message: 'Kid not found'
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      data: kid
-    });
-  } catch (error) {
-    console.error('Get kid error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to retrieve kid'
-    });
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
   }
+
+  res.status(200).json({
+    success: true,
+    data: kid
+  });
 };
 
 /**
  * Update a kid's information
  * @route PUT /api/kids/:id
- * @access Private (Parent only - own kids)
+ * @access Private (Parent only - family owner or co-parent)
  */
 exports.updateKid = async (req, res) => {
-  try {
-    const kidId = req.params.id;
-    const parentId = req.user._id;
-    const { name, age, avatarColor, interests } = req.body;
-
-    // Find kid and ensure it belongs to the logged-in parent
-    let kid = await Kid.findOne({ _id: kidId, parent: parentId });
-
-    if (!kid) {
-      return res.status(404).json({
-        success: false,
-        message: 'Kid not found'
-      });
-    }
+  const kidId = req.params.id;
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const { name, age, interests } = req.body;
 
-    // Update fields if provided
-    if (name !== undefined) kid.name = name;
-    if (age !== undefined) kid.age = age;
-    if (avatarColor !== undefined) kid.avatarColor = avatarColor;
-    if (interests !== undefined) {
-      if (!Array.isArray(interests) || interests.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Interests must be a non-empty array'
-        });
-      }
-      kid.interests = interests;
-    }
-
-    await kid.save();
-
-    res.status(200).json({
-      success: true,
-      message: 'Kid updated successfully',
-      data: kid
-    });
-  } catch (error) {
-    console.error('Update kid error:', error);
-
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(e => e.message);
-      return res.status(400).json({
-        success: false,
-        message: messages.join(', ')
-      });
-    }
+  // Find kid and ensure the logged-in user may manage its family
+  let kid = await Kid.findOne({ _id: kidId, parent: { $in: parentIds } });
 
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update kid'
-    });
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
   }
+
+  // Update fields if provided
+  if (name !== undefined) kid.name = name;
+  if (age !== undefined) kid.age = age;
+  const preset = requestedPreset(req.body);
+  if (preset) kid.avatar.preset = preset;
+  if (interests !== undefined) kid.interests = interests;
+
+  // Names of the changed fields, read before saving clears them
+  const changes = kid.directModifiedPaths();
+
+  await kid.save();
+
+  await audit.record(req, 'kid_updated', {
+    familyOwner: kid.parent,
+    kid: kid._id,
+    details: { changes }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Kid updated successfully'),
+    data: kid
+  });
 };
 
 /**
  * Delete a kid
  * @route DELETE /api/kids/:id
- * @access Private (Parent only - own kids)
+ * @access Private (Parent only - family owner or co-parent)
  */
 exports.deleteKid = async (req, res) => {
-  try {
-    const kidId = req.params.id;
-    const parentId = req.user._id;
-
-    // Find and delete kid
-    const kid = await Kid.findOneAndDelete({ _id: kidId, parent: parentId });
-
-    if (!kid) {
-      return res.status(404).json({
-        success: false,
-        message: 'Kid not found'
-      });
-    }
+  const kidId = req.params.id;
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+
+  const kid = await Kid.findOne({ _id: kidId, parent: { $in: parentIds } });
 
-    // Remove kid from parent's kids array
-    await User.findByIdAndUpdate(
-      parentId,
-      { $pull: { kids: kidId } },
-      { new: true }
-    );
-
-    res.status(200).json({
-      success: true,
-      message: 'Kid deleted successfully'
-    });
-  } catch (error) {
-    console.error('Delete kid error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete kid'
-    });
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
   }
+
+  // The kid's records go first, so a failure leaves a kid that can be deleted again
+  // Photos and locations of the kid aren't kept once their profile is gone
+  await removePhotos({ kid: kid._id });
+  await removeAvatarImage(kid.avatar && kid.avatar.image);
+  await CheckIn.deleteMany({ kid: kid._id });
+
+  // Nor is their activity, so it stops counting in family totals and reports.
+  // The points and screen time ledgers are append-only and stay; nothing
+  // reads them without the kid
+  await Promise.all([
+    ActivitySession,
+    Challenge,
+    Redemption,
+    FamilyEvent
+  ].map(Model => Model.deleteMany({ kid: kid._id })));
+
+  await Kid.deleteOne({ _id: kid._id });
+
+  // Remove kid from the owning parent's kids array
+  await User.findByIdAndUpdate(
+    kid.parent,
+    { $pull: { kids: kidId } },
+    { new: true }
+  );
+
+  // Disable the kid's own login, if any, and sign it out everywhere
+  if (kid.user) {
+    const kidUser = await User.findById(kid.user);
+    if (kidUser) {
+      kidUser.disabled = true;
+      kidUser.kidProfile = undefined;
+      await kidUser.revokeAllTokens();
+    }
+  }
+
+  await audit.record(req, 'kid_deleted', {
+    familyOwner: kid.parent,
+    kid: kid._id,
+    details: { name: kid.name }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Kid deleted successfully')
+  });
 };
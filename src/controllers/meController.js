@@ -0,0 +1,20 @@
+const Kid = require('../models/Kid');
+const { NotFoundError } = require('../errors');
+
+/**
+ * Get the logged-in kid's own profile
+ * @route GET /api/me/profile
+ * @access Private (Kid only)
+ */
+exports.getProfile = async (req, res) => {
+  const kid = await Kid.findForUser(req.user);
+
+  if (!kid) {
+    throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: kid
+  });
+};
@@ -0,0 +1,145 @@
+const User = require('../models/User');
+const { NotFoundError } = require('../errors');
+
+/**
+ * Most devices kept per user; the least recently seen are dropped
+ */
+const MAX_DEVICES = 10;
+
+/**
+ * Device representation returned to clients (tokens stay server-side)
+ */
+const deviceJSON = ({ _id, platform, provider, name, lastSeenAt, createdAt }) => ({
+  id: _id,
+  platform,
+  provider,
+  name,
+  lastSeenAt,
+  createdAt
+});
+
+/**
+ * Register a device for push notifications
+ * Registering a known token refreshes it; a token registered to another
+ * account moves to this one
+ * @route POST /api/devices
+ * @access Private
+ */
+exports.registerDevice = async (req, res) => {
+  const { token, platform, provider, name } = req.body;
+
+  // A device belongs to whoever is signed in on it now
+  await User.updateMany(
+    { _id: { $ne: req.user._id }, 'devices.token': token },
+    { $pull: { devices: { token } } }
+  );
+
+  const user = await User.findById(req.user._id).select('+devices');
+  let device = user.devices.find(d => d.token === token);
+
+  if (device) {
+    device.platform = platform;
+    if (provider !== undefined) device.provider = provider;
+    if (name !== undefined) device.name = name;
+    device.lastSeenAt = new Date();
+  } else {
+    user.devices.push({ token, platform, provider, name });
+    device = user.devices[user.devices.length - 1];
+
+    if (user.devices.length > MAX_DEVICES) {
+      user.devices.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+      user.devices.splice(MAX_DEVICES);
+    }
+  }
+
+  await user.save();
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Device registered'),
+    data: deviceJSON(device)
+  });
+};
+
+/**
+ * Get the logged-in user's registered devices
+ * @route GET /api/devices
+ * @access Private
+ */
+exports.getDevices = async (req, res) => {
+  const user = await User.findById(req.user._id).select('+devices');
+  const devices = user.devices.map(deviceJSON);
+
+  res.status(200).json({
+    success: true,
+    count: devices.length,
+    data: devices
+  });
+};
+
+/**
+ * Unregister a device, e.g. on logout
+ * @route DELETE /api/devices/:id
+ * @access Private
+ */
+exports.removeDevice = async (req, res) => {
+  const result = await User.updateOne(
+    { _id: req.user._id, 'devices._id': req.params.id },
+    { $pull: { devices: { _id: req.params.id } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new NotFoundError('DEVICE_NOT_FOUND', 'Device not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Device removed')
+  });
+};
+
+/**
+ * Get the logged-in user's notification preferences
+ * @route GET /api/devices/preferences
+ * @access Private
+ */
+exports.getPreferences = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user.notificationPreferences
+  });
+};
+
+/**
+ * Update notification preferences
+ * Accepts any of { enabled, categories: { reminders, activity, goals,
+ * challenges, rewards, location }, quietHours: { enabled, start, end } }
+ * @route PUT /api/devices/preferences
+ * @access Private
+ */
+exports.updatePreferences = async (req, res) => {
+  const { enabled, categories, quietHours } = req.body;
+  const preferences = req.user.notificationPreferences;
+
+  if (categories !== undefined) {
+    for (const [category, on] of Object.entries(categories)) {
+      preferences.categories[category] = on;
+    }
+  }
+
+  if (quietHours !== undefined) {
+    if (quietHours.enabled !== undefined) preferences.quietHours.enabled = quietHours.enabled;
+    if (quietHours.start !== undefined) preferences.quietHours.start = quietHours.start;
+    if (quietHours.end !== undefined) preferences.quietHours.end = quietHours.end;
+  }
+
+  if (enabled !== undefined) preferences.enabled = enabled;
+
+  await req.user.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Notification preferences updated'),
+    data: req.user.notificationPreferences
+  });
+};
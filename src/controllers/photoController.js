@@ -0,0 +1,239 @@
+const Photo = require('../models/Photo');
+const ActivitySession = require('../models/ActivitySession');
+const Challenge = require('../models/Challenge');
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const { getStorage } = require('../services/storage');
+const {
+  ALLOWED_TYPES,
+  processPhoto,
+  photoKeys,
+  removePhotos
+} = require('../services/photos');
+const { BadRequestError, NotFoundError, ConflictError } = require('../errors');
+
+/**
+ * Most photos a single session or challenge can have
+ */
+const MAX_PHOTOS_PER_ITEM = 10;
+
+/**
+ * Build the ownership filter for a kid's records based on the caller's role
+ * Parents may access records of kids in their families, kids only their own
+ * @param {Object} req - Express request
+ * @param {string} permission - Family permission parents need
+ * @returns {Promise<Object|null>} Mongo filter, or null if the kid has no profile
+ */
+const ownerFilterFor = async (req, permission = 'read') => {
+  if (req.user.role === 'parent') {
+    const parentIds = await Family.accessibleOwnerIds(req.user, permission);
+    return { parent: { $in: parentIds } };
+  }
+
+  const kid = await Kid.findForUser(req.user);
+  if (!kid) return null;
+
+  return { kid: kid._id };
+};
+
+/**
+ * Process the uploaded photo, store it and record it
+ * @param {Object} req - Express request with the multer file
+ * @param {Object} target - { kid, parent, activity | challenge }
+ * @returns {Promise<Object>} Photo document
+ */
+const storePhoto = async (req, target) => {
+  const processed = await processPhoto(req.file.buffer, req.file.mimetype);
+  const { key, thumbnailKey } = photoKeys(target.parent, ALLOWED_TYPES[processed.contentType]);
+  const storage = getStorage();
+
+  await storage.put(key, processed.full, processed.contentType);
+  await storage.put(thumbnailKey, processed.thumbnail, processed.contentType);
+
+  try {
+    return await Photo.create({
+      ...target,
+      uploadedBy: req.user._id,
+      key,
+      thumbnailKey,
+      contentType: processed.contentType,
+      width: processed.width,
+      height: processed.height,
+      size: processed.full.length
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind
+    await Promise.allSettled([storage.remove(key), storage.remove(thumbnailKey)]);
+    throw error;
+  }
+};
+
+/**
+ * Attach a photo to an activity session
+ * @route POST /api/activities/:id/photos (multipart, field "photo")
+ * @access Private (Kid - own sessions, Parent - family owner or co-parent)
+ */
+exports.uploadActivityPhoto = async (req, res) => {
+  const filter = await ownerFilterFor(req, 'manage');
+  const session = filter && await ActivitySession.findOne({ _id: req.params.id, ...filter });
+
+  if (!session) {
+    throw new NotFoundError('ACTIVITY_NOT_FOUND', 'Activity not found');
+  }
+
+  if (await Photo.countDocuments({ activity: session._id }) >= MAX_PHOTOS_PER_ITEM) {
+    throw new BadRequestError('PHOTO_LIMIT_REACHED',
+      'An activity cannot have more than {max} photos',
+      { params: { max: MAX_PHOTOS_PER_ITEM } });
+  }
+
+  const photo = await storePhoto(req, {
+    kid: session.kid,
+    parent: session.parent,
+    activity: session._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Photo uploaded successfully'),
+    data: photo
+  });
+};
+
+/**
+ * Get the photos of an activity session
+ * @route GET /api/activities/:id/photos
+ * @access Private (Kid - own sessions, Parent - any family member)
+ */
+exports.getActivityPhotos = async (req, res) => {
+  const filter = await ownerFilterFor(req);
+  const session = filter && await ActivitySession.findOne({ _id: req.params.id, ...filter });
+
+  if (!session) {
+    throw new NotFoundError('ACTIVITY_NOT_FOUND', 'Activity not found');
+  }
+
+  const photos = await Photo.find({ activity: session._id }).sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: photos.length,
+    data: photos
+  });
+};
+
+/**
+ * Upload a photo for a challenge submission
+ * Reference it as `photoId` when submitting the challenge
+ * @route POST /api/challenges/:id/photos (multipart, field "photo")
+ * @access Private (Kid only)
+ */
+exports.uploadChallengePhoto = async (req, res) => {
+  const filter = await ownerFilterFor(req);
+  const challenge = filter && await Challenge.findOne({
+    _id: req.params.id,
+    ...filter,
+    status: { $in: ['accepted', 'rejected'] }
+  });
+
+  if (!challenge) {
+    throw new NotFoundError('CHALLENGE_NOT_FOUND', 'Accepted challenge not found');
+  }
+
+  if (challenge.isOverdue()) {
+    throw new BadRequestError('CHALLENGE_PAST_DUE', 'This challenge is past its due date');
+  }
+
+  if (await Photo.countDocuments({ challenge: challenge._id }) >= MAX_PHOTOS_PER_ITEM) {
+    throw new BadRequestError('PHOTO_LIMIT_REACHED',
+      'A challenge cannot have more than {max} photos',
+      { params: { max: MAX_PHOTOS_PER_ITEM } });
+  }
+
+  const photo = await storePhoto(req, {
+    kid: challenge.kid,
+    parent: challenge.parent,
+    challenge: challenge._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Photo uploaded successfully'),
+    data: photo
+  });
+};
+
+/**
+ * Get the photos of a challenge
+ * @route GET /api/challenges/:id/photos
+ * @access Private (Kid - own challenges, Parent - any family member)
+ */
+exports.getChallengePhotos = async (req, res) => {
+  const filter = await ownerFilterFor(req);
+  const challenge = filter && await Challenge.findOne({ _id: req.params.id, ...filter });
+
+  if (!challenge) {
+    throw new NotFoundError('CHALLENGE_NOT_FOUND', 'Challenge not found');
+  }
+
+  const photos = await Photo.find({ challenge: challenge._id }).sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: photos.length,
+    data: photos
+  });
+};
+
+/**
+ * Download a photo or its thumbnail (?size=thumbnail)
+ * @route GET /api/photos/:id
+ * @access Private (Kid - own photos, Parent - any family member)
+ */
+exports.getPhotoFile = async (req, res) => {
+  const filter = await ownerFilterFor(req);
+  const photo = filter && await Photo.findOne({ _id: req.params.id, ...filter });
+
+  if (!photo) {
+    throw new NotFoundError('PHOTO_NOT_FOUND', 'Photo not found');
+  }
+
+  const key = req.query.size === 'thumbnail' ? photo.thumbnailKey : photo.key;
+  const file = await getStorage().get(key);
+
+  res.set({
+    'Content-Type': photo.contentType,
+    'Cache-Control': 'private, max-age=86400'
+  });
+  res.status(200).send(file);
+};
+
+/**
+ * Delete a photo
+ * Photos used as proof of a submitted or approved challenge are kept
+ * @route DELETE /api/photos/:id
+ * @access Private (Kid - own photos, Parent - family owner or co-parent)
+ */
+exports.deletePhoto = async (req, res) => {
+  const filter = await ownerFilterFor(req, 'manage');
+  const photo = filter && await Photo.findOne({ _id: req.params.id, ...filter });
+
+  if (!photo) {
+    throw new NotFoundError('PHOTO_NOT_FOUND', 'Photo not found');
+  }
+
+  const inReview = await Challenge.exists({
+    'submission.photo': photo._id,
+    status: { $in: ['submitted', 'approved'] }
+  });
+  if (inReview) {
+    throw new ConflictError('PHOTO_IN_USE', 'This photo is proof for a submitted challenge');
+  }
+
+  await removePhotos({ _id: photo._id });
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Photo deleted successfully')
+  });
+};
@@ -0,0 +1,113 @@
+const Place = require('../models/Place');
+const Family = require('../models/Family');
+const { buildGeometry } = require('../services/places');
+const { BadRequestError, NotFoundError } = require('../errors');
+
+/**
+ * Turn a shape rejected by the 2dsphere index, e.g. a polygon whose edges
+ * cross, into a validation error
+ */
+const rejectInvalidShape = (error) => {
+  if (error.code === 16755) {
+    throw new BadRequestError('PLACE_POLYGON_INVALID',
+      'Place shape is not a valid polygon. Make sure its edges do not cross.');
+  }
+  throw error;
+};
+
+/**
+ * Get the places of every family the user belongs to
+ * @route GET /api/places
+ * @access Private (Parent only - any family member)
+ */
+exports.getPlaces = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'read');
+  const places = await Place.find({ parent: { $in: parentIds } }).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: places.length,
+    data: places
+  });
+};
+
+/**
+ * Add a place as a circle ({ center, radiusMeters }) or polygon ({ points })
+ * @route POST /api/places
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.createPlace = async (req, res) => {
+  const { name, kind, outdoor, familyId } = req.body;
+
+  const parentId = await Family.ownerIdFor(req.user, familyId, 'manage');
+
+  if (!parentId) {
+    throw new NotFoundError('FAMILY_NOT_FOUND', 'Family not found');
+  }
+
+  const place = await Place.create({
+    parent: parentId,
+    name,
+    kind,
+    outdoor,
+    ...buildGeometry(req.body),
+    createdBy: req.user._id
+  }).catch(rejectInvalidShape);
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Place added successfully'),
+    data: place
+  });
+};
+
+/**
+ * Update a place
+ * Sending `shape` replaces the whole shape
+ * @route PUT /api/places/:id
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.updatePlace = async (req, res) => {
+  const { name, kind, outdoor, shape } = req.body;
+
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const place = await Place.findOne({ _id: req.params.id, parent: { $in: parentIds } });
+
+  if (!place) {
+    throw new NotFoundError('PLACE_NOT_FOUND', 'Place not found');
+  }
+
+  // Update fields if provided
+  if (name !== undefined) place.name = name;
+  if (kind !== undefined) place.kind = kind;
+  if (outdoor !== undefined) place.outdoor = outdoor;
+  if (shape !== undefined) place.set(buildGeometry(req.body));
+
+  await place.save().catch(rejectInvalidShape);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Place updated successfully'),
+    data: place
+  });
+};
+
+/**
+ * Delete a place
+ * Past check-ins keep the place's name
+ * @route DELETE /api/places/:id
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.deletePlace = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const place = await Place.findOneAndDelete({ _id: req.params.id, parent: { $in: parentIds } });
+
+  if (!place) {
+    throw new NotFoundError('PLACE_NOT_FOUND', 'Place not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Place deleted successfully')
+  });
+};
@@ -0,0 +1,92 @@
+const PointsTransaction = require('../models/PointsTransaction');
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const { NotFoundError } = require('../errors');
+
+/**
+ * Build a kid's balance and most recent ledger entries
+ * @param {Object} kid - Kid document
+ * @param {Object} query - Request query ({ limit })
+ * @returns {Promise<Object>} { kidId, balance, transactions }
+ */
+const pointsSummary = async (kid, query) => {
+  const limit = Math.min(parseInt(query.limit, 10) || 50, 500);
+
+  const [balance, transactions] = await Promise.all([
+    PointsTransaction.balanceFor(kid._id),
+    PointsTransaction.find({ kid: kid._id }).sort({ createdAt: -1 }).limit(limit)
+  ]);
+
+  return { kidId: kid._id, balance, transactions };
+};
+
+/**
+ * Get a kid's points balance and ledger
+ * @route GET /api/kids/:id/points?limit=50
+ * @access Private (Parent only - any family member)
+ */
+exports.getKidPoints = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'read');
+  const kid = await Kid.findOne({ _id: req.params.id, parent: { $in: parentIds } });
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await pointsSummary(kid, req.query)
+  });
+};
+
+/**
+ * Manually grant or deduct points
+ * @route POST /api/kids/:id/points/adjust
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.adjustKidPoints = async (req, res) => {
+  const { amount, note } = req.body;
+
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const kid = await Kid.findOne({ _id: req.params.id, parent: { $in: parentIds } });
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  const transaction = await PointsTransaction.create({
+    kid: kid._id,
+    parent: kid.parent,
+    amount,
+    type: 'adjustment',
+    note,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Points adjusted successfully'),
+    data: {
+      transaction,
+      balance: await PointsTransaction.balanceFor(kid._id)
+    }
+  });
+};
+
+/**
+ * Get the logged-in kid's points balance and ledger
+ * @route GET /api/me/points?limit=50
+ * @access Private (Kid only)
+ */
+exports.getOwnPoints = async (req, res) => {
+  const kid = await Kid.findForUser(req.user);
+
+  if (!kid) {
+    throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await pointsSummary(kid, req.query)
+  });
+};
@@ -0,0 +1,111 @@
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const { getProgress } = require('../services/progress');
+const { NotFoundError } = require('../errors');
+
+/**
+ * Find a kid in one of the user's families with the given permission
+ * @param {Object} user - Authenticated parent
+ * @param {string} kidId - Kid ID
+ * @param {string} permission - read or manage
+ * @returns {Promise<Object|null>} Kid document
+ */
+const findFamilyKid = async (user, kidId, permission) => {
+  const parentIds = await Family.accessibleOwnerIds(user, permission);
+  return Kid.findOne({ _id: kidId, parent: { $in: parentIds } });
+};
+
+/**
+ * Parse rollup lengths from the query string, within sane bounds
+ */
+const rollupOptions = (query) => ({
+  days: Math.min(Math.max(parseInt(query.days, 10) || 7, 1), 90),
+  weeks: Math.min(Math.max(parseInt(query.weeks, 10) || 4, 1), 52)
+});
+
+/**
+ * Get a kid's outdoor time goals
+ * @route GET /api/kids/:id/goals
+ * @access Private (Parent only - any family member)
+ */
+exports.getGoals = async (req, res) => {
+  const kid = await findFamilyKid(req.user, req.params.id, 'read');
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: kid.goals
+  });
+};
+
+/**
+ * Set a kid's outdoor time goals
+ * Pass null to clear a goal
+ * @route PUT /api/kids/:id/goals
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.updateGoals = async (req, res) => {
+  const { dailyMinutes, daysPerWeek } = req.body;
+
+  const kid = await findFamilyKid(req.user, req.params.id, 'manage');
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  if (dailyMinutes !== undefined) kid.goals.dailyMinutes = dailyMinutes;
+  if (daysPerWeek !== undefined) kid.goals.daysPerWeek = daysPerWeek;
+
+  await kid.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Goals updated successfully'),
+    data: kid.goals
+  });
+};
+
+/**
+ * Get a kid's goal progress, streaks and daily/weekly rollups
+ * @route GET /api/kids/:id/progress?days=7&weeks=4
+ * @access Private (Parent only - any family member)
+ */
+exports.getKidProgress = async (req, res) => {
+  const kid = await findFamilyKid(req.user, req.params.id, 'read');
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  const family = await Family.forOwner(kid.parent);
+  const progress = await getProgress(kid, family.timeZone, rollupOptions(req.query));
+
+  res.status(200).json({
+    success: true,
+    data: progress
+  });
+};
+
+/**
+ * Get the logged-in kid's own goal progress and streaks
+ * @route GET /api/me/progress?days=7&weeks=4
+ * @access Private (Kid only)
+ */
+exports.getOwnProgress = async (req, res) => {
+  const kid = await Kid.findForUser(req.user);
+
+  if (!kid) {
+    throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+  }
+
+  const family = await Family.forOwner(kid.parent);
+  const progress = await getProgress(kid, family.timeZone, rollupOptions(req.query));
+
+  res.status(200).json({
+    success: true,
+    data: progress
+  });
+};
@@ -0,0 +1,239 @@
+const Redemption = require('../models/Redemption');
+const Reward = require('../models/Reward');
+const PointsTransaction = require('../models/PointsTransaction');
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const { publish } = require('../services/events');
+const { BadRequestError, NotFoundError } = require('../errors');
+
+/**
+ * Publish a redemption event to the family feed
+ * @param {string} type - redemption.* event type
+ * @param {Object} redemption - Redemption document
+ * @param {Object} req - Express request
+ */
+const publishRedemptionEvent = (type, redemption, req) => {
+  return publish({
+    type,
+    parent: redemption.parent,
+    kid: redemption.kid,
+    actor: req.user._id,
+    data: {
+      redemptionId: redemption._id,
+      rewardName: redemption.rewardName,
+      cost: redemption.cost
+    }
+  });
+};
+
+/**
+ * Return a pending redemption's points to the kid and close it
+ * @param {Object} redemption - Redemption document
+ * @param {string} status - denied or cancelled
+ * @param {Object} user - User closing the redemption
+ * @param {string} [note] - Reason
+ */
+const closeWithRefund = async (redemption, status, user, note) => {
+  await PointsTransaction.create({
+    kid: redemption.kid,
+    parent: redemption.parent,
+    amount: redemption.cost,
+    type: 'refund',
+    redemption: redemption._id,
+    note: `${redemption.rewardName} ${status}`,
+    createdBy: user._id
+  });
+
+  redemption.status = status;
+  redemption.decidedBy = user._id;
+  redemption.decidedAt = new Date();
+  if (note !== undefined) redemption.note = note;
+  await redemption.save();
+};
+
+/**
+ * Request a reward, holding its cost from the kid's balance
+ * @route POST /api/redemptions
+ * @access Private (Kid only)
+ */
+exports.requestRedemption = async (req, res) => {
+  const { rewardId } = req.body;
+
+  const kid = await Kid.findForUser(req.user);
+
+  if (!kid) {
+    throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+  }
+
+  const reward = await Reward.findOne({ _id: rewardId, parent: kid.parent, active: true });
+
+  if (!reward) {
+    throw new NotFoundError('REWARD_NOT_FOUND', 'Reward not found');
+  }
+
+  const balance = await PointsTransaction.balanceFor(kid._id);
+  if (balance < reward.cost) {
+    throw new BadRequestError('POINTS_INSUFFICIENT',
+      'Not enough points. You need {points} more.',
+      { params: { points: reward.cost - balance } });
+  }
+
+  const redemption = await Redemption.create({
+    kid: kid._id,
+    parent: kid.parent,
+    reward: reward._id,
+    rewardName: reward.name,
+    cost: reward.cost,
+    requestedBy: req.user._id
+  });
+
+  // Points are held as soon as the reward is requested
+  await PointsTransaction.create({
+    kid: kid._id,
+    parent: kid.parent,
+    amount: -reward.cost,
+    type: 'redemption',
+    redemption: redemption._id,
+    note: reward.name,
+    createdBy: req.user._id
+  });
+
+  // Two requests racing past the balance check: give this one back
+  if (await PointsTransaction.balanceFor(kid._id) < 0) {
+    await closeWithRefund(redemption, 'cancelled', req.user, 'Not enough points');
+    throw new BadRequestError('POINTS_INSUFFICIENT', 'Not enough points');
+  }
+
+  await publishRedemptionEvent('redemption.requested', redemption, req);
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Reward requested. Waiting for parent approval.'),
+    data: redemption
+  });
+};
+
+/**
+ * Get redemptions
+ * Kids see their own, parents every kid's in their families (optional ?status=)
+ * @route GET /api/redemptions
+ * @access Private (Kid, Parent)
+ */
+exports.getRedemptions = async (req, res) => {
+  let filter;
+
+  if (req.user.role === 'parent') {
+    filter = { parent: { $in: await Family.accessibleOwnerIds(req.user, 'read') } };
+  } else {
+    const kid = await Kid.findForUser(req.user);
+
+    if (!kid) {
+      throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+    }
+
+    filter = { kid: kid._id };
+  }
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const redemptions = await Redemption.find(filter).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: redemptions.length,
+    data: redemptions
+  });
+};
+
+/**
+ * Approve a pending redemption
+ * @route POST /api/redemptions/:id/approve
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.approveRedemption = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+
+  const redemption = await Redemption.findOneAndUpdate(
+    { _id: req.params.id, parent: { $in: parentIds }, status: 'pending' },
+    {
+      status: 'approved',
+      decidedBy: req.user._id,
+      decidedAt: new Date(),
+      note: req.body.note
+    },
+    { new: true }
+  );
+
+  if (!redemption) {
+    throw new NotFoundError('REDEMPTION_NOT_FOUND', 'Pending redemption not found');
+  }
+
+  await publishRedemptionEvent('redemption.approved', redemption, req);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Reward approved'),
+    data: redemption
+  });
+};
+
+/**
+ * Deny a pending redemption, refunding its points
+ * @route POST /api/redemptions/:id/deny
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.denyRedemption = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+
+  // Claim the redemption first so it can't be refunded twice
+  const redemption = await Redemption.findOneAndUpdate(
+    { _id: req.params.id, parent: { $in: parentIds }, status: 'pending' },
+    { status: 'denied' },
+    { new: true }
+  );
+
+  if (!redemption) {
+    throw new NotFoundError('REDEMPTION_NOT_FOUND', 'Pending redemption not found');
+  }
+
+  await closeWithRefund(redemption, 'denied', req.user, req.body.note);
+
+  await publishRedemptionEvent('redemption.denied', redemption, req);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Reward denied and points refunded'),
+    data: redemption
+  });
+};
+
+/**
+ * Cancel the kid's own pending redemption, refunding its points
+ * @route POST /api/redemptions/:id/cancel
+ * @access Private (Kid only)
+ */
+exports.cancelRedemption = async (req, res) => {
+  const kid = await Kid.findForUser(req.user);
+
+  const redemption = kid && await Redemption.findOneAndUpdate(
+    { _id: req.params.id, kid: kid._id, status: 'pending' },
+    { status: 'cancelled' },
+    { new: true }
+  );
+
+  if (!redemption) {
+    throw new NotFoundError('REDEMPTION_NOT_FOUND', 'Pending redemption not found');
+  }
+
+  await closeWithRefund(redemption, 'cancelled', req.user);
+
+  await publishRedemptionEvent('redemption.cancelled', redemption, req);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Reward request cancelled and points refunded'),
+    data: redemption
+  });
+};
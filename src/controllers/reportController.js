@@ -0,0 +1,94 @@
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const { resolveWeek, buildWeeklyReport, emailWeeklyReport } = require('../services/reports');
+const { toCsv } = require('../services/reports/csv');
+const { toPdf } = require('../services/reports/pdf');
+const { BadRequestError, NotFoundError } = require('../errors');
+
+/**
+ * Build the weekly report for a parent's kids
+ * Kids are resolved like GET /api/kids: every kid of every family the parent
+ * belongs to, or just the requested one
+ * @param {Object} user - Authenticated parent
+ * @param {Object} options - { kidId, week }
+ * @returns {Promise<Object>} Report
+ */
+const buildReportFor = async (user, { kidId, week }) => {
+  if (week && !resolveWeek(week, 'UTC')) {
+    throw new BadRequestError('REPORT_WEEK_INVALID', 'Week must be a date (YYYY-MM-DD)');
+  }
+
+  const parentIds = await Family.accessibleOwnerIds(user, 'read');
+  const filter = { parent: { $in: parentIds } };
+  if (kidId) filter._id = kidId;
+
+  const kids = await Kid.find(filter).sort({ createdAt: 1 });
+
+  if (kidId && !kids.length) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  // One lookup per family
+  const timeZones = new Map();
+  const timeZoneOf = async (kid) => {
+    const key = String(kid.parent);
+    if (!timeZones.has(key)) {
+      timeZones.set(key, (await Family.forOwner(kid.parent)).timeZone);
+    }
+    return timeZones.get(key);
+  };
+
+  return buildWeeklyReport(kids, timeZoneOf, week);
+};
+
+/**
+ * Get the weekly report as JSON, CSV or PDF
+ * Defaults to last week and every kid (optional ?kidId=&week=YYYY-MM-DD&format=)
+ * @route GET /api/reports/weekly
+ * @access Private (Parent only - any family member)
+ */
+exports.getWeeklyReport = async (req, res) => {
+  const { kidId, week } = req.query;
+  const format = req.query.format || 'json';
+
+  const report = await buildReportFor(req.user, { kidId, week });
+
+  const fileName = kidId && report.kids.length
+    ? `touch-grass-weekly-${report.week.start}-${report.kids[0].kid.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`
+    : `touch-grass-weekly-${report.week.start}`;
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    return res.status(200).send(toCsv(report));
+  }
+
+  if (format === 'pdf') {
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+    return res.status(200).send(await toPdf(report));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+};
+
+/**
+ * Email the weekly report to the logged-in parent
+ * @route POST /api/reports/weekly/email
+ * @access Private (Parent only - any family member)
+ */
+exports.sendWeeklyReport = async (req, res) => {
+  const { kidId, week } = req.body || {};
+
+  const report = await buildReportFor(req.user, { kidId, week });
+
+  await emailWeeklyReport(req.user.email, report, req.locale);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Weekly report sent to {email}', { email: req.user.email })
+  });
+};
@@ -0,0 +1,118 @@
+const Reward = require('../models/Reward');
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const { NotFoundError } = require('../errors');
+
+/**
+ * Get the rewards catalog
+ * Kids see their family's active rewards, parents every family they belong to
+ * @route GET /api/rewards
+ * @access Private (Kid, Parent)
+ */
+exports.getRewards = async (req, res) => {
+  let filter;
+
+  if (req.user.role === 'parent') {
+    filter = { parent: { $in: await Family.accessibleOwnerIds(req.user, 'read') } };
+    if (req.query.includeInactive !== 'true') filter.active = true;
+  } else {
+    const kid = await Kid.findForUser(req.user);
+
+    if (!kid) {
+      throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+    }
+
+    filter = { parent: kid.parent, active: true };
+  }
+
+  const rewards = await Reward.find(filter).sort({ cost: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: rewards.length,
+    data: rewards
+  });
+};
+
+/**
+ * Add a reward to the family catalog
+ * @route POST /api/rewards
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.createReward = async (req, res) => {
+  const { name, description, cost, familyId } = req.body;
+
+  const parentId = await Family.ownerIdFor(req.user, familyId, 'manage');
+
+  if (!parentId) {
+    throw new NotFoundError('FAMILY_NOT_FOUND', 'Family not found');
+  }
+
+  const reward = await Reward.create({
+    parent: parentId,
+    name,
+    description,
+    cost
+  });
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Reward added successfully'),
+    data: reward
+  });
+};
+
+/**
+ * Update a reward
+ * Pending redemptions keep the cost they were requested at
+ * @route PUT /api/rewards/:id
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.updateReward = async (req, res) => {
+  const { name, description, cost, active } = req.body;
+
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const reward = await Reward.findOne({ _id: req.params.id, parent: { $in: parentIds } });
+
+  if (!reward) {
+    throw new NotFoundError('REWARD_NOT_FOUND', 'Reward not found');
+  }
+
+  // Update fields if provided
+  if (name !== undefined) reward.name = name;
+  if (description !== undefined) reward.description = description;
+  if (cost !== undefined) reward.cost = cost;
+  if (active !== undefined) reward.active = active;
+
+  await reward.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Reward updated successfully'),
+    data: reward
+  });
+};
+
+/**
+ * Retire a reward from the catalog
+ * The reward is kept so past redemptions still reference it
+ * @route DELETE /api/rewards/:id
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.deleteReward = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const reward = await Reward.findOneAndUpdate(
+    { _id: req.params.id, parent: { $in: parentIds } },
+    { active: false },
+    { new: true }
+  );
+
+  if (!reward) {
+    throw new NotFoundError('REWARD_NOT_FOUND', 'Reward not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Reward removed from catalog')
+  });
+};
@@ -0,0 +1,163 @@
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const ScreenTimeTransaction = require('../models/ScreenTimeTransaction');
+const { settle, summary, spend, adjust } = require('../services/screenTime');
+const { NotFoundError } = require('../errors');
+
+/**
+ * Find the kid a screen time request is about
+ * Kids may only access their own profile; parents need the given permission
+ * @param {Object} req - Express request
+ * @param {string} permission - read or manage
+ * @returns {Promise<Object|null>} Kid document
+ */
+const findScreenTimeKid = async (req, permission) => {
+  if (req.user.role === 'kid') {
+    const kid = await Kid.findForUser(req.user);
+    return kid && kid._id.equals(req.params.id) ? kid : null;
+  }
+
+  const parentIds = await Family.accessibleOwnerIds(req.user, permission);
+  return Kid.findOne({ _id: req.params.id, parent: { $in: parentIds } });
+};
+
+/**
+ * Build a kid's screen time summary and most recent ledger entries
+ * @param {Object} kid - Kid document
+ * @param {Object} query - Request query ({ limit })
+ * @returns {Promise<Object>}
+ */
+const screenTimeView = async (kid, query) => {
+  const limit = Math.min(parseInt(query.limit, 10) || 50, 500);
+  const { timeZone } = await Family.forOwner(kid.parent);
+
+  const view = await summary(kid, timeZone);
+  view.transactions = await ScreenTimeTransaction.find({ kid: kid._id })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  return view;
+};
+
+/**
+ * Get a kid's screen time balance, today's limits and ledger
+ * @route GET /api/kids/:id/screen-time?limit=50
+ * @access Private (Kid - own profile, Parent - any family member)
+ */
+exports.getScreenTime = async (req, res) => {
+  const kid = await findScreenTimeKid(req, 'read');
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await screenTimeView(kid, req.query)
+  });
+};
+
+/**
+ * Get the logged-in kid's screen time balance, today's limits and ledger
+ * @route GET /api/me/screen-time?limit=50
+ * @access Private (Kid only)
+ */
+exports.getOwnScreenTime = async (req, res) => {
+  const kid = await Kid.findForUser(req.user);
+
+  if (!kid) {
+    throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await screenTimeView(kid, req.query)
+  });
+};
+
+/**
+ * Set a kid's conversion ratio, daily caps and carry-over limit
+ * Pass null to remove a cap or limit
+ * @route PUT /api/kids/:id/screen-time/settings
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.updateScreenTimeSettings = async (req, res) => {
+  const { ratio, dailyEarnCap, dailySpendCap, carryOverMinutes } = req.body;
+
+  const kid = await findScreenTimeKid(req, 'manage');
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  // Days already over keep the rules they were lived under
+  const { timeZone } = await Family.forOwner(kid.parent);
+  await settle(kid, timeZone);
+
+  if (ratio !== undefined) kid.screenTime.ratio = ratio;
+  if (dailyEarnCap !== undefined) kid.screenTime.dailyEarnCap = dailyEarnCap;
+  if (dailySpendCap !== undefined) kid.screenTime.dailySpendCap = dailySpendCap;
+  if (carryOverMinutes !== undefined) kid.screenTime.carryOverMinutes = carryOverMinutes;
+
+  await kid.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Screen time settings updated'),
+    data: await summary(kid, timeZone)
+  });
+};
+
+/**
+ * Spend screen time
+ * @route POST /api/kids/:id/screen-time/spend
+ * @access Private (Kid - own profile, Parent - family owner or co-parent)
+ */
+exports.spendScreenTime = async (req, res) => {
+  const { minutes, note } = req.body || {};
+
+  const kid = await findScreenTimeKid(req, 'manage');
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  const { timeZone } = await Family.forOwner(kid.parent);
+  const transaction = await spend(kid, minutes, { actor: req.user._id, note, timeZone });
+
+  res.status(201).json({
+    success: true,
+    message: req.t('{minutes} minutes of screen time spent', { minutes }),
+    data: {
+      transaction,
+      ...await summary(kid, timeZone)
+    }
+  });
+};
+
+/**
+ * Manually grant or deduct screen time
+ * @route POST /api/kids/:id/screen-time/adjust
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.adjustScreenTime = async (req, res) => {
+  const { minutes, note } = req.body;
+
+  const kid = await findScreenTimeKid(req, 'manage');
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  const { timeZone } = await Family.forOwner(kid.parent);
+  const transaction = await adjust(kid, minutes, { actor: req.user._id, note, timeZone });
+
+  res.status(201).json({
+    success: true,
+    message: req.t('Screen time adjusted successfully'),
+    data: {
+      transaction,
+      ...await summary(kid, timeZone)
+    }
+  });
+};
@@ -0,0 +1,24 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const Family = require('../models/Family');
+
+/**
+ * Get security events (e.g. account lockouts) for the parent's families
+ * Covers the parent's own account and their kids' accounts
+ * @route GET /api/security/events
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.getSecurityEvents = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+  const events = await SecurityEvent.find({ familyOwner: { $in: parentIds } })
+    .populate('user', 'email name role')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    data: events
+  });
+};
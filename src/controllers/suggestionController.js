@@ -0,0 +1,111 @@
+const Kid = require('../models/Kid');
+const ActivityIdea = require('../models/ActivityIdea');
+const Family = require('../models/Family');
+const { suggestForKid } = require('../services/suggestions');
+const { NotFoundError } = require('../errors');
+
+/**
+ * Parse suggestion options from the query string, with reasons in the request's language
+ */
+const suggestionOptions = (req) => ({
+  limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50),
+  hemisphere: req.query.hemisphere === 'south' ? 'south' : 'north',
+  locale: req.locale
+});
+
+/**
+ * Get ranked activity suggestions for a kid
+ * @route GET /api/kids/:id/suggestions?limit=10&hemisphere=north
+ * @access Private (Parent only - any family member)
+ */
+exports.getSuggestions = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'read');
+  const kid = await Kid.findOne({ _id: req.params.id, parent: { $in: parentIds } });
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  const suggestions = await suggestForKid(kid, suggestionOptions(req));
+
+  res.status(200).json({
+    success: true,
+    count: suggestions.length,
+    data: suggestions
+  });
+};
+
+/**
+ * Get ranked activity suggestions for the logged-in kid
+ * @route GET /api/me/suggestions?limit=10&hemisphere=north
+ * @access Private (Kid only)
+ */
+exports.getOwnSuggestions = async (req, res) => {
+  const kid = await Kid.findForUser(req.user);
+
+  if (!kid) {
+    throw new NotFoundError('KID_PROFILE_NOT_FOUND', 'Kid profile not found');
+  }
+
+  const suggestions = await suggestForKid(kid, suggestionOptions(req));
+
+  res.status(200).json({
+    success: true,
+    count: suggestions.length,
+    data: suggestions
+  });
+};
+
+/**
+ * Stop suggesting a catalog activity to a kid
+ * @route POST /api/kids/:id/suggestions/:activityId/hide
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.hideSuggestion = async (req, res) => {
+  const idea = await ActivityIdea.findById(req.params.activityId);
+
+  if (!idea) {
+    throw new NotFoundError('ACTIVITY_NOT_FOUND', 'Activity not found');
+  }
+
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const kid = await Kid.findOneAndUpdate(
+    { _id: req.params.id, parent: { $in: parentIds } },
+    { $addToSet: { hiddenSuggestions: idea._id } },
+    { new: true }
+  );
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Suggestion hidden'),
+    data: kid.hiddenSuggestions
+  });
+};
+
+/**
+ * Suggest a previously hidden catalog activity again
+ * @route DELETE /api/kids/:id/suggestions/:activityId/hide
+ * @access Private (Parent only - family owner or co-parent)
+ */
+exports.unhideSuggestion = async (req, res) => {
+  const parentIds = await Family.accessibleOwnerIds(req.user, 'manage');
+  const kid = await Kid.findOneAndUpdate(
+    { _id: req.params.id, parent: { $in: parentIds } },
+    { $pull: { hiddenSuggestions: req.params.activityId } },
+    { new: true }
+  );
+
+  if (!kid) {
+    throw new NotFoundError('KID_NOT_FOUND', 'Kid not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: req.t('Suggestion restored'),
+    data: kid.hiddenSuggestions
+  });
+};
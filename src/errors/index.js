@@ -0,0 +1,117 @@
+const { interpolate } = require('../services/i18n');
+
+/**
+ * Errors the API responds with
+ *
+ * Throw an AppError from a controller, service or middleware and the error
+ * middleware (middleware/errorHandler.js) responds with its status and:
+ *
+ *   {
+ *     success: false,
+ *     code: 'KID_NOT_FOUND',   // Stable, for clients to branch on
+ *     message: 'Kid not found', // For people, may change
+ *     errors: [...]             // Field errors, validation only
+ *   }
+ *
+ * Codes are SCREAMING_SNAKE_CASE, prefixed with what they're about
+ * (AUTH_, FAMILY_, KID_, ...). Never change or reuse a published code.
+ *
+ * Messages are English templates, with values passed as `params` rather than
+ * built into the string, so they can be translated (services/i18n):
+ *
+ *   throw new BadRequestError('POINTS_INSUFFICIENT',
+ *     'Not enough points. You need {points} more.', { params: { points: 20 } });
+ */
+class AppError extends Error {
+  /**
+   * @param {string} code - Stable error code, e.g. 'KID_NOT_FOUND'
+   * @param {string} message - Message safe to show to the user, may have `{name}` placeholders
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status, defaults to 500
+   * @param {Object} [options.params] - Placeholder values
+   * @param {Object[]} [options.errors] - Field errors [{ field, in, message }]
+   * @param {*} [options.data] - Extra data for the client, e.g. the conflicting document
+   */
+  constructor(code, message, { status = 500, params, errors, data } = {}) {
+    super(interpolate(message, params));
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.template = message;
+    this.params = params;
+    this.errors = errors;
+    this.data = data;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, { ...options, status: 400 });
+  }
+}
+
+/**
+ * Request that failed field validation
+ * @param {Object[]} errors - [{ field, in, message }]
+ * @param {string} [message] - Defaults to every field error, joined
+ */
+class ValidationError extends BadRequestError {
+  constructor(errors, message = errors.map(e => `${e.field} ${e.message}`).join(', ')) {
+    super('VALIDATION_FAILED', message, { errors });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, { ...options, status: 401 });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, { ...options, status: 403 });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, { ...options, status: 404 });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, { ...options, status: 409 });
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, { ...options, status: 413 });
+  }
+}
+
+/**
+ * Rate limit or lockout, sent with a Retry-After header
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Date|number} retryAt - When the client may retry (Date or ms timestamp)
+ */
+class TooManyRequestsError extends AppError {
+  constructor(code, message, retryAt) {
+    super(code, message, { status: 429 });
+    this.retryAfter = Math.max(1, Math.ceil((new Date(retryAt).getTime() - Date.now()) / 1000));
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  TooManyRequestsError
+};
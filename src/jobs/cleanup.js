@@ -0,0 +1,55 @@
+const User = require('../models/User');
+
+/**
+ * Expire stale credentials
+ *
+ * Password reset and email verification tokens are already rejected once
+ * expired; this removes them. Expired family codes are revoked the same way
+ * a parent revoking the code would.
+ */
+
+/**
+ * Remove expired tokens and revoke expired family codes
+ * @returns {Promise<Object>} Counts of what was cleaned up
+ */
+const cleanupExpired = async () => {
+  const now = new Date();
+
+  const resets = await User.updateMany(
+    { passwordResetExpires: { $lt: now } },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+  );
+
+  const verifications = await User.updateMany(
+    { emailVerificationExpires: { $lt: now } },
+    { $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } }
+  );
+
+  const parents = await User.find({
+    role: 'parent',
+    familyCode: { $exists: true },
+    'familyCodeSettings.expiresAt': { $lt: now }
+  }).select('_id');
+  const parentIds = parents.map(parent => parent._id);
+
+  if (parentIds.length) {
+    await User.updateMany(
+      { _id: { $in: parentIds } },
+      { $unset: { familyCode: 1 }, $set: { 'familyCodeSettings.uses': 0 } }
+    );
+    await User.updateMany(
+      { parent: { $in: parentIds }, role: 'kid' },
+      { $unset: { familyCode: 1 } }
+    );
+  }
+
+  return {
+    passwordResetTokens: resets.modifiedCount,
+    emailVerificationTokens: verifications.modifiedCount,
+    familyCodes: parentIds.length
+  };
+};
+
+module.exports = {
+  cleanupExpired
+};
@@ -0,0 +1,34 @@
+const { scanStreaks, evaluateFamilyStreaks } = require('./streaks');
+const { scanReminders, sendFamilyReminders } = require('./reminders');
+const { scanWeeklyReports, sendFamilyReport, sendRecipientReport } = require('./reports');
+const { cleanupExpired } = require('./cleanup');
+
+/**
+ * Job handlers by name
+ */
+const handlers = {
+  'streaks.scan': scanStreaks,
+  'streaks.family': evaluateFamilyStreaks,
+  'reminders.scan': scanReminders,
+  'reminders.family': sendFamilyReminders,
+  'reports.scan': scanWeeklyReports,
+  'reports.family': sendFamilyReport,
+  'reports.recipient': sendRecipientReport,
+  'cleanup.expired': cleanupExpired
+};
+
+/**
+ * Recurring jobs (cron expressions are in UTC; jobs that depend on a
+ * family's local time check it themselves)
+ */
+const schedules = [
+  { name: 'streaks.scan', cron: '5 * * * *' },
+  { name: 'reminders.scan', cron: '*/15 * * * *' },
+  { name: 'reports.scan', cron: '10 * * * *' },
+  { name: 'cleanup.expired', cron: '30 * * * *' }
+];
+
+module.exports = {
+  handlers,
+  schedules
+};
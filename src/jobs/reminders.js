@@ -0,0 +1,78 @@
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const ActivitySession = require('../models/ActivitySession');
+const { enqueue } = require('../services/jobs/queue');
+const { notifyUser } = require('../services/notifications');
+const { dayIn, minutesOfDayIn, getDailyTotals } = require('../services/progress');
+
+/**
+ * Daily "go outside" reminders
+ *
+ * Each family picks a local reminder time (Family.reminders). The scan runs
+ * every 15 minutes and queues one job per family whose reminder time has
+ * just passed; the job's unique key makes sure a family is reminded at most
+ * once a day. Only kids with their own login who haven't been outside yet
+ * today are reminded.
+ */
+
+// Reminders are still sent this long after the reminder time
+const REMINDER_WINDOW_MINUTES = 60;
+
+/**
+ * Parse an HH:MM time into minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Queue reminders for every family whose reminder time has come
+ */
+const scanReminders = async () => {
+  const families = await Family.find({ 'reminders.enabled': { $ne: false } }).select('timeZone reminders');
+  const now = new Date();
+
+  for (const family of families) {
+    const elapsed = minutesOfDayIn(now, family.timeZone) - toMinutes(family.reminders.time);
+    if (elapsed < 0 || elapsed >= REMINDER_WINDOW_MINUTES) continue;
+
+    const day = dayIn(now, family.timeZone);
+    await enqueue('reminders.family', { familyId: family._id, day }, {
+      uniqueKey: `reminders:${family._id}:${day}`
+    });
+  }
+};
+
+/**
+ * Remind a family's kids who haven't been outside today
+ * @param {Object} data - { familyId, day }
+ */
+const sendFamilyReminders = async ({ familyId, day }) => {
+  const family = await Family.findById(familyId);
+  if (!family || family.reminders.enabled === false) return;
+
+  // Too late: don't remind about a day that is already over
+  if (dayIn(new Date(), family.timeZone) !== day) return;
+
+  const kids = await Kid.find({ parent: family.owner, user: { $exists: true } }).select('name user');
+  const since = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+
+  for (const kid of kids) {
+    const minutes = (await getDailyTotals(kid._id, family.timeZone, { from: since })).get(day) || 0;
+    const outside = await ActivitySession.exists({ kid: kid._id, status: 'active' });
+    if (minutes > 0 || outside) continue;
+
+    await notifyUser(kid.user, 'reminders', {
+      title: 'Time to touch grass!',
+      body: 'You haven\'t been outside today, {name}. Let\'s go!',
+      params: { name: kid.name },
+      data: { kidId: String(kid._id) }
+    });
+  }
+};
+
+module.exports = {
+  scanReminders,
+  sendFamilyReminders
+};
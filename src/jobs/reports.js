@@ -0,0 +1,81 @@
+const Kid = require('../models/Kid');
+const User = require('../models/User');
+const Family = require('../models/Family');
+const { enqueue } = require('../services/jobs/queue');
+const { buildWeeklyReport, emailWeeklyReport } = require('../services/reports');
+const { dayIn, minutesOfDayIn, addDays, weekStartOf } = require('../services/progress');
+
+/**
+ * Weekly parent digest
+ *
+ * On Monday from 08:00 in each family's time zone, last week's report is
+ * emailed to every parent of the family with a verified email. The scan
+ * runs hourly; the job's unique key sends each family's report once a week.
+ * Each parent gets their own job, so retrying a failed email doesn't send
+ * the report again to the parents who already have it.
+ */
+
+const SEND_AFTER_MINUTES = 8 * 60;
+
+/**
+ * Queue the weekly report for families whose Monday morning has come
+ */
+const scanWeeklyReports = async () => {
+  const families = await Family.find({ weeklyReport: { $ne: false } }).select('timeZone');
+  const now = new Date();
+
+  for (const family of families) {
+    const today = dayIn(now, family.timeZone);
+    if (weekStartOf(today) !== today || minutesOfDayIn(now, family.timeZone) < SEND_AFTER_MINUTES) continue;
+
+    const week = addDays(today, -7);
+    await enqueue('reports.family', { familyId: family._id, week }, {
+      uniqueKey: `reports:${family._id}:${week}`
+    });
+  }
+};
+
+/**
+ * Queue a family's weekly report for each of its parents
+ * @param {Object} data - { familyId, week }
+ */
+const sendFamilyReport = async ({ familyId, week }) => {
+  const family = await Family.findById(familyId);
+  if (!family || family.weeklyReport === false) return;
+
+  const recipients = await User.find({
+    _id: { $in: family.members.map(member => member.user) },
+    emailVerified: true,
+    disabled: { $ne: true }
+  }).select('_id');
+
+  for (const recipient of recipients) {
+    await enqueue('reports.recipient', { familyId, week, userId: recipient._id }, {
+      uniqueKey: `reports:${familyId}:${week}:${recipient._id}`
+    });
+  }
+};
+
+/**
+ * Email a family's weekly report to one of its parents
+ * @param {Object} data - { familyId, week, userId }
+ */
+const sendRecipientReport = async ({ familyId, week, userId }) => {
+  const family = await Family.findById(familyId);
+  if (!family || family.weeklyReport === false) return;
+
+  const recipient = await User.findOne({ _id: userId, emailVerified: true, disabled: { $ne: true } }).select('email locale');
+  if (!recipient) return;
+
+  const kids = await Kid.find({ parent: family.owner }).sort({ createdAt: 1 });
+  if (!kids.length) return;
+
+  const report = await buildWeeklyReport(kids, () => family.timeZone, week);
+  await emailWeeklyReport(recipient.email, report, recipient.locale);
+};
+
+module.exports = {
+  scanWeeklyReports,
+  sendFamilyReport,
+  sendRecipientReport
+};
@@ -0,0 +1,62 @@
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const { enqueue } = require('../services/jobs/queue');
+const { dayIn, addDays, getDailyTotals, meetsDailyGoal, computeStreaks } = require('../services/progress');
+
+/**
+ * Nightly streak evaluation
+ *
+ * Once a family's day is over, every kid's streak is recomputed as of the
+ * end of that day and stored on the kid, so a streak broken yesterday shows
+ * as broken without waiting for the next session. The scan runs hourly and
+ * queues one job per family whose previous day hasn't been evaluated yet.
+ */
+
+/**
+ * Queue streak evaluation for every family with an unevaluated day
+ */
+const scanStreaks = async () => {
+  const families = await Family.find().select('owner timeZone');
+  const now = new Date();
+
+  for (const family of families) {
+    const day = addDays(dayIn(now, family.timeZone), -1);
+    const pending = await Kid.exists({ parent: family.owner, 'streak.evaluatedThrough': { $ne: day } });
+
+    if (pending) {
+      await enqueue('streaks.family', { familyId: family._id, day }, {
+        uniqueKey: `streaks:${family._id}:${day}`
+      });
+    }
+  }
+};
+
+/**
+ * Store the streaks of a family's kids as of the end of a day
+ * @param {Object} data - { familyId, day }
+ */
+const evaluateFamilyStreaks = async ({ familyId, day }) => {
+  const family = await Family.findById(familyId);
+  if (!family) return;
+
+  const kids = await Kid.find({ parent: family.owner, 'streak.evaluatedThrough': { $ne: day } });
+
+  for (const kid of kids) {
+    const dailyMinutes = kid.goals ? kid.goals.dailyMinutes : null;
+    const totals = await getDailyTotals(kid._id, family.timeZone);
+    const streaks = computeStreaks(totals, dailyMinutes, day);
+
+    // The day is over: if it missed the goal the streak is broken
+    const current = meetsDailyGoal(totals.get(day) || 0, dailyMinutes) ? streaks.current : 0;
+
+    await Kid.updateOne(
+      { _id: kid._id },
+      { $set: { streak: { current, longest: streaks.longest, evaluatedThrough: day } } }
+    );
+  }
+};
+
+module.exports = {
+  scanStreaks,
+  evaluateFamilyStreaks
+};
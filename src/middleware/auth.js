@@ -1,82 +1,60 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { UnauthorizedError } = require('../errors');
 
 /**
  * Authentication middleware to protect routes
  * Verifies JWT token and attaches user to request
  */
 const auth = async (req, res, next) => {
-  try {
-    // Get token from header
-    const authHeader = req.header('Authorization');
+  // Get token from header
+  const authHeader = req.header('Authorization');
 
-    if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        message: 'No authorization token provided'
-      });
-    }
+  if (!authHeader) {
+    throw new UnauthorizedError('AUTH_TOKEN_MISSING', 'No authorization token provided');
+  }
 
-    // Check if token starts with 'Bearer '
-    if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token format. Use: Bearer <token>'
-      });
-    }
+  // Check if token starts with 'Bearer '
+  if (!authHeader.startsWith('Bearer ')) {
+    throw new UnauthorizedError('AUTH_TOKEN_INVALID', 'Invalid token format. Use: Bearer <token>');
+  }
 
-    // Extract token (remove 'Bearer ' prefix)
-    const token = authHeader.substring(7);
+  // Extract token (remove 'Bearer ' prefix)
+  const token = authHeader.substring(7);
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token found'
-      });
-    }
+  if (!token) {
+    throw new UnauthorizedError('AUTH_TOKEN_MISSING', 'No token found');
+  }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // Verify token, JWT errors become AUTH_TOKEN_INVALID or AUTH_TOKEN_EXPIRED
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Find user by id from token payload
-      const user = await User.findById(decoded.id).select('-password');
+  // Find user by id from token payload
+  const user = await User.findById(decoded.id).select('-password');
 
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
+  if (!user) {
+    throw new UnauthorizedError('AUTH_USER_NOT_FOUND', 'User not found');
+  }
 
-      // Attach user to request object
-      req.user = user;
+  if (user.disabled) {
+    throw new UnauthorizedError('ACCOUNT_DISABLED', 'This account has been disabled');
+  }
 
-      next();
-    } catch (error) {
-      if (error.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token'
-        });
-      }
+  // Reject tokens issued before the user's tokens were revoked
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    throw new UnauthorizedError('AUTH_TOKEN_REVOKED', 'Token has been revoked');
+  }
 
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Token has expired'
-        });
-      }
+  // Attach user to request object
+  req.user = user;
+  req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
 
-      throw error;
-    }
-  } catch (error) {
-    console.error('Auth middleware error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Authentication failed'
-    });
+  // A locale chosen in the app wins over the device's Accept-Language
+  if (user.locale) {
+    req.setLocale(user.locale);
   }
+
+  next();
 };
 
 module.exports = auth;
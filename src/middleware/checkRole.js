@@ -1,25 +1,26 @@
+const { UnauthorizedError, ForbiddenError } = require('../errors');
+
 /**
  * Middleware to check if user has required role
  * Must be used after auth middleware
  */
 const checkRole = (...allowedRoles) => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not authenticated'
-      });
+      throw new UnauthorizedError('AUTH_REQUIRED', 'User not authenticated');
     }
 
     if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: `Access denied. Only ${allowedRoles.join(' or ')} can perform this action`
-      });
+      throw new ForbiddenError('ROLE_NOT_ALLOWED', 'Access denied. Only {roles} can perform this action',
+        { params: { roles: allowedRoles } });
     }
 
     next();
   };
+
+  // Read by the OpenAPI generator
+  middleware.roles = allowedRoles;
+  return middleware;
 };
 
 module.exports = checkRole;
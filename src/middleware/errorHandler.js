@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ConflictError,
+  NotFoundError
+} = require('../errors');
+const { DEFAULT_LOCALE, translate } = require('../services/i18n');
+const { logger, redactUrl } = require('../services/logger');
+
+/**
+ * Translate a Mongoose validator message
+ * Enum messages list the allowed values through `{values}`, filled in here so
+ * the list is joined the locale's way
+ * @param {Error} e - ValidatorError
+ * @param {string} locale - Locale
+ * @returns {string} Message
+ */
+const validatorMessage = (e, locale) => {
+  const enumValues = e.kind === 'enum' && e.properties && e.properties.enumValues;
+  return translate(locale, e.message, enumValues ? { values: enumValues } : undefined);
+};
+
+/**
+ * Turn any error into an AppError
+ * Errors thrown by libraries get a code too, so clients never see one without
+ * @param {Error} err - Error thrown
+ * @param {string} locale - Locale for Mongoose validation messages
+ */
+const toAppError = (err, locale) => {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map(e => ({ field: e.path, message: validatorMessage(e, locale) }));
+    return new ValidationError(errors, errors.map(e => e.message).join(', '));
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new BadRequestError('INVALID_ID', 'Invalid {path}', { params: { path: err.path } });
+  }
+
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyPattern || {})[0] || 'Value';
+    return new ConflictError('ALREADY_EXISTS', '{field} already exists', { params: { field } });
+  }
+
+  if (err.name === 'JsonWebTokenError') {
+    return new UnauthorizedError('AUTH_TOKEN_INVALID', 'Invalid token');
+  }
+
+  if (err.name === 'TokenExpiredError') {
+    return new UnauthorizedError('AUTH_TOKEN_EXPIRED', 'Token has expired');
+  }
+
+  // express.json() errors
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('INVALID_JSON', 'Request body is not valid JSON');
+  }
+
+  if (err.status >= 400 && err.status < 500 && err.expose) {
+    return new AppError('BAD_REQUEST', err.message, { status: err.status });
+  }
+
+  return new AppError('INTERNAL_ERROR', 'Internal server error');
+};
+
+/**
+ * 404 for requests no route matched
+ */
+const notFound = (req, res, next) => {
+  next(new NotFoundError('ROUTE_NOT_FOUND', 'Route not found'));
+};
+
+/**
+ * Error middleware, mounted last
+ * Controllers throw (Express 5 forwards rejected promises here) and this
+ * responds { success: false, code, message, errors?, data?, retryAfter? }
+ * with the message in the request's locale (middleware/locale.js)
+ * Express only treats it as error middleware because it takes four arguments
+ */
+const errorHandler = (err, req, res, next) => {
+  const locale = req.locale || DEFAULT_LOCALE;
+  const error = toAppError(err, locale);
+
+  if (error.status >= 500) {
+    (req.log || logger).error('Request error', { method: req.method, url: redactUrl(req.originalUrl), error: err });
+  }
+
+  // Too late to send an error response, e.g. a stream failed halfway
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  const body = {
+    success: false,
+    code: error.code,
+    message: translate(locale, error.template, error.params)
+  };
+
+  if (error.errors) body.errors = error.errors;
+  if (error.data !== undefined) body.data = error.data;
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+    body.retryAfter = error.retryAfter;
+  }
+
+  res.status(error.status).json(body);
+};
+
+module.exports = {
+  notFound,
+  errorHandler
+};
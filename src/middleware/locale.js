@@ -0,0 +1,23 @@
+const { negotiateLocale, translate } = require('../services/i18n');
+
+/**
+ * Middleware picking the language of API messages
+ * Sets `req.locale` from the Accept-Language header, `req.setLocale(locale)`
+ * to switch language and `req.t(message, params)` to translate in
+ * controllers. The auth middleware switches to the user's saved locale, if
+ * they chose one.
+ */
+const locale = (req, res, next) => {
+  req.setLocale = (value) => {
+    req.locale = value;
+    res.set('Content-Language', value);
+  };
+  req.t = (message, params) => translate(req.locale, message, params);
+
+  res.vary('Accept-Language');
+  req.setLocale(negotiateLocale(req.get('Accept-Language')));
+
+  next();
+};
+
+module.exports = locale;
@@ -0,0 +1,46 @@
+const { getStore } = require('../services/rateLimit');
+const { TooManyRequestsError } = require('../errors');
+
+/**
+ * Middleware factory limiting requests per key in a fixed time window
+ * Responds 429 with Retry-After once `max` requests were made in `windowMs`
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, used to namespace keys
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per window
+ * @param {Function} [options.keyGenerator] - (req) => key, defaults to client IP;
+ *   returning a falsy key skips the limiter
+ * @param {string} [options.code] - Error code
+ * @param {string} [options.message] - Error message
+ */
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  code = 'RATE_LIMITED',
+  message = 'Too many requests. Please try again later.'
+}) => {
+  return async (req, res, next) => {
+    let hit;
+
+    try {
+      const key = keyGenerator(req);
+      if (!key) return next();
+
+      hit = await getStore().increment(`${name}:${key}`, windowMs);
+    } catch (error) {
+      // Fail open: a broken store shouldn't take the API down
+      req.log.error('Rate limit error', { error });
+      return next();
+    }
+
+    if (hit.count > max) {
+      throw new TooManyRequestsError(code, message, hit.resetAt);
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
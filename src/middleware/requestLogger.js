@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { logger, redactUrl } = require('../services/logger');
+
+// Request IDs accepted from clients and proxies, anything else is replaced
+const REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+/**
+ * Middleware giving every request a correlation ID and logging it once done
+ * Reuses the caller's X-Request-Id header if it's a sane value (e.g. set by a
+ * proxy), otherwise generates one, and echoes it in the response. Sets
+ * `req.id` and `req.log`, a logger adding the request ID to every entry, so
+ * everything logged for a request can be found from the ID a client reports.
+ */
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  // 'close' also fires for streams the client hung up on
+  res.on('close', () => {
+    const fields = {
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      ip: req.ip
+    };
+    if (req.user) fields.userId = req.user._id;
+    if (!res.writableFinished) fields.aborted = true;
+
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    req.log[level]('Request completed', fields);
+  });
+
+  next();
+};
+
+module.exports = requestLogger;
@@ -0,0 +1,19 @@
+const { UnauthorizedError, ForbiddenError } = require('../errors');
+
+/**
+ * Middleware to block parents who haven't verified their email
+ * Must be used after auth middleware
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    throw new UnauthorizedError('AUTH_REQUIRED', 'User not authenticated');
+  }
+
+  if (req.user.role === 'parent' && !req.user.emailVerified) {
+    throw new ForbiddenError('EMAIL_NOT_VERIFIED', 'Please verify your email address to perform this action');
+  }
+
+  next();
+};
+
+module.exports = requireVerifiedEmail;
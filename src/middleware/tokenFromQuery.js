@@ -0,0 +1,14 @@
+/**
+ * Middleware accepting the access token as an `access_token` query parameter
+ * Browsers' EventSource can't send an Authorization header, so streaming
+ * routes take the token from the URL instead. Must be used before auth.
+ */
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+
+  next();
+};
+
+module.exports = tokenFromQuery;
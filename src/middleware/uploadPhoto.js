@@ -0,0 +1,44 @@
+const multer = require('multer');
+const { ALLOWED_TYPES, MAX_BYTES } = require('../services/photos');
+const { BadRequestError, PayloadTooLargeError } = require('../errors');
+
+const upload = multer({
+  // Kept in memory: photos are re-encoded before anything is stored
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_BYTES,
+    files: 1,
+    fields: 5
+  },
+  fileFilter: (req, file, cb) => {
+    cb(null, Boolean(ALLOWED_TYPES[file.mimetype]));
+  }
+}).single('photo');
+
+/**
+ * Middleware parsing a multipart upload with a single `photo` file
+ * Responds 413 for files over the size limit and 400 for anything else
+ * that isn't one JPEG, PNG or WebP photo
+ */
+const uploadPhoto = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(new PayloadTooLargeError('PHOTO_TOO_LARGE', 'Photo cannot exceed {size} MB',
+          { params: { size: MAX_BYTES / (1024 * 1024) } }));
+      }
+
+      return next(new BadRequestError('UPLOAD_INVALID', error instanceof multer.MulterError
+        ? 'Please upload a single photo in the "photo" field'
+        : 'Invalid upload'));
+    }
+
+    if (!req.file) {
+      return next(new BadRequestError('PHOTO_REQUIRED', 'Please upload a JPEG, PNG or WebP photo in the "photo" field'));
+    }
+
+    next();
+  });
+};
+
+module.exports = uploadPhoto;
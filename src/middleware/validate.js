@@ -0,0 +1,152 @@
+const Ajv = require('ajv');
+const { formats } = require('../schemas/common');
+const { ValidationError } = require('../errors');
+const { translate } = require('../services/i18n');
+
+const createAjv = (options) => {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  for (const [name, { validate }] of Object.entries(formats)) {
+    ajv.addFormat(name, { type: 'string', validate });
+  }
+  return ajv;
+};
+
+// JSON bodies are checked as sent. Path params, query strings and multipart
+// fields are always strings, so they're coerced first ('5' -> 5); the
+// request itself keeps the original strings.
+const strict = createAjv();
+const coercing = createAjv({ coerceTypes: true });
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object',
+  null: 'null'
+};
+
+/**
+ * Turn one Ajv error into a field-level error
+ * @param {Object} error - Ajv error
+ * @param {string} location - params, query or body
+ * @param {string} locale - Language of the message
+ * @returns {Object|null} { field, in, message }, null for errors already
+ *   reported by a nested keyword
+ */
+const toFieldError = ({ keyword, instancePath, params }, location, locale) => {
+  const t = (message, values) => translate(locale, message, values);
+  let field = instancePath.slice(1).replace(/\//g, '.');
+  let message;
+
+  switch (keyword) {
+    case 'required':
+      field = field ? `${field}.${params.missingProperty}` : params.missingProperty;
+      message = t('is required');
+      break;
+    case 'additionalProperties':
+      field = field ? `${field}.${params.additionalProperty}` : params.additionalProperty;
+      message = t('is not allowed');
+      break;
+    case 'type':
+      message = t('must be {type}', { type: [].concat(params.type).map(type => t(TYPE_NAMES[type] || type)) });
+      break;
+    case 'minimum':
+      message = t('must be at least {limit}', params);
+      break;
+    case 'maximum':
+      message = t('cannot exceed {limit}', params);
+      break;
+    case 'exclusiveMinimum':
+      message = t('must be greater than {limit}', params);
+      break;
+    case 'minLength':
+      message = params.limit === 1 ? t('cannot be empty') : t('must be at least {limit} characters long', params);
+      break;
+    case 'maxLength':
+      message = t('cannot exceed {limit} characters', params);
+      break;
+    case 'minItems':
+      message = params.limit === 1 ? t('must have at least 1 item') : t('must have at least {limit} items', params);
+      break;
+    case 'maxItems':
+      message = t('cannot have more than {limit} items', params);
+      break;
+    case 'minProperties':
+      message = t('cannot be empty');
+      break;
+    case 'enum':
+      message = t('must be one of: {values}', { values: params.allowedValues });
+      break;
+    case 'format':
+      message = formats[params.format]
+        ? t(formats[params.format].message)
+        : t('must be a valid {format}', params);
+      break;
+    case 'pattern':
+      message = t('has an invalid format');
+      break;
+    case 'if':
+      // The failing `then` keyword has its own error
+      return null;
+    default:
+      message = t('is invalid');
+  }
+
+  return { field: field || location, in: location, message };
+};
+
+/**
+ * Middleware validating a request against its schema
+ * Responds 400 with every failing field, messages in the request's locale:
+ *
+ *   {
+ *     success: false,
+ *     code: 'VALIDATION_FAILED',
+ *     message: 'age must be at least 1, name is required',
+ *     errors: [{ field: 'age', in: 'body', message: 'must be at least 1' }, ...]
+ *   }
+ *
+ * @param {Object} schema - Request schema, see schemas/common.js
+ * @returns {Function} Express middleware, exposing the schema as `.schema`
+ */
+const validate = (schema) => {
+  const checks = ['params', 'query', 'body']
+    .filter(location => schema[location])
+    .map(location => ({
+      location,
+      check: (location === 'body' && !schema.upload ? strict : coercing).compile(schema[location])
+    }));
+
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    for (const { location, check } of checks) {
+      // Copies, so coercion doesn't change what the controller sees
+      const data = location === 'body' && !schema.upload
+        ? (req.body === undefined ? {} : req.body)
+        : { ...req[location] };
+
+      if (!check(data)) {
+        for (const error of check.errors) {
+          const fieldError = toFieldError(error, location, req.locale);
+          if (fieldError && !errors.some(e => e.field === fieldError.field && e.message === fieldError.message)) {
+            errors.push(fieldError);
+          }
+        }
+      }
+    }
+
+    if (errors.length) {
+      throw new ValidationError(errors);
+    }
+
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = validate;
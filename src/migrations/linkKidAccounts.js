@@ -0,0 +1,80 @@
+/**
+ * One-off backfill linking kid User accounts to their Kid profiles
+ *
+ * Kid signups used to create a User and a Kid document without linking
+ * them. The only thing they share is the parent and the kid's name, so a
+ * kid login is linked when exactly one unlinked Kid of the same parent has
+ * the same name. Ambiguous or missing matches are reported and left alone.
+ *
+ * Usage: node src/migrations/linkKidAccounts.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Kid = require('../models/Kid');
+
+const linkKidAccounts = async ({ dryRun = false } = {}) => {
+  const summary = { linked: 0, ambiguous: 0, unmatched: 0 };
+
+  const kidUsers = await User.find({
+    role: 'kid',
+    kidProfile: { $exists: false },
+    disabled: { $ne: true }
+  });
+
+  for (const kidUser of kidUsers) {
+    const candidates = await Kid.find({
+      parent: kidUser.parent,
+      name: kidUser.name,
+      user: { $exists: false }
+    });
+
+    if (candidates.length === 0) {
+      summary.unmatched++;
+      console.log(`⚠️  No profile found for ${kidUser.email}`);
+      continue;
+    }
+
+    if (candidates.length > 1) {
+      summary.ambiguous++;
+      console.log(`⚠️  ${candidates.length} profiles named "${kidUser.name}" for ${kidUser.email}, skipping`);
+      continue;
+    }
+
+    const [kid] = candidates;
+    summary.linked++;
+    console.log(`🔗 ${kidUser.email} -> Kid ${kid._id}`);
+
+    if (!dryRun) {
+      await Kid.updateOne({ _id: kid._id }, { user: kidUser._id });
+      await User.updateOne({ _id: kidUser._id }, { kidProfile: kid._id });
+    }
+  }
+
+  return summary;
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI);
+      const summary = await linkKidAccounts({ dryRun });
+
+      console.log(`
+${dryRun ? 'Dry run complete' : 'Backfill complete'}
+Linked: ${summary.linked}
+Ambiguous: ${summary.ambiguous}
+Unmatched: ${summary.unmatched}
+`);
+      await mongoose.connection.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Backfill failed:', error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = linkKidAccounts;
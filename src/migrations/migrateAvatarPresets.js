@@ -0,0 +1,70 @@
+/**
+ * One-off migration from Tailwind avatar classes to avatar presets
+ *
+ * Kids used to store a raw Tailwind class string in `avatarColor`. Each one
+ * is mapped to the preset with the same gradient; strings that match no
+ * preset fall back to the default preset and are reported.
+ *
+ * Usage: node src/migrations/migrateAvatarPresets.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Kid = require('../models/Kid');
+const { DEFAULT_PRESET, resolvePreset } = require('../services/avatars');
+
+const migrateAvatarPresets = async ({ dryRun = false } = {}) => {
+  const summary = { mapped: 0, defaulted: 0 };
+
+  // avatarColor is no longer in the schema, so read the raw documents
+  const kids = await Kid.collection
+    .find({ avatarColor: { $exists: true } })
+    .project({ avatarColor: 1, avatar: 1 })
+    .toArray();
+
+  for (const kid of kids) {
+    const preset = resolvePreset(kid.avatarColor);
+
+    if (preset) {
+      summary.mapped++;
+    } else {
+      summary.defaulted++;
+      console.log(`⚠️  Kid ${kid._id} has unknown avatar "${kid.avatarColor}", using ${DEFAULT_PRESET}`);
+    }
+
+    if (!dryRun) {
+      await Kid.collection.updateOne(
+        { _id: kid._id },
+        {
+          $set: { 'avatar.preset': preset ? preset.id : DEFAULT_PRESET },
+          $unset: { avatarColor: '' }
+        }
+      );
+    }
+  }
+
+  return summary;
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI);
+      const summary = await migrateAvatarPresets({ dryRun });
+
+      console.log(`
+${dryRun ? 'Dry run complete' : 'Migration complete'}
+Mapped: ${summary.mapped}
+Defaulted: ${summary.defaulted}
+`);
+      await mongoose.connection.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Migration failed:', error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = migrateAvatarPresets;
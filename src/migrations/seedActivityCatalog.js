@@ -0,0 +1,51 @@
+/**
+ * Seed the activity suggestions catalog from src/data/activityCatalog.json
+ *
+ * Activities are upserted by slug, so the script can be re-run after editing
+ * the file. Activities added or changed by admins through the API and not
+ * present in the file are left untouched.
+ *
+ * Usage: node src/migrations/seedActivityCatalog.js
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ActivityIdea = require('../models/ActivityIdea');
+const catalog = require('../data/activityCatalog.json');
+
+const seedActivityCatalog = async () => {
+  const summary = { created: 0, updated: 0 };
+
+  for (const entry of catalog) {
+    const existing = await ActivityIdea.findOne({ slug: entry.slug });
+    const idea = existing || new ActivityIdea();
+
+    idea.set(entry);
+    await idea.save();
+
+    summary[existing ? 'updated' : 'created']++;
+  }
+
+  return summary;
+};
+
+if (require.main === module) {
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI);
+      const summary = await seedActivityCatalog();
+
+      console.log(`
+Activity catalog seeded
+Created: ${summary.created}
+Updated: ${summary.updated}
+`);
+      await mongoose.connection.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Seeding failed:', error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = seedActivityCatalog;
@@ -0,0 +1,49 @@
+/**
+ * One-off migration marking parents created before email verification as verified
+ *
+ * Parent accounts that existed before email verification have no
+ * `emailVerified` field, and would otherwise be treated as unverified: they
+ * couldn't add kids and their family codes would be refused. They signed up
+ * under the old rules, so they are marked verified. Parents created since
+ * always have the field and are left alone.
+ *
+ * Usage: node src/migrations/verifyExistingParents.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const verifyExistingParents = async ({ dryRun = false } = {}) => {
+  // The schema default would hide a missing field, so query the raw documents
+  const filter = { role: 'parent', emailVerified: { $exists: false } };
+
+  if (dryRun) {
+    return { verified: await User.collection.countDocuments(filter) };
+  }
+
+  const result = await User.collection.updateMany(filter, { $set: { emailVerified: true } });
+  return { verified: result.modifiedCount };
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI);
+      const summary = await verifyExistingParents({ dryRun });
+
+      console.log(`
+${dryRun ? 'Dry run complete' : 'Migration complete'}
+Verified: ${summary.verified}
+`);
+      await mongoose.connection.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Migration failed:', error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = verifyExistingParents;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const ActivitySession = require('./ActivitySession');
+
+const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
+const activityIdeaSchema = new mongoose.Schema({
+  // Stable identifier used by the seed file
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Matched against Kid.interests (case-insensitive)
+  interests: {
+    type: [String],
+    default: []
+  },
+  minAge: {
+    type: Number,
+    min: [1, 'Minimum age must be at least 1'],
+    max: [18, 'Minimum age cannot exceed 18'],
+    default: 1
+  },
+  maxAge: {
+    type: Number,
+    min: [1, 'Maximum age must be at least 1'],
+    max: [18, 'Maximum age cannot exceed 18'],
+    default: 18
+  },
+  setting: {
+    type: String,
+    enum: ['outdoor', 'indoor'],
+    default: 'outdoor'
+  },
+  durationMinutes: {
+    type: Number,
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [1440, 'Duration cannot exceed 24 hours'],
+    required: [true, 'Duration is required']
+  },
+  // Seasons the activity suits, empty for all year
+  seasons: {
+    type: [{
+      type: String,
+      enum: { values: SEASONS, message: 'Season must be one of: {values}' }
+    }],
+    default: []
+  },
+  // Session type logged when the kid does this activity
+  activityType: {
+    type: String,
+    enum: ActivitySession.ACTIVITY_TYPES,
+    default: 'other'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+activityIdeaSchema.path('maxAge').validate(function(maxAge) {
+  return maxAge >= this.minAge;
+}, 'Maximum age cannot be below minimum age');
+
+activityIdeaSchema.statics.SEASONS = SEASONS;
+
+// Normalize interest tags for matching
+activityIdeaSchema.pre('validate', function(next) {
+  this.interests = this.interests.map(tag => tag.toLowerCase().trim()).filter(Boolean);
+  next();
+});
+
+const ActivityIdea = mongoose.model('ActivityIdea', activityIdeaSchema);
+
+module.exports = ActivityIdea;
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = ['walk', 'sports', 'park', 'bike', 'hike', 'playground', 'garden', 'other'];
+const LOCATION_STATUSES = ['unverified', 'verified', 'indoor', 'flagged'];
+
+const activitySessionSchema = new mongoose.Schema({
+  kid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kid',
+    required: [true, 'Kid is required']
+  },
+  // Owning parent, denormalized from the kid for ownership checks
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User who logged the session (the kid themselves or their parent)
+  loggedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ACTIVITY_TYPES,
+      message: 'Activity type must be one of: {values}'
+    },
+    default: 'other'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active'
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required'],
+    default: Date.now
+  },
+  endedAt: {
+    type: Date,
+    validate: {
+      validator: function(endedAt) {
+        return !endedAt || !this.startedAt || endedAt >= this.startedAt;
+      },
+      message: 'End time cannot be before start time'
+    }
+  },
+  durationMinutes: {
+    type: Number,
+    min: [0, 'Duration cannot be negative'],
+    max: [1440, 'Duration cannot exceed 24 hours'],
+    default: 0
+  },
+  // Catalog activity the session was started from, if any
+  activityIdea: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ActivityIdea'
+  },
+  // Location check-ins made during the session, kept after the check-ins
+  // themselves expire
+  checkIns: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    // At a place marked outdoor
+    outdoor: {
+      type: Number,
+      default: 0
+    },
+    // Outside every place
+    flagged: {
+      type: Number,
+      default: 0
+    },
+    // unverified (no check-ins), verified (all at places, at least one
+    // outdoor), indoor (all at places, none outdoor) or flagged
+    status: {
+      type: String,
+      enum: LOCATION_STATUSES,
+      default: 'unverified'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a kid's sessions newest first
+activitySessionSchema.index({ kid: 1, startedAt: -1 });
+
+// Index for parent ownership lookups
+activitySessionSchema.index({ parent: 1 });
+
+activitySessionSchema.statics.ACTIVITY_TYPES = ACTIVITY_TYPES;
+activitySessionSchema.statics.LOCATION_STATUSES = LOCATION_STATUSES;
+
+// Method to recompute duration from start and end times
+activitySessionSchema.methods.calculateDuration = function() {
+  if (!this.startedAt || !this.endedAt) {
+    return this.durationMinutes;
+  }
+
+  this.durationMinutes = Math.round((this.endedAt - this.startedAt) / 60000);
+  return this.durationMinutes;
+};
+
+const ActivitySession = mongoose.model('ActivitySession', activitySessionSchema);
+
+module.exports = ActivitySession;
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'login_succeeded',
+  'login_failed',
+  'kid_created',
+  'kid_updated',
+  'kid_deleted',
+  'family_code_used',
+  'password_changed'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // User who acted, or whose account was used for logins
+  // null when no account matched, e.g. a login with an unknown email
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Owners of the families that can see the entry, e.g. every family a
+  // co-parent belongs to; empty when there is no family
+  familyOwners: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  kid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kid'
+  },
+  // Small summary of what happened, e.g. { reason: 'wrong_password' }
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  // X-Request-Id of the request, to find its log entries
+  requestId: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a family's entries newest first
+auditLogSchema.index({ familyOwners: 1, createdAt: -1 });
+
+auditLogSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+// Hash an email that matched no account, so attempts can be told apart
+// without storing the address
+auditLogSchema.statics.hashEmail = function(email) {
+  return crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const PROOF_TYPES = ['photo', 'location', 'parent'];
+const CHALLENGE_STATUSES = ['assigned', 'accepted', 'submitted', 'approved', 'rejected'];
+
+const challengeSchema = new mongoose.Schema({
+  kid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kid',
+    required: [true, 'Kid is required']
+  },
+  // Owning parent, denormalized from the kid for ownership checks
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Challenge title is required'],
+    trim: true,
+    minlength: [2, 'Title must be at least 2 characters long'],
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  dueAt: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Points value is required'],
+    min: [0, 'Points cannot be negative'],
+    max: [10000, 'Points cannot exceed 10000'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Points must be a whole number'
+    }
+  },
+  // How the kid proves the challenge was done
+  proofType: {
+    type: String,
+    enum: {
+      values: PROOF_TYPES,
+      message: 'Proof type must be one of: {values}'
+    },
+    required: [true, 'Proof type is required']
+  },
+  status: {
+    type: String,
+    enum: CHALLENGE_STATUSES,
+    default: 'assigned'
+  },
+  acceptedAt: {
+    type: Date
+  },
+  // Latest submission; a rejected challenge can be submitted again
+  submission: {
+    photo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Photo'
+    },
+    location: {
+      latitude: {
+        type: Number,
+        min: [-90, 'Latitude must be between -90 and 90'],
+        max: [90, 'Latitude must be between -90 and 90']
+      },
+      longitude: {
+        type: Number,
+        min: [-180, 'Longitude must be between -180 and 180'],
+        max: [180, 'Longitude must be between -180 and 180']
+      }
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    submittedAt: {
+      type: Date
+    }
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Review note cannot exceed 200 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing challenges by family and status
+challengeSchema.index({ parent: 1, status: 1, dueAt: 1 });
+challengeSchema.index({ kid: 1, dueAt: 1 });
+
+challengeSchema.statics.PROOF_TYPES = PROOF_TYPES;
+challengeSchema.statics.CHALLENGE_STATUSES = CHALLENGE_STATUSES;
+
+// Method to check whether the due date has passed
+challengeSchema.methods.isOverdue = function(now = new Date()) {
+  return this.dueAt < now;
+};
+
+const Challenge = mongoose.model('Challenge', challengeSchema);
+
+module.exports = Challenge;
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const CHECKIN_STATUSES = ['inside', 'outside'];
+
+// Days a check-in's location is kept. Children's location data is kept only
+// as long as parents need it to review recent sessions
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 90;
+
+/**
+ * Retention period from CHECKIN_RETENTION_DAYS, within bounds
+ * @returns {number} Days
+ */
+const retentionDays = () => {
+  const days = parseInt(process.env.CHECKIN_RETENTION_DAYS, 10);
+  if (!days || days < 1) return DEFAULT_RETENTION_DAYS;
+  return Math.min(days, MAX_RETENTION_DAYS);
+};
+
+const checkInSchema = new mongoose.Schema({
+  kid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kid',
+    required: true
+  },
+  // Owning parent, denormalized from the kid for ownership checks
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Session the kid was on, if any
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ActivitySession'
+  },
+  // GeoJSON point, rounded to about 1 meter
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  // Accuracy reported by the device, in meters
+  accuracyMeters: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: CHECKIN_STATUSES,
+    required: true
+  },
+  // Place the kid was found in (closest match), name kept for history
+  place: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Place'
+  },
+  placeName: String,
+  outdoor: {
+    type: Boolean,
+    default: false
+  },
+  // Outside every place: shown to parents for review
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Removed automatically at this time
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + retentionDays() * 24 * 60 * 60 * 1000)
+  }
+});
+
+// Index for listing a kid's check-ins newest first
+checkInSchema.index({ kid: 1, createdAt: -1 });
+
+// Index for listing a family's flagged check-ins
+checkInSchema.index({ parent: 1, flagged: 1, createdAt: -1 });
+
+// Check-ins are deleted when they expire
+checkInSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+checkInSchema.statics.CHECKIN_STATUSES = CHECKIN_STATUSES;
+checkInSchema.statics.retentionDays = retentionDays;
+
+// Method to get check-in object as JSON
+checkInSchema.methods.toJSON = function() {
+  const checkIn = this.toObject();
+  const [longitude, latitude] = checkIn.location.coordinates;
+  checkIn.location = { latitude, longitude };
+  return checkIn;
+};
+
+const CheckIn = mongoose.model('CheckIn', checkInSchema);
+
+module.exports = CheckIn;
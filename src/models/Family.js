@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+const MEMBER_ROLES = ['owner', 'co-parent', 'caregiver'];
+
+// HH:MM, 24-hour clock
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Roles allowed per permission level
+const PERMISSIONS = {
+  // View kids and their activity
+  read: ['owner', 'co-parent', 'caregiver'],
+  // Add, update and delete kids and correct their activity
+  manage: ['owner', 'co-parent'],
+  // Manage members, invites and the family code
+  admin: ['owner']
+};
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: MEMBER_ROLES,
+      message: 'Member role must be one of: {values}'
+    },
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const familySchema = new mongoose.Schema({
+  // Parent who created the family. Kids of the family reference the owner
+  // through Kid.parent, and the owner's family code is used to join it
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Family name cannot exceed 50 characters']
+  },
+  members: [memberSchema],
+  // IANA time zone used for day boundaries (goals, streaks, reports)
+  timeZone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: function(timeZone) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Time zone must be a valid IANA time zone (e.g. "Africa/Nairobi")'
+    }
+  },
+  // Daily "go outside" reminder for kids who haven't been out yet
+  reminders: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Local time in the family's time zone
+    time: {
+      type: String,
+      match: [TIME_OF_DAY, 'Reminder time must use HH:MM'],
+      default: '16:00'
+    }
+  },
+  // Weekly report emailed to parents on Monday morning
+  weeklyReport: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for finding every family a user belongs to
+familySchema.index({ 'members.user': 1 });
+
+familySchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+familySchema.statics.PERMISSIONS = PERMISSIONS;
+
+/**
+ * Get a parent's own family, creating it on first use
+ * @param {string} ownerId - Parent User ID
+ * @returns {Promise<Object>} Family document
+ */
+familySchema.statics.forOwner = function(ownerId) {
+  return this.findOneAndUpdate(
+    { owner: ownerId },
+    { $setOnInsert: { owner: ownerId, members: [{ user: ownerId, role: 'owner' }] } },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Get the owner IDs of every family whose kids a user may access
+ * A parent always has full access to their own family
+ * @param {Object} user - Authenticated user
+ * @param {string} [permission='read'] - One of read, manage, admin
+ * @returns {Promise<Array>} Parent User IDs usable in Kid.parent filters
+ */
+familySchema.statics.accessibleOwnerIds = async function(user, permission = 'read') {
+  if (user.role !== 'parent') return [];
+
+  const roles = PERMISSIONS[permission];
+  const families = await this.find({
+    members: { $elemMatch: { user: user._id, role: { $in: roles } } }
+  }).select('owner');
+
+  const ownerIds = families.map(family => family.owner);
+  if (!ownerIds.some(id => id.equals(user._id))) {
+    ownerIds.push(user._id);
+  }
+
+  return ownerIds;
+};
+
+/**
+ * Resolve the family owner a new record (kid, reward, ...) belongs to
+ * Defaults to the user's own family; with a familyId the user needs the
+ * given permission in that family
+ * @param {Object} user - Authenticated parent
+ * @param {string} [familyId] - Target family
+ * @param {string} [permission='manage'] - One of read, manage, admin
+ * @returns {Promise<Object|null>} Owner User ID, or null if not allowed
+ */
+familySchema.statics.ownerIdFor = async function(user, familyId, permission = 'manage') {
+  if (!familyId) return user._id;
+
+  const family = await this.findById(familyId);
+  if (!family || !PERMISSIONS[permission].includes(family.roleOf(user._id))) {
+    return null;
+  }
+
+  return family.owner;
+};
+
+// Method to get a user's role in this family
+familySchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => m.user.equals(userId));
+  return member ? member.role : null;
+};
+
+const Family = mongoose.model('Family', familySchema);
+
+module.exports = Family;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'activity.started',
+  'activity.completed',
+  'challenge.assigned',
+  'challenge.accepted',
+  'challenge.submitted',
+  'challenge.approved',
+  'challenge.rejected',
+  'redemption.requested',
+  'redemption.approved',
+  'redemption.denied',
+  'redemption.cancelled',
+  'checkin.flagged'
+];
+
+// How long events stay available for replay
+const RETENTION_DAYS = 7;
+
+const familyEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  // Family owner the event belongs to
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kid'
+  },
+  // User whose action caused the event
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Small summary of what happened, e.g. { challengeId, title }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for replaying a family's events in order (ObjectIds increase over time)
+familyEventSchema.index({ parent: 1, _id: 1 });
+
+// Old events are removed automatically
+familyEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+familyEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+// Format as sent to clients
+familyEventSchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    kid: this.kid,
+    actor: this.actor,
+    data: this.data,
+    createdAt: this.createdAt
+  };
+};
+
+const FamilyEvent = mongoose.model('FamilyEvent', familyEventSchema);
+
+module.exports = FamilyEvent;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const familyInviteSchema = new mongoose.Schema({
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Family',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // If set, only the account with this email can accept the invite
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ['co-parent', 'caregiver'],
+      message: 'Invite role must be either "co-parent" or "caregiver"'
+    },
+    required: [true, 'Invite role is required']
+  },
+  // SHA-256 of the invite code, the raw code is only shown once
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a family's invites
+familyInviteSchema.index({ family: 1, status: 1 });
+
+// Hash a raw invite code for storage and lookup
+familyInviteSchema.statics.hashCode = function(code) {
+  return crypto.createHash('sha256').update(code.toUpperCase()).digest('hex');
+};
+
+// Generate an invite code like "7F3A9C21"
+familyInviteSchema.statics.generateCode = function() {
+  return crypto.randomBytes(4).toString('hex').toUpperCase();
+};
+
+const FamilyInvite = mongoose.model('FamilyInvite', familyInviteSchema);
+
+module.exports = FamilyInvite;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// How long finished jobs are kept for inspection
+const RETENTION_DAYS = 14;
+
+const jobSchema = new mongoose.Schema({
+  // Handler name, e.g. "reminders.daily"
+  name: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  // Earliest time the job may run
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  // Deduplicates enqueues, e.g. one job per recurring occurrence
+  uniqueKey: {
+    type: String
+  },
+  // Worker holding the job and until when; an expired lock means the
+  // worker died and the job can be picked up again
+  lockedBy: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  finishedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for claiming the next due job
+jobSchema.index({ status: 1, runAt: 1 });
+
+// Index for recovering jobs from dead workers
+jobSchema.index({ status: 1, lockedUntil: 1 });
+
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+
+// Finished jobs are removed automatically
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+jobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
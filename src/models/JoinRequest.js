@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const joinRequestSchema = new mongoose.Schema({
+  // Parent whose family the kid asked to join
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Pending kid login created at signup
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Kid name is required'],
+    trim: true
+  },
+  age: {
+    type: Number,
+    required: [true, 'Age is required'],
+    min: [1, 'Age must be at least 1'],
+    max: [18, 'Age cannot exceed 18']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // Kid profile created on approval
+  kid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kid'
+  },
+  decidedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a parent's requests by status
+joinRequestSchema.index({ parent: 1, status: 1 });
+
+const JoinRequest = mongoose.model('JoinRequest', joinRequestSchema);
+
+module.exports = JoinRequest;
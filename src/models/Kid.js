@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_PRESET, PRESET_IDS, avatarFor } = require('../services/avatars');
 
 const kidSchema = new mongoose.Schema({
   name: {
@@ -14,11 +15,23 @@ const kidSchema = new mongoose.Schema({
     min: [1, 'Age must be at least 1'],
     max: [18, 'Age cannot exceed 18']
   },
-  avatarColor: {
-    type: String,
-    required: [true, 'Avatar color is required'],
-    trim: true,
-    default: 'from-blue-400 to-purple-500'
+  avatar: {
+    // Gradient preset from GET /api/avatars/presets
+    preset: {
+      type: String,
+      enum: {
+        values: PRESET_IDS,
+        message: 'Avatar preset must be one of: {values}'
+      },
+      default: DEFAULT_PRESET
+    },
+    // Uploaded profile image, shown over the preset when present
+    image: {
+      key: String,
+      thumbnailKey: String,
+      contentType: String,
+      updatedAt: Date
+    }
   },
   interests: {
     type: [String],
@@ -30,11 +43,83 @@ const kidSchema = new mongoose.Schema({
       message: 'Cannot have more than 10 interests'
     }
   },
+  // Catalog activities the parent doesn't want suggested
+  hiddenSuggestions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ActivityIdea'
+  }],
+  // Outdoor time targets set by the parent
+  goals: {
+    dailyMinutes: {
+      type: Number,
+      min: [1, 'Daily goal must be at least 1 minute'],
+      max: [1440, 'Daily goal cannot exceed 1440 minutes'],
+      default: null
+    },
+    // Days per week the daily goal should be met
+    daysPerWeek: {
+      type: Number,
+      min: [1, 'Weekly goal must be at least 1 day'],
+      max: [7, 'Weekly goal cannot exceed 7 days'],
+      default: null
+    }
+  },
+  // Screen time earned by going outside, set by the parent
+  screenTime: {
+    // Screen minutes earned per outdoor minute (e.g. 2 = 1 min outside buys 2 min screen)
+    ratio: {
+      type: Number,
+      min: [0, 'Ratio cannot be negative'],
+      max: [10, 'Ratio cannot exceed 10'],
+      default: 1
+    },
+    // Most screen minutes that can be earned outside per day (null = no cap)
+    dailyEarnCap: {
+      type: Number,
+      min: [0, 'Daily earn cap cannot be negative'],
+      max: [1440, 'Daily earn cap cannot exceed 1440 minutes'],
+      default: null
+    },
+    // Most screen minutes that can be spent per day (null = no cap)
+    dailySpendCap: {
+      type: Number,
+      min: [0, 'Daily spend cap cannot be negative'],
+      max: [1440, 'Daily spend cap cannot exceed 1440 minutes'],
+      default: null
+    },
+    // Most unspent minutes carried into the next day (null = keep everything)
+    carryOverMinutes: {
+      type: Number,
+      min: [0, 'Carry-over cannot be negative'],
+      max: [10080, 'Carry-over cannot exceed 10080 minutes'],
+      default: null
+    },
+    // Last day the carry-over rule was applied to ('YYYY-MM-DD')
+    settledThrough: String
+  },
+  // Streaks as of the end of the last evaluated day, kept by the nightly job
+  streak: {
+    current: {
+      type: Number,
+      default: 0
+    },
+    longest: {
+      type: Number,
+      default: 0
+    },
+    // Last day (YYYY-MM-DD, family time zone) included
+    evaluatedThrough: String
+  },
   parent: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Kid's own login account, if they signed up with the family code
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -44,9 +129,47 @@ const kidSchema = new mongoose.Schema({
 // Add index on parent for better query performance
 kidSchema.index({ parent: 1 });
 
+// One profile per kid login
+kidSchema.index({ user: 1 }, { unique: true, sparse: true });
+
 // Method to get kid object as JSON
 kidSchema.methods.toJSON = function() {
   const kid = this.toObject();
+  // Storage keys are internal, clients get hex colors and image URLs
+  kid.avatar = avatarFor(this);
+  return kid;
+};
+
+// Find the Kid profile linked to a kid login
+kidSchema.statics.findForUser = function(user) {
+  if (!user.kidProfile) return Promise.resolve(null);
+  return this.findOne({ _id: user.kidProfile, user: user._id });
+};
+
+/**
+ * Create the Kid profile for a kid login and link both ways
+ * Also adds the kid to the parent's kids array
+ * @param {Object} kidUser - Kid User document
+ * @param {Object} details - { name, age }
+ * @returns {Promise<Object>} Kid document
+ */
+kidSchema.statics.createForUser = async function(kidUser, { name, age }) {
+  const kid = await this.create({
+    name,
+    age,
+    parent: kidUser.parent,
+    user: kidUser._id
+  });
+
+  kidUser.kidProfile = kid._id;
+  await kidUser.save();
+
+  await mongoose.model('User').findByIdAndUpdate(
+    kidUser.parent,
+    { $push: { kids: kid._id } },
+    { new: true }
+  );
+
   return kid;
 };
 
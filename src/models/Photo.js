@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const photoSchema = new mongoose.Schema({
+  kid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kid',
+    required: true
+  },
+  // Owning parent, denormalized from the kid for ownership checks
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What the photo is proof for: an activity session or a challenge
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ActivitySession'
+  },
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge'
+  },
+  // Storage keys of the stored photo and its thumbnail
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  width: {
+    type: Number,
+    required: true
+  },
+  height: {
+    type: Number,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for listing the photos of a session or challenge
+photoSchema.index({ activity: 1 }, { sparse: true });
+photoSchema.index({ challenge: 1 }, { sparse: true });
+
+photoSchema.pre('validate', function(next) {
+  if (!this.activity === !this.challenge) {
+    this.invalidate('activity', 'Photo must belong to exactly one activity or challenge');
+  }
+  next();
+});
+
+// Storage keys are internal, clients fetch photos through the API
+photoSchema.methods.toJSON = function() {
+  const photo = this.toObject();
+  delete photo.key;
+  delete photo.thumbnailKey;
+  photo.url = `/api/photos/${this._id}`;
+  photo.thumbnailUrl = `/api/photos/${this._id}?size=thumbnail`;
+  return photo;
+};
+
+const Photo = mongoose.model('Photo', photoSchema);
+
+module.exports = Photo;
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const PLACE_KINDS = ['home', 'park', 'school', 'playground', 'sports', 'other'];
+const PLACE_SHAPES = ['circle', 'polygon'];
+
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  // [longitude, latitude], GeoJSON order
+  coordinates: {
+    type: [Number],
+    required: true
+  }
+}, { _id: false });
+
+const areaSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Polygon'],
+    default: 'Polygon'
+  },
+  // Rings of [longitude, latitude] positions, first and last the same
+  coordinates: {
+    type: [[[Number]]],
+    required: true
+  }
+}, { _id: false });
+
+const placeSchema = new mongoose.Schema({
+  // Family owner the place belongs to
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Place name is required'],
+    trim: true,
+    maxlength: [50, 'Place name cannot exceed 50 characters']
+  },
+  kind: {
+    type: String,
+    enum: {
+      values: PLACE_KINDS,
+      message: 'Place kind must be one of: {values}'
+    },
+    default: 'other'
+  },
+  shape: {
+    type: String,
+    enum: PLACE_SHAPES,
+    required: true
+  },
+  // Circles: center and radius as entered by the parent
+  center: pointSchema,
+  radiusMeters: {
+    type: Number,
+    min: [10, 'Radius must be at least 10 meters'],
+    max: [5000, 'Radius cannot exceed 5000 meters']
+  },
+  // Area used for matching: the polygon itself, or a polygon enclosing the
+  // circle (the exact distance is checked after matching)
+  area: {
+    type: areaSchema,
+    required: true
+  },
+  // Check-ins here count as outdoor time (e.g. a park, not a school building)
+  outdoor: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for finding the places containing a point
+placeSchema.index({ area: '2dsphere' });
+
+// Index for listing a family's places
+placeSchema.index({ parent: 1 });
+
+placeSchema.statics.PLACE_KINDS = PLACE_KINDS;
+placeSchema.statics.PLACE_SHAPES = PLACE_SHAPES;
+
+// Method to get place object as JSON
+placeSchema.methods.toJSON = function() {
+  const place = this.toObject();
+
+  // Clients work with latitude/longitude, not GeoJSON
+  if (place.shape === 'circle') {
+    const [longitude, latitude] = place.center.coordinates;
+    place.center = { latitude, longitude };
+  } else {
+    place.points = place.area.coordinates[0]
+      .slice(0, -1)
+      .map(([longitude, latitude]) => ({ latitude, longitude }));
+    delete place.center;
+  }
+  delete place.area;
+
+  return place;
+};
+
+const Place = mongoose.model('Place', placeSchema);
+
+module.exports = Place;
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const TRANSACTION_TYPES = ['activity', 'challenge', 'redemption', 'refund', 'adjustment'];
+
+const pointsTransactionSchema = new mongoose.Schema({
+  kid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kid',
+    required: true
+  },
+  // Owning parent, denormalized from the kid for ownership checks
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Positive to earn, negative to spend
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: {
+      validator: function(amount) {
+        return Number.isInteger(amount) && amount !== 0;
+      },
+      message: 'Amount must be a non-zero whole number'
+    }
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  // What the entry is about, depending on type
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ActivitySession'
+  },
+  redemption: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Redemption'
+  },
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  // User whose action created the entry
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// Index for a kid's ledger newest first
+pointsTransactionSchema.index({ kid: 1, createdAt: -1 });
+
+// Index for summing the points of an activity
+pointsTransactionSchema.index({ activity: 1 }, { sparse: true });
+
+pointsTransactionSchema.statics.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+// The ledger is append-only: corrections are new entries, never edits
+const appendOnly = function(next) {
+  next(new Error('Points ledger entries cannot be modified or deleted'));
+};
+
+pointsTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+pointsTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  appendOnly
+);
+
+/**
+ * Compute a kid's balance from the ledger
+ * @param {string} kidId - Kid ID
+ * @returns {Promise<number>} Points balance
+ */
+pointsTransactionSchema.statics.balanceFor = async function(kidId) {
+  const [result] = await this.aggregate([
+    { $match: { kid: new mongoose.Types.ObjectId(String(kidId)) } },
+    { $group: { _id: null, balance: { $sum: '$amount' } } }
+  ]);
+
+  return result ? result.balance : 0;
+};
+
+const PointsTransaction = mongoose.model('PointsTransaction', pointsTransactionSchema);
+
+module.exports = PointsTransaction;
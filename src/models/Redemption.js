@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const redemptionSchema = new mongoose.Schema({
+  kid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kid',
+    required: true
+  },
+  // Owning parent, denormalized from the kid for ownership checks
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reward',
+    required: true
+  },
+  // Snapshot at request time, so later catalog edits don't change history
+  rewardName: {
+    type: String,
+    required: true
+  },
+  cost: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'cancelled'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: {
+    type: Date
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing redemptions by family and status
+redemptionSchema.index({ parent: 1, status: 1, createdAt: -1 });
+redemptionSchema.index({ kid: 1, createdAt: -1 });
+
+const Redemption = mongoose.model('Redemption', redemptionSchema);
+
+module.exports = Redemption;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token handed to the client, the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens rotated from the same login share a family
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for revoking a whole family or all of a user's tokens
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+
+// Let MongoDB purge expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for storage and lookup
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Issue a new refresh token, starting a new family unless one is given
+ * @param {string} userId - User ID
+ * @param {string} [family] - Existing token family when rotating
+ * @returns {Promise<{token: string, doc: Object}>} Raw token and stored document
+ */
+refreshTokenSchema.statics.issue = async function(userId, family) {
+  const token = crypto.randomBytes(40).toString('hex');
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+  const doc = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+
+  return { token, doc };
+};
+
+// Revoke every live token of a family
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Revoke every live token of a user (e.g. logout everywhere, password change)
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
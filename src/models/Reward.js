@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const rewardSchema = new mongoose.Schema({
+  // Family owner whose kids can redeem the reward
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Reward name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  cost: {
+    type: Number,
+    required: [true, 'Cost is required'],
+    min: [1, 'Cost must be at least 1 point'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Cost must be a whole number of points'
+    }
+  },
+  // Retired rewards stay for redemption history but can't be redeemed
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a family's catalog
+rewardSchema.index({ parent: 1, active: 1 });
+
+const Reward = mongoose.model('Reward', rewardSchema);
+
+module.exports = Reward;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// earned: outdoor time converted at the kid's ratio
+// adjustment: correction of an activity's earnings after it was edited or deleted
+// spent / refund: screen time used, and spends reversed because a limit was hit
+// grant / deduction: manual changes by a parent
+// expired: unspent minutes over the carry-over limit at the end of a day
+const TRANSACTION_TYPES = ['earned', 'adjustment', 'spent', 'refund', 'grant', 'deduction', 'expired'];
+
+const screenTimeTransactionSchema = new mongoose.Schema({
+  kid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kid',
+    required: true
+  },
+  // Owning parent, denormalized from the kid for ownership checks
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Screen minutes, positive to add, negative to take away
+  minutes: {
+    type: Number,
+    required: [true, 'Minutes are required'],
+    validate: {
+      validator: function(minutes) {
+        return Number.isInteger(minutes) && minutes !== 0;
+      },
+      message: 'Minutes must be a non-zero whole number'
+    }
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  // Day the entry counts toward for daily caps and carry-over ('YYYY-MM-DD',
+  // family time zone). Activity earnings count toward the day the session started
+  day: {
+    type: String,
+    required: true
+  },
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ActivitySession'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  // User whose action created the entry
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// Index for a kid's ledger newest first
+screenTimeTransactionSchema.index({ kid: 1, createdAt: -1 });
+
+// Index for daily totals
+screenTimeTransactionSchema.index({ kid: 1, day: 1 });
+
+// Index for summing the earnings of an activity
+screenTimeTransactionSchema.index({ activity: 1 }, { sparse: true });
+
+screenTimeTransactionSchema.statics.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+// The ledger is append-only: corrections are new entries, never edits
+const appendOnly = function(next) {
+  next(new Error('Screen time ledger entries cannot be modified or deleted'));
+};
+
+screenTimeTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+screenTimeTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  appendOnly
+);
+
+/**
+ * Compute a kid's balance from the ledger
+ * @param {string} kidId - Kid ID
+ * @param {string} [throughDay] - Only count entries up to this day
+ * @returns {Promise<number>} Screen minutes
+ */
+screenTimeTransactionSchema.statics.balanceFor = async function(kidId, throughDay) {
+  const match = { kid: new mongoose.Types.ObjectId(String(kidId)) };
+  if (throughDay) match.day = { $lte: throughDay };
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, balance: { $sum: '$minutes' } } }
+  ]);
+
+  return result ? result.balance : 0;
+};
+
+const ScreenTimeTransaction = mongoose.model('ScreenTimeTransaction', screenTimeTransactionSchema);
+
+module.exports = ScreenTimeTransaction;
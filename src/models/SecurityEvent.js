@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['account_locked'],
+    required: true
+  },
+  // Account the event is about
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Family owner who can see the event (the parent, or the kid's parent)
+  familyOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ip: {
+    type: String
+  },
+  failedAttempts: {
+    type: Number
+  },
+  lockedUntil: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a family's events newest first
+securityEventSchema.index({ familyOwner: 1, createdAt: -1 });
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
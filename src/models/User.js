@@ -1,6 +1,54 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const RefreshToken = require('./RefreshToken');
+const { SUPPORTED_LOCALES } = require('../services/i18n');
+
+const DEVICE_PLATFORMS = ['ios', 'android', 'web'];
+const PUSH_PROVIDERS = ['fcm', 'apns'];
+const NOTIFICATION_CATEGORIES = ['reminders', 'activity', 'goals', 'challenges', 'rewards', 'location'];
+
+// HH:MM, 24-hour clock
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const deviceSchema = new mongoose.Schema({
+  // Push token issued to the app by FCM or APNs
+  token: {
+    type: String,
+    required: [true, 'Device token is required'],
+    trim: true,
+    maxlength: [4096, 'Device token is too long']
+  },
+  platform: {
+    type: String,
+    enum: {
+      values: DEVICE_PLATFORMS,
+      message: 'Platform must be one of: {values}'
+    },
+    required: [true, 'Platform is required']
+  },
+  provider: {
+    type: String,
+    enum: {
+      values: PUSH_PROVIDERS,
+      message: 'Provider must be one of: {values}'
+    },
+    default: 'fcm'
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -22,7 +70,8 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['parent', 'kid'],
+    // Admins are created directly in the database, never through signup
+    enum: ['parent', 'kid', 'admin'],
     default: 'parent',
     required: true
   },
@@ -30,6 +79,27 @@ const userSchema = new mongoose.Schema({
   familyCode: {
     type: String
   },
+  // For parents: restrictions on how the family code can be used
+  familyCodeSettings: {
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    maxUses: {
+      type: Number,
+      min: [1, 'Maximum uses must be at least 1'],
+      default: null
+    },
+    uses: {
+      type: Number,
+      default: 0
+    },
+    // Kid signups become join requests the parent must approve
+    requireApproval: {
+      type: Boolean,
+      default: false
+    }
+  },
   // For kids: reference to their parent user
   parent: {
     type: mongoose.Schema.Types.ObjectId,
@@ -41,27 +111,149 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Name cannot exceed 50 characters']
   },
+  // For kids: their Kid profile document
+  kidProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kid'
+  },
+  // For kids: signed up with a family code that requires parent approval
+  pendingApproval: {
+    type: Boolean,
+    default: false
+  },
+  // Language of API messages, wins over Accept-Language (null = follow the device)
+  locale: {
+    type: String,
+    enum: {
+      values: SUPPORTED_LOCALES,
+      message: 'Locale must be one of: {values}'
+    },
+    default: null
+  },
+  // Disabled accounts can't log in (e.g. kid login whose profile was deleted)
+  disabled: {
+    type: Boolean,
+    default: false
+  },
   kids: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Kid'
   }],
+  // Consecutive failed logins, reset on success
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Login is refused until this time after repeated failures
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  // Bumped to invalidate every access token issued before
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Parents must verify their email before adding kids or sharing the family code
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Hashed email verification token
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // Hashed single-use password reset token
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Devices receiving push notifications
+  devices: {
+    type: [deviceSchema],
+    select: false
+  },
+  notificationPreferences: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Per-category switches, all on by default
+    categories: Object.fromEntries(
+      NOTIFICATION_CATEGORIES.map(category => [category, { type: Boolean, default: true }])
+    ),
+    // No pushes between start and end, in the family's time zone
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      start: {
+        type: String,
+        match: [TIME_OF_DAY, 'Quiet hours must use HH:MM'],
+        default: '21:00'
+      },
+      end: {
+        type: String,
+        match: [TIME_OF_DAY, 'Quiet hours must use HH:MM'],
+        default: '07:00'
+      }
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+userSchema.statics.DEVICE_PLATFORMS = DEVICE_PLATFORMS;
+userSchema.statics.PUSH_PROVIDERS = PUSH_PROVIDERS;
+userSchema.statics.NOTIFICATION_CATEGORIES = NOTIFICATION_CATEGORIES;
+
 // Generate unique family code for parents
 userSchema.statics.generateFamilyCode = function() {
   return crypto.randomBytes(3).toString('hex').toUpperCase(); // 6 character code like "A3F2B1"
 };
 
+// Generate a family code not used by any other parent
+userSchema.statics.generateUniqueFamilyCode = async function() {
+  let code;
+  do {
+    code = this.generateFamilyCode();
+  } while (await this.exists({ familyCode: code, role: 'parent' }));
+  return code;
+};
+
+// Whether kids can currently join with this parent's family code
+userSchema.methods.isFamilyCodeUsable = function() {
+  const settings = this.familyCodeSettings || {};
+
+  if (!this.familyCode) return false;
+  if (settings.expiresAt && settings.expiresAt <= new Date()) return false;
+  if (settings.maxUses && settings.uses >= settings.maxUses) return false;
+
+  return true;
+};
+
 // Add index on email for better query performance
 userSchema.index({ email: 1 });
 
 // Add index on familyCode for querying family members
 userSchema.index({ familyCode: 1 });
 
+// Index for finding the account a device token is registered to
+userSchema.index({ 'devices.token': 1 });
+
 // Pre-save hook to hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -91,10 +283,94 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Hash a raw single-use token (password reset, email verification) for storage
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Method to create a password reset token, valid for 1 hour
+// Stores only the hash and returns the raw token to be emailed
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = this.constructor.hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+
+  return resetToken;
+};
+
+// Method to create an email verification token, valid for 24 hours
+// Stores only the hash and returns the raw token to be emailed
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = this.constructor.hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Failed logins allowed before the account starts locking
+const LOCK_THRESHOLD = 5;
+// First lock lasts 30 seconds, doubling with each further failure
+const LOCK_BASE_MS = 30 * 1000;
+const LOCK_MAX_MS = 15 * 60 * 1000;
+
+// Whether the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+/**
+ * Record a failed login and lock the account once the threshold is hit
+ * Each further failure doubles the lock, up to 15 minutes
+ * @returns {Promise<Date|null>} Lock expiry if the account is now locked
+ */
+userSchema.methods.registerFailedLogin = async function() {
+  const { failedLoginAttempts } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+
+  this.failedLoginAttempts = failedLoginAttempts;
+  if (failedLoginAttempts < LOCK_THRESHOLD) return null;
+
+  const lockMs = Math.min(LOCK_BASE_MS * 2 ** (failedLoginAttempts - LOCK_THRESHOLD), LOCK_MAX_MS);
+  this.lockUntil = new Date(Date.now() + lockMs);
+  await this.constructor.updateOne({ _id: this._id }, { lockUntil: this.lockUntil });
+
+  return this.lockUntil;
+};
+
+// Method to clear failed login tracking after a successful login
+userSchema.methods.resetFailedLogins = function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return Promise.resolve();
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, $unset: { lockUntil: 1 } }
+  );
+};
+
+// Method to revoke all access and refresh tokens (e.g. after password change)
+userSchema.methods.revokeAllTokens = async function() {
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+  await this.save();
+  await RefreshToken.revokeAllForUser(this._id);
+  // Signed-out devices stop receiving push notifications
+  await this.constructor.updateOne({ _id: this._id }, { $set: { devices: [] } });
+};
+
 // Method to get user object without password
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.devices;
   return user;
 };
 
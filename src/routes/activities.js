@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const uploadPhoto = require('../middleware/uploadPhoto');
+const validate = require('../middleware/validate');
+const {
+  startActivity,
+  stopActivity,
+  logActivity,
+  getActivities,
+  updateActivity,
+  deleteActivity
+} = require('../controllers/activityController');
+const { uploadActivityPhoto, getActivityPhotos } = require('../controllers/photoController');
+const schemas = require('../schemas/activities');
+
+// All routes require authentication
+router.use(auth);
+
+// POST /api/activities/start - Start an outdoor session
+router.post('/start', checkRole('kid', 'parent'), validate(schemas.startActivity), startActivity);
+
+// POST /api/activities/:id/stop - Stop a running session
+router.post('/:id/stop', checkRole('kid', 'parent'), validate(schemas.stopActivity), stopActivity);
+
+// POST /api/activities - Log a completed session after the fact
+router.post('/', checkRole('kid', 'parent'), validate(schemas.logActivity), logActivity);
+
+// GET /api/activities - Get own sessions (kid) or all kids' sessions (parent)
+router.get('/', checkRole('kid', 'parent'), validate(schemas.getActivities), getActivities);
+
+// PUT /api/activities/:id - Correct a session
+router.put('/:id', checkRole('parent'), validate(schemas.updateActivity), updateActivity);
+
+// DELETE /api/activities/:id - Delete a session
+router.delete('/:id', checkRole('parent'), validate(schemas.deleteActivity), deleteActivity);
+
+// POST /api/activities/:id/photos - Attach a photo to a session
+router.post('/:id/photos', checkRole('kid', 'parent'), uploadPhoto, validate(schemas.uploadActivityPhoto), uploadActivityPhoto);
+
+// GET /api/activities/:id/photos - Get a session's photos
+router.get('/:id/photos', checkRole('kid', 'parent'), validate(schemas.getActivityPhotos), getActivityPhotos);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const validate = require('../middleware/validate');
+const {
+  getActivityIdeas,
+  createActivityIdea,
+  updateActivityIdea,
+  deleteActivityIdea
+} = require('../controllers/activityIdeaController');
+const schemas = require('../schemas/activityCatalog');
+
+// All routes require authentication
+router.use(auth);
+
+// GET /api/activity-catalog - Browse the activity catalog (optional ?interest=)
+router.get('/', validate(schemas.getActivityIdeas), getActivityIdeas);
+
+// POST /api/activity-catalog - Add an activity
+router.post('/', checkRole('admin'), validate(schemas.createActivityIdea), createActivityIdea);
+
+// PUT /api/activity-catalog/:id - Update an activity
+router.put('/:id', checkRole('admin'), validate(schemas.updateActivityIdea), updateActivityIdea);
+
+// DELETE /api/activity-catalog/:id - Retire an activity
+router.delete('/:id', checkRole('admin'), validate(schemas.deleteActivityIdea), deleteActivityIdea);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const validate = require('../middleware/validate');
+const { getAuditLog } = require('../controllers/auditController');
+const schemas = require('../schemas/audit');
+
+// All routes require authentication and parent role
+router.use(auth);
+router.use(checkRole('parent'));
+
+// GET /api/audit - Get logins, kid changes and other audited actions
+router.get('/', validate(schemas.getAuditLog), getAuditLog);
+
+module.exports = router;
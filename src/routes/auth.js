@@ -4,36 +4,142 @@ const {
   signup,
   login,
   getCurrentUser,
-  logout
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  updateLocale
 } = require('../controllers/authController');
 const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+// Per-IP limit on login attempts
+const loginIpLimit = rateLimit({
+  name: 'login-ip',
+  windowMs: FIFTEEN_MINUTES,
+  max: 50,
+  code: 'AUTH_TOO_MANY_ATTEMPTS',
+  message: 'Too many login attempts from this IP. Please try again later.'
+});
+
+// Per-account limit on login attempts, across all IPs
+const loginAccountLimit = rateLimit({
+  name: 'login-account',
+  windowMs: FIFTEEN_MINUTES,
+  max: 20,
+  keyGenerator: (req) => req.body && typeof req.body.email === 'string' && req.body.email.toLowerCase().trim(),
+  code: 'AUTH_TOO_MANY_ATTEMPTS',
+  message: 'Too many login attempts for this account. Please try again later.'
+});
+
+// Per-IP limit on signups (covers family code guessing)
+const signupLimit = rateLimit({
+  name: 'signup-ip',
+  windowMs: ONE_HOUR,
+  max: 20,
+  message: 'Too many signup attempts from this IP. Please try again later.'
+});
+
+// Per-IP limit on endpoints that send email
+const emailLimit = rateLimit({
+  name: 'email-ip',
+  windowMs: ONE_HOUR,
+  max: 10,
+  message: 'Too many email requests. Please try again later.'
+});
 
 /**
  * @route   POST /api/auth/signup
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/signup', signup);
+router.post('/signup', signupLimit, validate(schemas.signup), signup);
 
 /**
  * @route   POST /api/auth/login
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', login);
+router.post('/login', loginIpLimit, loginAccountLimit, validate(schemas.login), login);
 
 /**
  * @route   GET /api/auth/me
  * @desc    Get current logged in user
  * @access  Private (requires authentication)
  */
-router.get('/me', auth, getCurrentUser);
+router.get('/me', auth, validate(schemas.getCurrentUser), getCurrentUser);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public (requires refresh token)
+ */
+router.post('/refresh', validate(schemas.refresh), refresh);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user by revoking the refresh token
+ * @access  Public (requires refresh token)
+ */
+router.post('/logout', validate(schemas.logout), logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke all tokens of the current user
+ * @access  Private (requires authentication)
+ */
+router.post('/logout-all', auth, validate(schemas.logoutAll), logoutAll);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
  * @access  Public
  */
-router.post('/logout', logout);
+router.post('/forgot-password', emailLimit, validate(schemas.forgotPassword), forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public (requires reset token)
+ */
+router.post('/reset-password', validate(schemas.resetPassword), resetPassword);
+
+/**
+ * @route   PUT /api/auth/password
+ * @desc    Change password of the current user
+ * @access  Private (requires authentication)
+ */
+router.put('/password', auth, validate(schemas.changePassword), changePassword);
+
+/**
+ * @route   GET /api/auth/verify-email/:token
+ * @desc    Verify email address
+ * @access  Public (requires verification token)
+ */
+router.get('/verify-email/:token', validate(schemas.verifyEmail), verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private (Parent only)
+ */
+router.post('/resend-verification', auth, checkRole('parent'), emailLimit, validate(schemas.resendVerification), resendVerification);
+
+/**
+ * @route   PUT /api/auth/locale
+ * @desc    Set the language of API messages
+ * @access  Private (requires authentication)
+ */
+router.put('/locale', auth, validate(schemas.updateLocale), updateLocale);
 
 module.exports = router;
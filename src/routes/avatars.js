@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const validate = require('../middleware/validate');
+const { getPresets, getKidAvatarImage } = require('../controllers/avatarController');
+const schemas = require('../schemas/avatars');
+
+// GET /api/avatars/presets - Get the avatar preset palette
+router.get('/presets', validate(schemas.getPresets), getPresets);
+
+// GET /api/avatars/kids/:id - Download a kid's profile image
+router.get('/kids/:id', auth, checkRole('kid', 'parent'), validate(schemas.getKidAvatarImage), getKidAvatarImage);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const uploadPhoto = require('../middleware/uploadPhoto');
+const validate = require('../middleware/validate');
+const {
+  createChallenge,
+  getChallenges,
+  getChallenge,
+  updateChallenge,
+  deleteChallenge,
+  acceptChallenge,
+  submitChallenge,
+  approveChallenge,
+  rejectChallenge
+} = require('../controllers/challengeController');
+const { uploadChallengePhoto, getChallengePhotos } = require('../controllers/photoController');
+const schemas = require('../schemas/challenges');
+
+// All routes require authentication
+router.use(auth);
+
+// POST /api/challenges - Assign a challenge to a kid
+router.post('/', checkRole('parent'), validate(schemas.createChallenge), createChallenge);
+
+// GET /api/challenges - Get own (kid) or family (parent) challenges
+router.get('/', checkRole('kid', 'parent'), validate(schemas.getChallenges), getChallenges);
+
+// GET /api/challenges/:id - Get a single challenge
+router.get('/:id', checkRole('kid', 'parent'), validate(schemas.getChallenge), getChallenge);
+
+// PUT /api/challenges/:id - Update a challenge
+router.put('/:id', checkRole('parent'), validate(schemas.updateChallenge), updateChallenge);
+
+// DELETE /api/challenges/:id - Delete a challenge
+router.delete('/:id', checkRole('parent'), validate(schemas.deleteChallenge), deleteChallenge);
+
+// POST /api/challenges/:id/accept - Accept an assigned challenge
+router.post('/:id/accept', checkRole('kid'), validate(schemas.acceptChallenge), acceptChallenge);
+
+// POST /api/challenges/:id/photos - Upload a photo for a submission
+router.post('/:id/photos', checkRole('kid'), uploadPhoto, validate(schemas.uploadChallengePhoto), uploadChallengePhoto);
+
+// GET /api/challenges/:id/photos - Get a challenge's photos
+router.get('/:id/photos', checkRole('kid', 'parent'), validate(schemas.getChallengePhotos), getChallengePhotos);
+
+// POST /api/challenges/:id/submit - Submit proof for a challenge
+router.post('/:id/submit', checkRole('kid'), validate(schemas.submitChallenge), submitChallenge);
+
+// POST /api/challenges/:id/approve - Approve a submission and award points
+router.post('/:id/approve', checkRole('parent'), validate(schemas.approveChallenge), approveChallenge);
+
+// POST /api/challenges/:id/reject - Reject a submission
+router.post('/:id/reject', checkRole('parent'), validate(schemas.rejectChallenge), rejectChallenge);
+
+module.exports = router;
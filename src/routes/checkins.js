@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const validate = require('../middleware/validate');
+const { createCheckIn, getCheckIns } = require('../controllers/checkInController');
+const schemas = require('../schemas/checkins');
+
+// All routes require authentication
+router.use(auth);
+
+// POST /api/checkins - Check in the kid's current location
+router.post('/', checkRole('kid'), validate(schemas.createCheckIn), createCheckIn);
+
+// GET /api/checkins - Get check-ins (kids: own, parents: family)
+router.get('/', checkRole('kid', 'parent'), validate(schemas.getCheckIns), getCheckIns);
+
+module.exports = router;
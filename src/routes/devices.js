@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+  registerDevice,
+  getDevices,
+  removeDevice,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notificationController');
+const schemas = require('../schemas/devices');
+
+// All routes require authentication
+router.use(auth);
+
+// GET /api/devices/preferences - Get notification preferences
+router.get('/preferences', validate(schemas.getPreferences), getPreferences);
+
+// PUT /api/devices/preferences - Update notification preferences and quiet hours
+router.put('/preferences', validate(schemas.updatePreferences), updatePreferences);
+
+// POST /api/devices - Register a device for push notifications
+router.post('/', validate(schemas.registerDevice), registerDevice);
+
+// GET /api/devices - List registered devices
+router.get('/', validate(schemas.getDevices), getDevices);
+
+// DELETE /api/devices/:id - Unregister a device
+router.delete('/:id', validate(schemas.removeDevice), removeDevice);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const { getOpenApiSpec } = require('../controllers/docsController');
+
+// GET /api/docs/openapi.json - Get the OpenAPI document
+router.get('/openapi.json', getOpenApiSpec);
+
+// GET /api/docs - Interactive API docs (Swagger UI)
+// The page loads its assets relative to itself, so it needs the trailing slash
+router.get('/', (req, res, next) => {
+  if (!req.originalUrl.split('?')[0].endsWith('/')) {
+    return res.redirect(301, `${req.baseUrl}/`);
+  }
+  next();
+});
+router.use('/', swaggerUi.serve);
+router.get('/', swaggerUi.setup(null, {
+  customSiteTitle: 'Touch Grass API',
+  swaggerOptions: { url: '/api/docs/openapi.json' }
+}));
+
+module.exports = router;
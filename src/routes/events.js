@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const tokenFromQuery = require('../middleware/tokenFromQuery');
+const validate = require('../middleware/validate');
+const { streamEvents } = require('../controllers/eventController');
+const schemas = require('../schemas/events');
+
+// GET /api/events - Live family event stream (Server-Sent Events)
+router.get('/', tokenFromQuery, auth, checkRole('kid', 'parent'), validate(schemas.streamEvents), streamEvents);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const validate = require('../middleware/validate');
+const {
+  getFamilyCode,
+  updateFamilyCode,
+  regenerateFamilyCode,
+  revokeFamilyCode,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
+  getMemberships,
+  leaveFamily,
+  getMembers,
+  updateMember,
+  removeMember,
+  createInvite,
+  getInvites,
+  revokeInvite,
+  acceptInvite,
+  getFamilySettings,
+  updateFamilySettings
+} = require('../controllers/familyController');
+const schemas = require('../schemas/family');
+
+// All routes require authentication and a verified parent
+router.use(auth);
+router.use(checkRole('parent'));
+router.use(requireVerifiedEmail);
+
+// GET /api/family/settings - Get family name and time zone
+router.get('/settings', validate(schemas.getFamilySettings), getFamilySettings);
+
+// PUT /api/family/settings - Update family name and time zone
+router.put('/settings', validate(schemas.updateFamilySettings), updateFamilySettings);
+
+// GET /api/family/code - Get family code and its settings
+router.get('/code', validate(schemas.getFamilyCode), getFamilyCode);
+
+// PUT /api/family/code - Update expiry, usage limit and approval settings
+router.put('/code', validate(schemas.updateFamilyCode), updateFamilyCode);
+
+// POST /api/family/code/regenerate - Replace the family code
+router.post('/code/regenerate', validate(schemas.regenerateFamilyCode), regenerateFamilyCode);
+
+// DELETE /api/family/code - Revoke the family code
+router.delete('/code', validate(schemas.revokeFamilyCode), revokeFamilyCode);
+
+// GET /api/family/join-requests - Get join requests (optional ?status=)
+router.get('/join-requests', validate(schemas.getJoinRequests), getJoinRequests);
+
+// POST /api/family/join-requests/:id/approve - Approve a join request
+router.post('/join-requests/:id/approve', validate(schemas.approveJoinRequest), approveJoinRequest);
+
+// POST /api/family/join-requests/:id/reject - Reject a join request
+router.post('/join-requests/:id/reject', validate(schemas.rejectJoinRequest), rejectJoinRequest);
+
+// GET /api/family/memberships - Get every family the user belongs to
+router.get('/memberships', validate(schemas.getMemberships), getMemberships);
+
+// DELETE /api/family/memberships/:familyId - Leave a family
+router.delete('/memberships/:familyId', validate(schemas.leaveFamily), leaveFamily);
+
+// GET /api/family/members - Get members of own family
+router.get('/members', validate(schemas.getMembers), getMembers);
+
+// PUT /api/family/members/:userId - Change a member's role
+router.put('/members/:userId', validate(schemas.updateMember), updateMember);
+
+// DELETE /api/family/members/:userId - Remove a member
+router.delete('/members/:userId', validate(schemas.removeMember), removeMember);
+
+// POST /api/family/invites - Invite a co-parent or caregiver
+router.post('/invites', validate(schemas.createInvite), createInvite);
+
+// GET /api/family/invites - Get pending invites
+router.get('/invites', validate(schemas.getInvites), getInvites);
+
+// POST /api/family/invites/accept - Accept an invite code
+router.post('/invites/accept', validate(schemas.acceptInvite), acceptInvite);
+
+// DELETE /api/family/invites/:id - Revoke an invite
+router.delete('/invites/:id', validate(schemas.revokeInvite), revokeInvite);
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const checkRole = require('../middleware/checkRole');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const uploadPhoto = require('../middleware/uploadPhoto');
+const validate = require('../middleware/validate');
 const {
   addKid,
   getKids,
@@ -9,24 +12,91 @@ const {
   updateKid,
   deleteKid
 } = require('../controllers/kidController');
+const { getKidActivities } = require('../controllers/activityController');
+const {
+  getGoals,
+  updateGoals,
+  getKidProgress
+} = require('../controllers/progressController');
+const { getKidPoints, adjustKidPoints } = require('../controllers/pointsController');
+const {
+  getSuggestions,
+  hideSuggestion,
+  unhideSuggestion
+} = require('../controllers/suggestionController');
+const { uploadKidAvatar, deleteKidAvatar } = require('../controllers/avatarController');
+const {
+  getScreenTime,
+  updateScreenTimeSettings,
+  spendScreenTime,
+  adjustScreenTime
+} = require('../controllers/screenTimeController');
+const schemas = require('../schemas/kids');
 
-// All routes require authentication and parent role
+// All routes require authentication
 router.use(auth);
+
+// GET /api/kids/:id/screen-time - Get screen time balance, limits and ledger (kid: own profile)
+router.get('/:id/screen-time', checkRole('kid', 'parent'), validate(schemas.getScreenTime), getScreenTime);
+
+// POST /api/kids/:id/screen-time/spend - Spend screen time (kid: own profile)
+router.post('/:id/screen-time/spend', checkRole('kid', 'parent'), validate(schemas.spendScreenTime), spendScreenTime);
+
+// All other routes require parent role
 router.use(checkRole('parent'));
 
-// POST /api/kids - Add a new kid
-router.post('/', addKid);
+// PUT /api/kids/:id/screen-time/settings - Set ratio, daily caps and carry-over
+router.put('/:id/screen-time/settings', validate(schemas.updateScreenTimeSettings), updateScreenTimeSettings);
+
+// POST /api/kids/:id/screen-time/adjust - Grant or deduct screen time
+router.post('/:id/screen-time/adjust', validate(schemas.adjustScreenTime), adjustScreenTime);
+
+// POST /api/kids - Add a new kid (verified parents only)
+router.post('/', requireVerifiedEmail, validate(schemas.addKid), addKid);
 
 // GET /api/kids - Get all kids for logged-in parent
-router.get('/', getKids);
+router.get('/', validate(schemas.getKids), getKids);
 
 // GET /api/kids/:id - Get a single kid
-router.get('/:id', getKid);
+router.get('/:id', validate(schemas.getKid), getKid);
+
+// GET /api/kids/:id/activities - Get a kid's activity sessions
+router.get('/:id/activities', validate(schemas.getKidActivities), getKidActivities);
+
+// GET /api/kids/:id/goals - Get a kid's outdoor time goals
+router.get('/:id/goals', validate(schemas.getGoals), getGoals);
+
+// PUT /api/kids/:id/goals - Set a kid's outdoor time goals
+router.put('/:id/goals', validate(schemas.updateGoals), updateGoals);
+
+// GET /api/kids/:id/progress - Get goal progress, streaks and rollups
+router.get('/:id/progress', validate(schemas.getKidProgress), getKidProgress);
+
+// GET /api/kids/:id/points - Get points balance and ledger
+router.get('/:id/points', validate(schemas.getKidPoints), getKidPoints);
+
+// POST /api/kids/:id/points/adjust - Grant or deduct points
+router.post('/:id/points/adjust', validate(schemas.adjustKidPoints), adjustKidPoints);
+
+// GET /api/kids/:id/suggestions - Get ranked activity suggestions
+router.get('/:id/suggestions', validate(schemas.getSuggestions), getSuggestions);
+
+// POST /api/kids/:id/suggestions/:activityId/hide - Hide a suggestion
+router.post('/:id/suggestions/:activityId/hide', validate(schemas.hideSuggestion), hideSuggestion);
+
+// DELETE /api/kids/:id/suggestions/:activityId/hide - Restore a hidden suggestion
+router.delete('/:id/suggestions/:activityId/hide', validate(schemas.unhideSuggestion), unhideSuggestion);
+
+// PUT /api/kids/:id/avatar - Upload a profile image
+router.put('/:id/avatar', uploadPhoto, validate(schemas.uploadKidAvatar), uploadKidAvatar);
+
+// DELETE /api/kids/:id/avatar - Remove the profile image
+router.delete('/:id/avatar', validate(schemas.deleteKidAvatar), deleteKidAvatar);
 
 // PUT /api/kids/:id - Update a kid
-router.put('/:id', updateKid);
+router.put('/:id', validate(schemas.updateKid), updateKid);
 
 // DELETE /api/kids/:id - Delete a kid
-router.delete('/:id', deleteKid);
+router.delete('/:id', validate(schemas.deleteKid), deleteKid);
 
 module.exports = router;
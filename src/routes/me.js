@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const validate = require('../middleware/validate');
+const { getProfile } = require('../controllers/meController');
+const { getOwnProgress } = require('../controllers/progressController');
+const { getOwnPoints } = require('../controllers/pointsController');
+const { getOwnSuggestions } = require('../controllers/suggestionController');
+const { getOwnScreenTime } = require('../controllers/screenTimeController');
+const schemas = require('../schemas/me');
+
+// All routes require authentication
+router.use(auth);
+
+// GET /api/me/profile - Get the logged-in kid's profile
+router.get('/profile', checkRole('kid'), validate(schemas.getProfile), getProfile);
+
+// GET /api/me/progress - Get the logged-in kid's goal progress and streaks
+router.get('/progress', checkRole('kid'), validate(schemas.getOwnProgress), getOwnProgress);
+
+// GET /api/me/points - Get the logged-in kid's points balance and ledger
+router.get('/points', checkRole('kid'), validate(schemas.getOwnPoints), getOwnPoints);
+
+// GET /api/me/suggestions - Get activity suggestions for the logged-in kid
+router.get('/suggestions', checkRole('kid'), validate(schemas.getOwnSuggestions), getOwnSuggestions);
+
+// GET /api/me/screen-time - Get the logged-in kid's screen time balance and ledger
+router.get('/screen-time', checkRole('kid'), validate(schemas.getOwnScreenTime), getOwnScreenTime);
+
+module.exports = router;
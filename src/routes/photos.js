@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const validate = require('../middleware/validate');
+const { getPhotoFile, deletePhoto } = require('../controllers/photoController');
+const schemas = require('../schemas/photos');
+
+// All routes require authentication
+router.use(auth);
+
+// GET /api/photos/:id - Download a photo (?size=thumbnail for the thumbnail)
+router.get('/:id', checkRole('kid', 'parent'), validate(schemas.getPhotoFile), getPhotoFile);
+
+// DELETE /api/photos/:id - Delete a photo
+router.delete('/:id', checkRole('kid', 'parent'), validate(schemas.deletePhoto), deletePhoto);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const validate = require('../middleware/validate');
+const {
+  getPlaces,
+  createPlace,
+  updatePlace,
+  deletePlace
+} = require('../controllers/placeController');
+const schemas = require('../schemas/places');
+
+// All routes require authentication and parent role
+router.use(auth);
+router.use(checkRole('parent'));
+
+// GET /api/places - Get the family's places
+router.get('/', validate(schemas.getPlaces), getPlaces);
+
+// POST /api/places - Add a place (circle or polygon)
+router.post('/', validate(schemas.createPlace), createPlace);
+
+// PUT /api/places/:id - Update a place
+router.put('/:id', validate(schemas.updatePlace), updatePlace);
+
+// DELETE /api/places/:id - Delete a place
+router.delete('/:id', validate(schemas.deletePlace), deletePlace);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const validate = require('../middleware/validate');
+const {
+  requestRedemption,
+  getRedemptions,
+  approveRedemption,
+  denyRedemption,
+  cancelRedemption
+} = require('../controllers/redemptionController');
+const schemas = require('../schemas/redemptions');
+
+// All routes require authentication
+router.use(auth);
+
+// POST /api/redemptions - Request a reward
+router.post('/', checkRole('kid'), validate(schemas.requestRedemption), requestRedemption);
+
+// GET /api/redemptions - Get own (kid) or family (parent) redemptions
+router.get('/', checkRole('kid', 'parent'), validate(schemas.getRedemptions), getRedemptions);
+
+// POST /api/redemptions/:id/approve - Approve a reward request
+router.post('/:id/approve', checkRole('parent'), validate(schemas.approveRedemption), approveRedemption);
+
+// POST /api/redemptions/:id/deny - Deny a reward request
+router.post('/:id/deny', checkRole('parent'), validate(schemas.denyRedemption), denyRedemption);
+
+// POST /api/redemptions/:id/cancel - Cancel own reward request
+router.post('/:id/cancel', checkRole('kid'), validate(schemas.cancelRedemption), cancelRedemption);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const validate = require('../middleware/validate');
+const {
+  getWeeklyReport,
+  sendWeeklyReport
+} = require('../controllers/reportController');
+const schemas = require('../schemas/reports');
+
+// All routes require authentication and parent role
+router.use(auth);
+router.use(checkRole('parent'));
+
+// GET /api/reports/weekly - Get the weekly report as JSON, CSV or PDF
+router.get('/weekly', validate(schemas.getWeeklyReport), getWeeklyReport);
+
+// POST /api/reports/weekly/email - Email the weekly report to yourself
+router.post('/weekly/email', validate(schemas.sendWeeklyReport), sendWeeklyReport);
+
+module.exports = router;
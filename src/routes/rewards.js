@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const validate = require('../middleware/validate');
+const {
+  getRewards,
+  createReward,
+  updateReward,
+  deleteReward
+} = require('../controllers/rewardController');
+const schemas = require('../schemas/rewards');
+
+// All routes require authentication
+router.use(auth);
+
+// GET /api/rewards - Get the family rewards catalog
+router.get('/', checkRole('kid', 'parent'), validate(schemas.getRewards), getRewards);
+
+// POST /api/rewards - Add a reward
+router.post('/', checkRole('parent'), validate(schemas.createReward), createReward);
+
+// PUT /api/rewards/:id - Update a reward
+router.put('/:id', checkRole('parent'), validate(schemas.updateReward), updateReward);
+
+// DELETE /api/rewards/:id - Retire a reward
+router.delete('/:id', checkRole('parent'), validate(schemas.deleteReward), deleteReward);
+
+module.exports = router;
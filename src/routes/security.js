@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+const validate = require('../middleware/validate');
+const { getSecurityEvents } = require('../controllers/securityController');
+const schemas = require('../schemas/security');
+
+// All routes require authentication and parent role
+router.use(auth);
+router.use(checkRole('parent'));
+
+// GET /api/security/events - Get lockouts and other security events
+router.get('/events', validate(schemas.getSecurityEvents), getSecurityEvents);
+
+module.exports = router;
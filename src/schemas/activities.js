@@ -0,0 +1,78 @@
+const ActivitySession = require('../models/ActivitySession');
+const { object, defineSchemas, objectId, idParams, dateTime, text } = require('./common');
+
+const sessionParams = idParams('Activity session ID');
+
+const type = { type: 'string', enum: ActivitySession.ACTIVITY_TYPES };
+
+const notes = text(500);
+
+const durationMinutes = { type: 'integer', minimum: 0, maximum: 1440 };
+
+const kidId = objectId('Parents only: kid the session is for');
+
+const activityIdeaId = objectId('Catalog activity the session is based on');
+
+module.exports = defineSchemas({
+  startActivity: {
+    summary: 'Start an outdoor session',
+    description: 'Kids start their own sessions, parents pass `kidId`. Only one session per kid can run at a time.',
+    status: 201,
+    body: object({ kidId, type, notes, activityIdeaId })
+  },
+
+  stopActivity: {
+    summary: 'Stop a running session',
+    params: sessionParams,
+    body: object({ notes })
+  },
+
+  logActivity: {
+    summary: 'Log a completed session after the fact',
+    description: 'Give `startedAt` and either `endedAt` or `durationMinutes`.',
+    status: 201,
+    body: object({
+      kidId,
+      type,
+      notes,
+      startedAt: dateTime(),
+      endedAt: dateTime(),
+      durationMinutes,
+      activityIdeaId
+    }, ['startedAt'])
+  },
+
+  getActivities: {
+    summary: 'Get own sessions (kid) or every family kid\'s sessions (parent)'
+  },
+
+  updateActivity: {
+    summary: 'Correct a session',
+    params: sessionParams,
+    body: object({
+      type,
+      notes,
+      startedAt: dateTime(),
+      endedAt: dateTime(),
+      durationMinutes
+    })
+  },
+
+  deleteActivity: {
+    summary: 'Delete a session',
+    params: sessionParams
+  },
+
+  uploadActivityPhoto: {
+    summary: 'Attach a photo to a session',
+    description: 'JPEG, PNG or WebP.',
+    status: 201,
+    params: sessionParams,
+    upload: 'photo'
+  },
+
+  getActivityPhotos: {
+    summary: 'Get a session\'s photos',
+    params: sessionParams
+  }
+});
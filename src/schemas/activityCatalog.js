@@ -0,0 +1,59 @@
+const ActivityIdea = require('../models/ActivityIdea');
+const ActivitySession = require('../models/ActivitySession');
+const { object, defineSchemas, idParams, text } = require('./common');
+
+const ideaParams = idParams('Catalog activity ID');
+
+const age = { type: 'integer', minimum: 1, maximum: 18 };
+
+const ideaFields = {
+  title: { type: 'string', minLength: 1, maxLength: 100 },
+  description: text(500),
+  interests: {
+    type: 'array',
+    items: { type: 'string', minLength: 1, maxLength: 50 },
+    description: 'Interest tags matched against kids\' interests'
+  },
+  minAge: age,
+  maxAge: age,
+  setting: { type: 'string', enum: ['outdoor', 'indoor'] },
+  durationMinutes: { type: 'integer', minimum: 1, maximum: 1440 },
+  seasons: {
+    type: 'array',
+    items: { type: 'string', enum: ActivityIdea.SEASONS },
+    description: 'Seasons the activity suits, empty for all year'
+  },
+  activityType: { type: 'string', enum: ActivitySession.ACTIVITY_TYPES },
+  active: { type: 'boolean' }
+};
+
+module.exports = defineSchemas({
+  getActivityIdeas: {
+    summary: 'Browse the activity catalog',
+    query: object({
+      interest: { type: 'string', maxLength: 50, description: 'Only activities with this interest tag' },
+      includeInactive: { type: 'boolean', description: 'Admins only: include retired activities' }
+    })
+  },
+
+  createActivityIdea: {
+    summary: 'Add an activity to the catalog',
+    status: 201,
+    body: object({
+      slug: { type: 'string', pattern: '^[A-Za-z0-9-]+$', maxLength: 100, description: 'Letters, numbers and dashes, stored lowercase' },
+      ...ideaFields
+    }, ['slug', 'title', 'durationMinutes'])
+  },
+
+  updateActivityIdea: {
+    summary: 'Update a catalog activity',
+    params: ideaParams,
+    body: object(ideaFields)
+  },
+
+  deleteActivityIdea: {
+    summary: 'Retire a catalog activity',
+    description: 'Retired activities stay for session history but are no longer suggested.',
+    params: ideaParams
+  }
+});
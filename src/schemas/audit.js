@@ -0,0 +1,17 @@
+const AuditLog = require('../models/AuditLog');
+const { object, defineSchemas, objectId, dateTime, limit } = require('./common');
+
+module.exports = defineSchemas({
+  getAuditLog: {
+    summary: 'Get the audit trail of your family',
+    description: 'Logins, kid profile changes, family code use and password changes, newest first. '
+      + 'Page back with `before` set to the `createdAt` of the last entry.',
+    query: object({
+      action: { type: 'string', enum: AuditLog.AUDIT_ACTIONS, description: 'Only entries of this action' },
+      kidId: objectId('Only entries about this kid'),
+      userId: objectId('Only entries by this user'),
+      before: dateTime('Only entries older than this'),
+      limit: limit(200, 50)
+    })
+  }
+});
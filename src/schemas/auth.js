@@ -0,0 +1,93 @@
+const { object, defineSchemas, email, password, kid } = require('./common');
+const { SUPPORTED_LOCALES } = require('../services/i18n');
+
+const refreshToken = { type: 'string', minLength: 1, description: 'Refresh token from signup, login or refresh' };
+
+module.exports = defineSchemas({
+  signup: {
+    summary: 'Register a new user',
+    description: 'Parents get their own family code once their email is verified. '
+      + 'Kids join with that code; if the family requires approval the signup '
+      + 'becomes a join request (202) and no tokens are issued.',
+    status: 201,
+    body: {
+      ...object({
+        email,
+        password,
+        role: { type: 'string', enum: ['parent', 'kid'], default: 'parent' },
+        familyCode: { type: 'string', minLength: 1, maxLength: 20, description: 'Kids only: the parent\'s family code' },
+        name: { ...kid.name, description: 'Kids only' },
+        age: { ...kid.age, description: 'Kids only' },
+        locale: { type: 'string', enum: SUPPORTED_LOCALES, description: 'Language of API messages, defaults to Accept-Language' }
+      }, ['email', 'password']),
+      if: object({ role: { const: 'kid' } }, ['role']),
+      then: { required: ['familyCode', 'name', 'age'] }
+    }
+  },
+
+  login: {
+    summary: 'Log in',
+    body: object({
+      email: { type: 'string', minLength: 1 },
+      password: { type: 'string', minLength: 1 }
+    }, ['email', 'password'])
+  },
+
+  getCurrentUser: {
+    summary: 'Get the logged-in user'
+  },
+
+  refresh: {
+    summary: 'Rotate the refresh token and issue a new access token',
+    body: object({ refreshToken }, ['refreshToken'])
+  },
+
+  logout: {
+    summary: 'Log out by revoking the refresh token',
+    body: object({ refreshToken }, ['refreshToken'])
+  },
+
+  logoutAll: {
+    summary: 'Revoke every token of the logged-in user'
+  },
+
+  forgotPassword: {
+    summary: 'Email a password reset link',
+    description: 'Always responds the same way, whether or not the email has an account.',
+    body: object({ email: { type: 'string', minLength: 1 } }, ['email'])
+  },
+
+  resetPassword: {
+    summary: 'Set a new password with a reset token',
+    body: object({
+      token: { type: 'string', minLength: 1, description: 'Token from the reset email' },
+      password
+    }, ['token', 'password'])
+  },
+
+  changePassword: {
+    summary: 'Change the logged-in user\'s password',
+    body: object({
+      currentPassword: { type: 'string', minLength: 1 },
+      newPassword: password
+    }, ['currentPassword', 'newPassword'])
+  },
+
+  verifyEmail: {
+    summary: 'Verify an email address',
+    params: object({ token: { type: 'string', minLength: 1, description: 'Token from the verification email' } }, ['token'])
+  },
+
+  resendVerification: {
+    summary: 'Send a new email verification link'
+  },
+
+  updateLocale: {
+    summary: 'Set the language of API messages',
+    description: 'Messages follow the Accept-Language header unless a locale is set here. '
+      + 'Send null to follow the header again.',
+    body: object({
+      locale: { type: ['string', 'null'], enum: [...SUPPORTED_LOCALES, null] }
+    }, ['locale'])
+  }
+});
@@ -0,0 +1,16 @@
+const { object, defineSchemas, idParams } = require('./common');
+
+module.exports = defineSchemas({
+  getPresets: {
+    summary: 'Get the avatar preset palette'
+  },
+
+  getKidAvatarImage: {
+    summary: 'Download a kid\'s profile image',
+    description: 'Kids may download the profile images of their own family.',
+    params: idParams('Kid ID'),
+    query: object({
+      size: { type: 'string', enum: ['full', 'thumbnail'], default: 'full' }
+    })
+  }
+});
@@ -0,0 +1,92 @@
+const Challenge = require('../models/Challenge');
+const { object, defineSchemas, objectId, idParams, dateTime, text, latitude, longitude } = require('./common');
+
+const challengeParams = idParams('Challenge ID');
+
+const challengeFields = {
+  title: { type: 'string', minLength: 2, maxLength: 100 },
+  description: text(500),
+  dueAt: dateTime('Must be in the future'),
+  points: { type: 'integer', minimum: 0, maximum: 10000, description: 'Awarded when the submission is approved' },
+  proofType: { type: 'string', enum: Challenge.PROOF_TYPES, description: 'What the kid submits as proof' }
+};
+
+const review = object({ note: text(200, 'Shown to the kid') });
+
+module.exports = defineSchemas({
+  createChallenge: {
+    summary: 'Assign a challenge to a kid',
+    status: 201,
+    body: object({
+      kidId: objectId('Kid the challenge is for'),
+      ...challengeFields
+    }, ['kidId', 'title', 'dueAt', 'points', 'proofType'])
+  },
+
+  getChallenges: {
+    summary: 'Get own (kid) or family (parent) challenges',
+    query: object({
+      status: { type: 'string', enum: Challenge.CHALLENGE_STATUSES },
+      kidId: objectId('Parents only: one kid\'s challenges')
+    })
+  },
+
+  getChallenge: {
+    summary: 'Get a challenge',
+    params: challengeParams
+  },
+
+  updateChallenge: {
+    summary: 'Update a challenge',
+    description: 'Submitted and approved challenges can\'t be changed.',
+    params: challengeParams,
+    body: object(challengeFields)
+  },
+
+  deleteChallenge: {
+    summary: 'Delete a challenge',
+    params: challengeParams
+  },
+
+  acceptChallenge: {
+    summary: 'Accept an assigned challenge',
+    params: challengeParams
+  },
+
+  uploadChallengePhoto: {
+    summary: 'Upload a photo for a challenge submission',
+    description: 'JPEG, PNG or WebP. Submit its ID as `photoId`.',
+    status: 201,
+    params: challengeParams,
+    upload: 'photo'
+  },
+
+  getChallengePhotos: {
+    summary: 'Get a challenge\'s photos',
+    params: challengeParams
+  },
+
+  submitChallenge: {
+    summary: 'Submit proof for a challenge',
+    description: 'Photo challenges need `photoId`, location challenges `latitude` and `longitude`.',
+    params: challengeParams,
+    body: object({
+      photoId: objectId('Photo uploaded for this challenge'),
+      latitude,
+      longitude,
+      note: text(500)
+    })
+  },
+
+  approveChallenge: {
+    summary: 'Approve a submission and award its points',
+    params: challengeParams,
+    body: review
+  },
+
+  rejectChallenge: {
+    summary: 'Reject a submission',
+    params: challengeParams,
+    body: review
+  }
+});
@@ -0,0 +1,25 @@
+const { object, defineSchemas, objectId, limit, latitude, longitude } = require('./common');
+
+module.exports = defineSchemas({
+  createCheckIn: {
+    summary: 'Check in the kid\'s current location',
+    description: 'Matched against the family\'s places. Check-ins outside every place are flagged to the parents. '
+      + 'Coordinates are stored rounded to about a meter and deleted after the retention period.',
+    status: 201,
+    body: object({
+      latitude,
+      longitude,
+      accuracy: { type: 'number', minimum: 0, description: 'Reported accuracy in meters' }
+    }, ['latitude', 'longitude'])
+  },
+
+  getCheckIns: {
+    summary: 'Get check-ins (kids: own, parents: family)',
+    query: object({
+      kidId: objectId('Parents only: one kid\'s check-ins'),
+      activityId: objectId('Only check-ins made during this session'),
+      flagged: { type: 'boolean', description: 'Only flagged (true) or unflagged (false) check-ins' },
+      limit: limit(500, 50)
+    })
+  }
+});
@@ -0,0 +1,163 @@
+/**
+ * Building blocks for request schemas
+ *
+ * Request schemas are plain JSON Schema, one per request part:
+ *
+ *   {
+ *     summary: 'Add a kid',        // OpenAPI summary
+ *     description: '...',         // Optional OpenAPI description
+ *     status: 201,                 // Success status, defaults to 200
+ *     params: object({ ... }),     // Path parameters
+ *     query: object({ ... }),      // Query string
+ *     body: object({ ... }),       // JSON body
+ *     upload: 'photo'              // Multipart upload with a file field
+ *   }
+ *
+ * The same objects validate requests (middleware/validate.js) and document
+ * them (services/openapi.js).
+ */
+
+// Same rule as the User model
+const EMAIL = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * String formats used by the schemas, with the error shown when they fail
+ */
+const formats = {
+  email: {
+    validate: value => EMAIL.test(value),
+    message: 'must be a valid email address'
+  },
+  'object-id': {
+    validate: value => OBJECT_ID.test(value),
+    message: 'must be a valid ID'
+  },
+  date: {
+    // Also rejects days that don't exist, like 2025-02-30
+    validate: value => DAY.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value),
+    message: 'must be a date (YYYY-MM-DD)'
+  },
+  'date-time': {
+    // Anything Date understands, like the controllers accept
+    validate: value => !Number.isNaN(Date.parse(value)),
+    message: 'must be a date and time (ISO 8601)'
+  },
+  'time-of-day': {
+    validate: value => TIME_OF_DAY.test(value),
+    message: 'must use HH:MM'
+  },
+  'time-zone': {
+    validate: (value) => {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    message: 'must be a valid IANA time zone (e.g. "Africa/Nairobi")'
+  }
+};
+
+/**
+ * Object schema
+ * @param {Object} properties - Property schemas
+ * @param {string[]} [required] - Required property names
+ * @returns {Object} JSON Schema
+ */
+const object = (properties, required = []) => {
+  const schema = { type: 'object', properties };
+  if (required.length) schema.required = required;
+  return schema;
+};
+
+/**
+ * Give every schema of a module its operation ID
+ * @param {Object} schemas - Schemas keyed by controller function name
+ * @returns {Object} The same schemas
+ */
+const defineSchemas = (schemas) => {
+  for (const [operationId, schema] of Object.entries(schemas)) {
+    schema.operationId = operationId;
+  }
+  return schemas;
+};
+
+const objectId = (description) => ({ type: 'string', format: 'object-id', description });
+
+const dateTime = (description) => ({ type: 'string', format: 'date-time', description });
+
+const day = (description) => ({ type: 'string', format: 'date', description });
+
+const text = (maxLength, description) => ({ type: 'string', maxLength, description });
+
+/**
+ * Integer query parameter for list lengths
+ */
+const limit = (max, fallback) => ({
+  type: 'integer',
+  minimum: 1,
+  maximum: max,
+  default: fallback,
+  description: 'Number of entries to return'
+});
+
+/**
+ * Path parameters of routes addressing one document
+ * @param {string} description - What the ID identifies
+ */
+const idParams = (description) => object({ id: objectId(description) }, ['id']);
+
+const email = { type: 'string', format: 'email', maxLength: 254 };
+
+const password = { type: 'string', minLength: 6, maxLength: 128 };
+
+const familyId = objectId('Family ID from GET /api/family/memberships, defaults to your own family');
+
+const latitude = { type: 'number', minimum: -90, maximum: 90 };
+
+const longitude = { type: 'number', minimum: -180, maximum: 180 };
+
+// Kid profile fields, shared by parent-added kids and kid signup
+const kid = {
+  name: { type: 'string', minLength: 2, maxLength: 50, description: 'First name or nickname' },
+  age: { type: 'integer', minimum: 1, maximum: 18 },
+  interests: {
+    type: 'array',
+    items: { type: 'string', minLength: 1, maxLength: 50 },
+    maxItems: 10,
+    description: 'Interest tags used for activity suggestions'
+  },
+  avatarPreset: {
+    type: 'string',
+    maxLength: 100,
+    description: 'Avatar preset ID from GET /api/avatars/presets'
+  },
+  avatarColor: {
+    type: 'string',
+    maxLength: 100,
+    deprecated: true,
+    description: 'Preset ID or the Tailwind classes stored before presets, use avatarPreset'
+  }
+};
+
+module.exports = {
+  formats,
+  object,
+  defineSchemas,
+  objectId,
+  dateTime,
+  day,
+  text,
+  limit,
+  idParams,
+  email,
+  password,
+  familyId,
+  latitude,
+  longitude,
+  kid
+};
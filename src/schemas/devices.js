@@ -0,0 +1,48 @@
+const User = require('../models/User');
+const { object, defineSchemas, idParams } = require('./common');
+
+const timeOfDay = { type: 'string', format: 'time-of-day', description: 'HH:MM in the family\'s time zone' };
+
+module.exports = defineSchemas({
+  getPreferences: {
+    summary: 'Get notification preferences'
+  },
+
+  updatePreferences: {
+    summary: 'Update notification preferences and quiet hours',
+    body: object({
+      enabled: { type: 'boolean', description: 'Turns every push notification on or off' },
+      categories: {
+        type: 'object',
+        properties: Object.fromEntries(User.NOTIFICATION_CATEGORIES.map(category => [category, { type: 'boolean' }])),
+        additionalProperties: false
+      },
+      quietHours: object({
+        enabled: { type: 'boolean' },
+        start: timeOfDay,
+        end: timeOfDay
+      })
+    })
+  },
+
+  registerDevice: {
+    summary: 'Register a device for push notifications',
+    description: 'Registering a known token refreshes it; a token registered to another account moves to this one.',
+    status: 201,
+    body: object({
+      token: { type: 'string', minLength: 1, maxLength: 4096, description: 'FCM or APNs device token' },
+      platform: { type: 'string', enum: User.DEVICE_PLATFORMS },
+      provider: { type: 'string', enum: User.PUSH_PROVIDERS, default: 'fcm' },
+      name: { type: 'string', maxLength: 100, description: 'Shown in the device list' }
+    }, ['token', 'platform'])
+  },
+
+  getDevices: {
+    summary: 'List registered devices'
+  },
+
+  removeDevice: {
+    summary: 'Unregister a device',
+    params: idParams('Device ID')
+  }
+});
@@ -0,0 +1,13 @@
+const { object, defineSchemas } = require('./common');
+
+module.exports = defineSchemas({
+  streamEvents: {
+    summary: 'Live family event stream (Server-Sent Events)',
+    description: 'Browsers\' EventSource can\'t send headers, so the access token may be passed as `access_token`. '
+      + 'Events missed since `Last-Event-ID` (header or query) are replayed first.',
+    query: object({
+      access_token: { type: 'string', description: 'Access token, instead of the Authorization header' },
+      lastEventId: { type: 'string', description: 'Replay events after this one' }
+    })
+  }
+});
@@ -0,0 +1,116 @@
+const JoinRequest = require('../models/JoinRequest');
+const { object, defineSchemas, objectId, idParams, email } = require('./common');
+
+const codeSettings = object({
+  expiresAt: { type: ['string', 'null'], format: 'date-time', description: 'Must be in the future, null for no expiry' },
+  maxUses: { type: ['integer', 'null'], minimum: 1, description: 'Kid signups allowed with the code, null for no limit' },
+  requireApproval: { type: 'boolean', description: 'Kid signups become join requests the parent must approve' }
+});
+
+const memberRole = { type: 'string', enum: ['co-parent', 'caregiver'] };
+
+const memberParams = object({ userId: objectId('Member user ID') }, ['userId']);
+
+module.exports = defineSchemas({
+  getFamilySettings: {
+    summary: 'Get family name, time zone, reminders and weekly report settings'
+  },
+
+  updateFamilySettings: {
+    summary: 'Update family name, time zone, reminders and weekly report settings',
+    body: object({
+      name: { type: 'string', maxLength: 50 },
+      timeZone: { type: 'string', format: 'time-zone', description: 'IANA time zone, e.g. "Africa/Nairobi"' },
+      reminders: object({
+        enabled: { type: 'boolean' },
+        time: { type: 'string', format: 'time-of-day', description: 'HH:MM in the family\'s time zone' }
+      }),
+      weeklyReport: { type: 'boolean', description: 'Email the weekly report on Monday mornings' }
+    })
+  },
+
+  getFamilyCode: {
+    summary: 'Get the family code and its settings'
+  },
+
+  updateFamilyCode: {
+    summary: 'Update the family code\'s expiry, usage limit and approval settings',
+    body: codeSettings
+  },
+
+  regenerateFamilyCode: {
+    summary: 'Replace the family code',
+    description: 'The old code stops working. Settings passed here apply to the new code.',
+    body: codeSettings
+  },
+
+  revokeFamilyCode: {
+    summary: 'Revoke the family code'
+  },
+
+  getJoinRequests: {
+    summary: 'Get join requests',
+    query: object({
+      status: { type: 'string', enum: JoinRequest.schema.path('status').enumValues }
+    })
+  },
+
+  approveJoinRequest: {
+    summary: 'Approve a join request',
+    params: idParams('Join request ID')
+  },
+
+  rejectJoinRequest: {
+    summary: 'Reject a join request',
+    params: idParams('Join request ID')
+  },
+
+  getMemberships: {
+    summary: 'Get every family you belong to'
+  },
+
+  leaveFamily: {
+    summary: 'Leave a family you were invited to',
+    params: object({ familyId: objectId('Family ID') }, ['familyId'])
+  },
+
+  getMembers: {
+    summary: 'Get the members of your family'
+  },
+
+  updateMember: {
+    summary: 'Change a member\'s role',
+    params: memberParams,
+    body: object({ role: memberRole }, ['role'])
+  },
+
+  removeMember: {
+    summary: 'Remove a member',
+    params: memberParams
+  },
+
+  createInvite: {
+    summary: 'Invite a co-parent or caregiver',
+    description: 'Invites with an email are mailed and can only be accepted by that account. '
+      + 'The code is only shown in this response and expires after 7 days.',
+    status: 201,
+    body: object({
+      email: { ...email, description: 'Optional, restricts the invite to this account' },
+      role: memberRole
+    }, ['role'])
+  },
+
+  getInvites: {
+    summary: 'Get pending invites'
+  },
+
+  acceptInvite: {
+    summary: 'Accept an invite code and join the inviting family',
+    body: object({ code: { type: 'string', minLength: 1, maxLength: 100 } }, ['code'])
+  },
+
+  revokeInvite: {
+    summary: 'Revoke an invite',
+    params: idParams('Invite ID')
+  }
+});
@@ -0,0 +1,174 @@
+const { object, defineSchemas, objectId, idParams, limit, familyId, text, kid } = require('./common');
+
+const kidParams = idParams('Kid ID');
+
+const note = text(200, 'Reason, shown in the ledger');
+
+// Pass null to remove a cap or limit
+const minutesOrNull = (maximum, description) => ({ type: ['integer', 'null'], minimum: 0, maximum, description });
+
+const cropField = { type: 'integer', minimum: 0, description: 'Pixels of the upright image' };
+
+module.exports = defineSchemas({
+  addKid: {
+    summary: 'Add a kid',
+    description: 'Verified parents only. Co-parents pass `familyId` to add a kid to a family they help manage.',
+    status: 201,
+    body: object({
+      name: kid.name,
+      age: kid.age,
+      interests: kid.interests,
+      avatarPreset: kid.avatarPreset,
+      avatarColor: kid.avatarColor,
+      familyId
+    }, ['name', 'age'])
+  },
+
+  getKids: {
+    summary: 'Get the kids of every family you belong to'
+  },
+
+  getKid: {
+    summary: 'Get a kid',
+    params: kidParams
+  },
+
+  updateKid: {
+    summary: 'Update a kid',
+    params: kidParams,
+    body: object({
+      name: kid.name,
+      age: kid.age,
+      interests: kid.interests,
+      avatarPreset: kid.avatarPreset,
+      avatarColor: kid.avatarColor
+    })
+  },
+
+  deleteKid: {
+    summary: 'Delete a kid',
+    description: 'Also disables the kid\'s login and deletes their photos and check-ins.',
+    params: kidParams
+  },
+
+  getKidActivities: {
+    summary: 'Get a kid\'s activity sessions',
+    params: kidParams
+  },
+
+  getGoals: {
+    summary: 'Get a kid\'s outdoor time goals',
+    params: kidParams
+  },
+
+  updateGoals: {
+    summary: 'Set a kid\'s outdoor time goals',
+    description: 'Pass null to remove a goal.',
+    params: kidParams,
+    body: object({
+      dailyMinutes: { type: ['integer', 'null'], minimum: 1, maximum: 1440, description: 'Outdoor minutes per day' },
+      daysPerWeek: { type: ['integer', 'null'], minimum: 1, maximum: 7, description: 'Days per week the daily goal should be met' }
+    })
+  },
+
+  getKidProgress: {
+    summary: 'Get a kid\'s goal progress, streaks and rollups',
+    params: kidParams,
+    query: object({
+      days: { type: 'integer', minimum: 1, maximum: 90, default: 7, description: 'Days in the daily rollup' },
+      weeks: { type: 'integer', minimum: 1, maximum: 52, default: 4, description: 'Weeks in the weekly rollup' }
+    })
+  },
+
+  getKidPoints: {
+    summary: 'Get a kid\'s points balance and ledger',
+    params: kidParams,
+    query: object({ limit: limit(500, 50) })
+  },
+
+  adjustKidPoints: {
+    summary: 'Grant or deduct points',
+    status: 201,
+    params: kidParams,
+    body: object({
+      amount: { type: 'integer', description: 'Points to add, negative to deduct' },
+      note: { ...note, minLength: 1 }
+    }, ['amount', 'note'])
+  },
+
+  getSuggestions: {
+    summary: 'Get ranked activity suggestions for a kid',
+    params: kidParams,
+    query: object({
+      limit: limit(50, 10),
+      hemisphere: { type: 'string', enum: ['north', 'south'], default: 'north', description: 'For seasonal activities' }
+    })
+  },
+
+  hideSuggestion: {
+    summary: 'Stop suggesting an activity to a kid',
+    params: object({ id: objectId('Kid ID'), activityId: objectId('Catalog activity ID') }, ['id', 'activityId'])
+  },
+
+  unhideSuggestion: {
+    summary: 'Restore a hidden suggestion',
+    params: object({ id: objectId('Kid ID'), activityId: objectId('Catalog activity ID') }, ['id', 'activityId'])
+  },
+
+  uploadKidAvatar: {
+    summary: 'Upload a kid\'s profile image',
+    description: 'JPEG, PNG or WebP. Without a crop the image is center-cropped to a square.',
+    params: kidParams,
+    upload: 'photo',
+    body: object({
+      cropX: cropField,
+      cropY: cropField,
+      cropWidth: cropField,
+      cropHeight: cropField
+    })
+  },
+
+  deleteKidAvatar: {
+    summary: 'Remove a kid\'s profile image',
+    params: kidParams
+  },
+
+  getScreenTime: {
+    summary: 'Get a kid\'s screen time balance, limits and ledger',
+    description: 'Kids may only read their own profile.',
+    params: kidParams,
+    query: object({ limit: limit(500, 50) })
+  },
+
+  updateScreenTimeSettings: {
+    summary: 'Set a kid\'s screen time ratio, daily caps and carry-over',
+    params: kidParams,
+    body: object({
+      ratio: { type: 'number', minimum: 0, maximum: 10, description: 'Screen minutes earned per outdoor minute' },
+      dailyEarnCap: minutesOrNull(1440, 'Most screen minutes earned per day, null for no cap'),
+      dailySpendCap: minutesOrNull(1440, 'Most screen minutes spent per day, null for no cap'),
+      carryOverMinutes: minutesOrNull(10080, 'Most unspent minutes carried into the next day, null to keep everything')
+    })
+  },
+
+  spendScreenTime: {
+    summary: 'Spend screen time',
+    description: 'Kids may only spend from their own profile.',
+    status: 201,
+    params: kidParams,
+    body: object({
+      minutes: { type: 'integer', minimum: 1, maximum: 1440 },
+      note
+    }, ['minutes'])
+  },
+
+  adjustScreenTime: {
+    summary: 'Grant or deduct screen time',
+    status: 201,
+    params: kidParams,
+    body: object({
+      minutes: { type: 'integer', description: 'Minutes to grant, negative to deduct' },
+      note: { ...note, minLength: 1 }
+    }, ['minutes', 'note'])
+  }
+});
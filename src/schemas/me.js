@@ -0,0 +1,28 @@
+const { object, defineSchemas, limit } = require('./common');
+const kids = require('./kids');
+
+module.exports = defineSchemas({
+  getProfile: {
+    summary: 'Get the logged-in kid\'s profile'
+  },
+
+  getOwnProgress: {
+    summary: 'Get the logged-in kid\'s goal progress and streaks',
+    query: kids.getKidProgress.query
+  },
+
+  getOwnPoints: {
+    summary: 'Get the logged-in kid\'s points balance and ledger',
+    query: object({ limit: limit(500, 50) })
+  },
+
+  getOwnSuggestions: {
+    summary: 'Get activity suggestions for the logged-in kid',
+    query: kids.getSuggestions.query
+  },
+
+  getOwnScreenTime: {
+    summary: 'Get the logged-in kid\'s screen time balance and ledger',
+    query: object({ limit: limit(500, 50) })
+  }
+});
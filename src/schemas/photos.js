@@ -0,0 +1,16 @@
+const { object, defineSchemas, idParams } = require('./common');
+
+module.exports = defineSchemas({
+  getPhotoFile: {
+    summary: 'Download a photo',
+    params: idParams('Photo ID'),
+    query: object({
+      size: { type: 'string', enum: ['full', 'thumbnail'], default: 'full' }
+    })
+  },
+
+  deletePhoto: {
+    summary: 'Delete a photo',
+    params: idParams('Photo ID')
+  }
+});
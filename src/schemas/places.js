@@ -0,0 +1,56 @@
+const Place = require('../models/Place');
+const { object, defineSchemas, idParams, familyId, latitude, longitude } = require('./common');
+
+const point = object({ latitude, longitude }, ['latitude', 'longitude']);
+
+const placeFields = {
+  name: { type: 'string', minLength: 1, maxLength: 50 },
+  kind: { type: 'string', enum: Place.PLACE_KINDS, default: 'other' },
+  outdoor: { type: 'boolean', default: true, description: 'Whether time spent here counts as outdoors' },
+  shape: { type: 'string', enum: Place.PLACE_SHAPES },
+  center: { ...point, description: 'Circles only' },
+  radiusMeters: { type: 'number', minimum: 10, maximum: 5000, description: 'Circles only' },
+  points: {
+    type: 'array',
+    items: point,
+    minItems: 3,
+    maxItems: 100,
+    description: 'Polygons only: corners in order, edges may not cross'
+  }
+};
+
+// Each shape needs its own geometry fields
+const geometry = [
+  { if: object({ shape: { const: 'circle' } }, ['shape']), then: { required: ['center', 'radiusMeters'] } },
+  { if: object({ shape: { const: 'polygon' } }, ['shape']), then: { required: ['points'] } }
+];
+
+module.exports = defineSchemas({
+  getPlaces: {
+    summary: 'Get the family\'s places'
+  },
+
+  createPlace: {
+    summary: 'Add a place (circle or polygon)',
+    status: 201,
+    body: {
+      ...object({ ...placeFields, familyId }, ['name', 'shape']),
+      allOf: geometry
+    }
+  },
+
+  updatePlace: {
+    summary: 'Update a place',
+    description: 'Changing `shape` replaces the geometry, so send its fields along with it.',
+    params: idParams('Place ID'),
+    body: {
+      ...object(placeFields),
+      allOf: geometry
+    }
+  },
+
+  deletePlace: {
+    summary: 'Delete a place',
+    params: idParams('Place ID')
+  }
+});
@@ -0,0 +1,39 @@
+const Redemption = require('../models/Redemption');
+const { object, defineSchemas, objectId, idParams, text } = require('./common');
+
+const redemptionParams = idParams('Redemption ID');
+
+const decision = object({ note: text(200, 'Shown to the kid') });
+
+module.exports = defineSchemas({
+  requestRedemption: {
+    summary: 'Request a reward',
+    description: 'The reward\'s cost is held from the kid\'s balance until a parent decides.',
+    status: 201,
+    body: object({ rewardId: objectId('Reward to redeem') }, ['rewardId'])
+  },
+
+  getRedemptions: {
+    summary: 'Get own (kid) or family (parent) redemptions',
+    query: object({
+      status: { type: 'string', enum: Redemption.schema.path('status').enumValues }
+    })
+  },
+
+  approveRedemption: {
+    summary: 'Approve a reward request',
+    params: redemptionParams,
+    body: decision
+  },
+
+  denyRedemption: {
+    summary: 'Deny a reward request and refund its points',
+    params: redemptionParams,
+    body: decision
+  },
+
+  cancelRedemption: {
+    summary: 'Cancel own reward request and refund its points',
+    params: redemptionParams
+  }
+});
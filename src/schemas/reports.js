@@ -0,0 +1,21 @@
+const { object, defineSchemas, objectId, day } = require('./common');
+
+const reportOptions = {
+  kidId: objectId('Only this kid, defaults to every kid'),
+  week: day('Any day of the week to report on, defaults to last week')
+};
+
+module.exports = defineSchemas({
+  getWeeklyReport: {
+    summary: 'Get the weekly report as JSON, CSV or PDF',
+    query: object({
+      ...reportOptions,
+      format: { type: 'string', enum: ['json', 'csv', 'pdf'], default: 'json' }
+    })
+  },
+
+  sendWeeklyReport: {
+    summary: 'Email the weekly report to yourself',
+    body: object(reportOptions)
+  }
+});
@@ -0,0 +1,35 @@
+const { object, defineSchemas, idParams, familyId, text } = require('./common');
+
+const rewardFields = {
+  name: { type: 'string', minLength: 2, maxLength: 100 },
+  description: text(500),
+  cost: { type: 'integer', minimum: 1, description: 'Points' }
+};
+
+module.exports = defineSchemas({
+  getRewards: {
+    summary: 'Get the family rewards catalog',
+    query: object({
+      includeInactive: { type: 'boolean', description: 'Parents only: include retired rewards' }
+    })
+  },
+
+  createReward: {
+    summary: 'Add a reward',
+    status: 201,
+    body: object({ ...rewardFields, familyId }, ['name', 'cost'])
+  },
+
+  updateReward: {
+    summary: 'Update a reward',
+    description: 'Pending redemptions keep the cost they were requested at.',
+    params: idParams('Reward ID'),
+    body: object({ ...rewardFields, active: { type: 'boolean' } })
+  },
+
+  deleteReward: {
+    summary: 'Retire a reward',
+    description: 'The reward is kept so past redemptions still reference it.',
+    params: idParams('Reward ID')
+  }
+});
@@ -0,0 +1,8 @@
+const { object, defineSchemas, limit } = require('./common');
+
+module.exports = defineSchemas({
+  getSecurityEvents: {
+    summary: 'Get lockouts and other security events of your family',
+    query: object({ limit: limit(200, 50) })
+  }
+});
@@ -1,149 +1,38 @@
 require("dotenv").config();
-const express = require("express");
-const cors = require("cors");
 const connectDB = require("./config/db");
-
-// Import routes
-const authRoutes = require("./routes/auth");
-const kidRoutes = require("./routes/kids");
-
-// Initialize Express app
-const app = express();
+const app = require("./app");
+const { startFamilyAlerts } = require("./services/notifications/familyAlerts");
+const { createWorker } = require("./services/jobs/worker");
+const jobs = require("./jobs");
+const { logger } = require("./services/logger");
 
 // Connect to database
 connectDB();
 
-// Middleware
-app.use(
-  cors({
-    origin: process.env.CORS_ORIGIN || "*",
-    credentials: true,
-  })
-);
+// Push notifications for activity, challenge and reward events
+startFamilyAlerts();
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Request logging middleware (development only)
-if (process.env.NODE_ENV === "development") {
-  app.use((req, res, next) => {
-    console.log(`${req.method} ${req.path}`);
-    next();
-  });
+// Background jobs normally run in a separate process (npm run worker).
+// Single-instance deployments can run them here instead
+if (process.env.RUN_JOBS_IN_PROCESS === "true") {
+  createWorker(jobs).start();
 }
 
-// API Routes
-app.use("/api/auth", authRoutes);
-app.use("/api/kids", kidRoutes);
-
-// Health check route
-app.get("/health", (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: "Server is running",
-    timestamp: new Date().toISOString(),
-  });
-});
-
-// Root route
-app.get("/", (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: "Touch Grass API - Authentication Service",
-    version: "1.0.0",
-    endpoints: {
-      health: "/health",
-      auth: {
-        signup: "POST /api/auth/signup",
-        login: "POST /api/auth/login",
-        me: "GET /api/auth/me",
-        logout: "POST /api/auth/logout",
-      },
-      kids: {
-        addKid: "POST /api/kids",
-        getKids: "GET /api/kids",
-        getKid: "GET /api/kids/:id",
-        updateKid: "PUT /api/kids/:id",
-        deleteKid: "DELETE /api/kids/:id",
-      },
-    },
-  });
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: "Route not found",
-  });
-});
-
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error("Error:", err);
-
-  // Mongoose validation error
-  if (err.name === "ValidationError") {
-    const messages = Object.values(err.errors).map((e) => e.message);
-    return res.status(400).json({
-      success: false,
-      message: messages.join(", "),
-    });
-  }
-
-  // Mongoose duplicate key error
-  if (err.code === 11000) {
-    const field = Object.keys(err.keyPattern)[0];
-    return res.status(409).json({
-      success: false,
-      message: `${field} already exists`,
-    });
-  }
-
-  // JWT errors
-  if (err.name === "JsonWebTokenError") {
-    return res.status(401).json({
-      success: false,
-      message: "Invalid token",
-    });
-  }
-
-  if (err.name === "TokenExpiredError") {
-    return res.status(401).json({
-      success: false,
-      message: "Token expired",
-    });
-  }
-
-  // Default error
-  res.status(err.status || 500).json({
-    success: false,
-    message: err.message || "Internal server error",
-  });
-});
-
 // Start server
 const PORT = process.env.PORT || 3000;
 
 const server = app.listen(PORT, () => {
-  console.log(`
-╔════════════════════════════════════════════╗
-║   Touch Grass API - Authentication Server  ║
-╚════════════════════════════════════════════╝
-
-🚀 Server running in ${process.env.NODE_ENV || "development"} mode
-📡 Port: ${PORT}
-🔗 URL: http://localhost:${PORT}
-📚 API Docs: http://localhost:${PORT}/
-
-
-Press CTRL+C to stop
-  `);
+  logger.info("Server started", {
+    env: process.env.NODE_ENV || "development",
+    port: Number(PORT),
+    url: `http://localhost:${PORT}`,
+    docs: `http://localhost:${PORT}/api/docs`,
+  });
 });
 
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err) => {
-  console.error("Unhandled Promise Rejection:", err);
+  logger.error("Unhandled Promise Rejection", { error: err });
   // Close server & exit process
   server.close(() => process.exit(1));
 });
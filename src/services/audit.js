@@ -0,0 +1,64 @@
+const AuditLog = require('../models/AuditLog');
+const Family = require('../models/Family');
+const { logger } = require('./logger');
+
+/**
+ * Audit trail of security-relevant actions
+ *
+ * Controllers record logins, kid profile changes, family code use and
+ * password changes; parents read their family's entries through
+ * `GET /api/audit`. Entries keep who acted, from where (IP, user agent) and
+ * the request ID, so an entry can be matched with the request's log lines.
+ */
+
+/**
+ * Owners of the families an account belongs to: a kid's parent, or for a
+ * parent their own family and every family they are a member of
+ * @param {Object} [user] - User document
+ * @returns {Promise<Array>} Family owner IDs
+ */
+const familyOwnersOf = async (user) => {
+  if (!user) return [];
+  if (user.role === 'kid') return user.parent ? [user.parent] : [];
+
+  const families = await Family.find({ 'members.user': user._id }).select('owner');
+  const ownerIds = families.map(family => family.owner);
+  if (!ownerIds.some(id => id.equals(user._id))) {
+    ownerIds.push(user._id);
+  }
+  return ownerIds;
+};
+
+/**
+ * Record an action in the audit log
+ * Never throws: a failed write is logged but must not fail the action itself
+ * @param {Object} req - Express request the action was made in
+ * @param {string} action - One of AuditLog.AUDIT_ACTIONS
+ * @param {Object} [entry] - { actor, familyOwner, kid, details }, the actor
+ *   defaults to the logged-in user and the families to the actor's
+ * @returns {Promise<Object|null>} Stored entry
+ */
+const record = async (req, action, { actor = req.user, familyOwner, kid, details } = {}) => {
+  try {
+    return await AuditLog.create({
+      action,
+      actor: actor ? actor._id : null,
+      familyOwners: familyOwner !== undefined
+        ? [familyOwner].filter(Boolean)
+        : await familyOwnersOf(actor),
+      kid,
+      details,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.id
+    });
+  } catch (error) {
+    (req.log || logger).error('Audit log error', { action, error });
+    return null;
+  }
+};
+
+module.exports = {
+  familyOwnersOf,
+  record
+};
@@ -0,0 +1,85 @@
+const presets = require('../data/avatarPresets.json');
+const { getStorage } = require('./storage');
+
+/**
+ * Kid avatars
+ *
+ * An avatar is a named gradient preset from a fixed palette, optionally
+ * covered by an uploaded profile image. Clients get hex colors and an image
+ * URL, so nothing ties the API to a particular frontend's styling.
+ */
+
+const DEFAULT_PRESET = 'ocean';
+const PRESET_IDS = presets.map(preset => preset.id);
+
+/**
+ * Find a preset by ID
+ * @param {string} id - Preset ID
+ * @returns {Object|undefined} Preset
+ */
+const findPreset = (id) => presets.find(preset => preset.id === id);
+
+/**
+ * Resolve a preset from a request value
+ * Accepts a preset ID, or one of the Tailwind class strings the web app
+ * stored before presets existed
+ * @param {string} value - Preset ID or legacy class string
+ * @returns {Object|undefined} Preset
+ */
+const resolvePreset = (value) => {
+  if (typeof value !== 'string') return undefined;
+  const normalized = value.trim().replace(/\s+/g, ' ');
+
+  return findPreset(normalized.toLowerCase())
+    || presets.find(preset => preset.legacyClass === normalized);
+};
+
+/**
+ * Public preset representation
+ */
+const presetJSON = ({ id, name, colors }) => ({ id, name, colors });
+
+/**
+ * Build the platform-neutral avatar of a kid
+ * @param {Object} kid - Kid document or plain object
+ * @returns {Object} { preset, name, colors, imageUrl, thumbnailUrl }
+ */
+const avatarFor = (kid) => {
+  const avatar = kid.avatar || {};
+  const preset = findPreset(avatar.preset) || findPreset(DEFAULT_PRESET);
+  const image = avatar.image && avatar.image.key ? avatar.image : null;
+
+  // The version query changes with each upload so clients can cache images
+  const imageUrl = image
+    ? `/api/avatars/kids/${kid._id}?v=${new Date(image.updatedAt).getTime()}`
+    : null;
+
+  return {
+    preset: preset.id,
+    name: preset.name,
+    colors: preset.colors,
+    imageUrl,
+    thumbnailUrl: imageUrl && `${imageUrl}&size=thumbnail`
+  };
+};
+
+/**
+ * Delete the stored files of a profile image
+ * @param {Object} [image] - Kid avatar.image
+ */
+const removeAvatarImage = async (image) => {
+  if (!image || !image.key) return;
+
+  const storage = getStorage();
+  await Promise.allSettled([storage.remove(image.key), storage.remove(image.thumbnailKey)]);
+};
+
+module.exports = {
+  DEFAULT_PRESET,
+  PRESET_IDS,
+  presets: presets.map(presetJSON),
+  findPreset,
+  resolvePreset,
+  avatarFor,
+  removeAvatarImage
+};
@@ -0,0 +1,108 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const FamilyEvent = require('../models/FamilyEvent');
+const { logger } = require('./logger');
+
+/**
+ * Family event bus
+ *
+ * Controllers publish what happens in a family (a kid starts outdoor time,
+ * submits a challenge, requests a reward...). Every event is stored, so
+ * clients can replay what they missed, and then broadcast to the live
+ * subscribers of `GET /api/events`.
+ *
+ * The broadcast is in-process: with several API instances each one only
+ * pushes the events published on it, and clients catch up on the rest the
+ * next time they reconnect with Last-Event-ID.
+ */
+
+const bus = new EventEmitter();
+// One listener per open stream
+bus.setMaxListeners(0);
+
+// Most events sent when a client replays
+const REPLAY_LIMIT = 500;
+
+/**
+ * Publish a family event
+ * Never throws: a feed failure must not fail the action that caused it
+ * @param {Object} event - { type, parent, kid, actor, data }
+ * @returns {Promise<Object|null>} Stored event
+ */
+const publish = async ({ type, parent, kid, actor, data }) => {
+  try {
+    const event = await FamilyEvent.create({ type, parent, kid, actor, data });
+    bus.emit('event', event);
+    return event;
+  } catch (error) {
+    logger.error('Publish event error', { type, error });
+    return null;
+  }
+};
+
+/**
+ * Check whether an event is visible to a subscriber scope
+ * @param {Object} event - FamilyEvent document
+ * @param {Object} scope - { parentIds } for parents, { kidId } for kids
+ */
+const inScope = (event, { parentIds, kidId }) => {
+  if (kidId) return String(event.kid) === String(kidId);
+  return parentIds.some(id => String(id) === String(event.parent));
+};
+
+/**
+ * Build the Mongo filter for a subscriber scope
+ */
+const scopeFilter = ({ parentIds, kidId }) => {
+  return kidId ? { kid: kidId } : { parent: { $in: parentIds } };
+};
+
+/**
+ * Get the events a subscriber missed since an event ID, oldest first
+ * @param {Object} scope - { parentIds } or { kidId }
+ * @param {string} sinceId - Last event ID the client received
+ * @returns {Promise<Array>} Events, at most REPLAY_LIMIT of the most recent
+ */
+const eventsSince = async (scope, sinceId) => {
+  if (!mongoose.isValidObjectId(sinceId)) return [];
+
+  const events = await FamilyEvent.find({ ...scopeFilter(scope), _id: { $gt: sinceId } })
+    .sort({ _id: -1 })
+    .limit(REPLAY_LIMIT);
+
+  return events.reverse();
+};
+
+/**
+ * Listen to live events in a scope
+ * @param {Object} scope - { parentIds } or { kidId }
+ * @param {Function} listener - Called with each FamilyEvent document
+ * @returns {Function} Unsubscribe
+ */
+const subscribe = (scope, listener) => {
+  const handler = (event) => {
+    if (inScope(event, scope)) listener(event);
+  };
+
+  bus.on('event', handler);
+  return () => bus.off('event', handler);
+};
+
+/**
+ * Listen to every live event published in this process
+ * For internal consumers such as push notifications
+ * @param {Function} listener - Called with each FamilyEvent document
+ * @returns {Function} Unsubscribe
+ */
+const subscribeAll = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+module.exports = {
+  REPLAY_LIMIT,
+  publish,
+  eventsSince,
+  subscribe,
+  subscribeAll
+};
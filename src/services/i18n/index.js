@@ -0,0 +1,108 @@
+const es = require('./locales/es.json');
+const sw = require('./locales/sw.json');
+
+/**
+ * Localized API messages
+ *
+ * English is the source language: messages are written in English in the
+ * code, with `{name}` placeholders for values, and that English template is
+ * the key into the other catalogs (`./locales/<locale>.json`):
+ *
+ *   translate('es', 'cannot exceed {limit} characters', { limit: 50 })
+ *   // 'no puede tener más de 50 caracteres'
+ *
+ * Mongoose fills in validator limits when the schema is built, so model
+ * messages ('Age cannot exceed 18') are keys as they are.
+ *
+ * Fallback rules: a regional tag uses its language (es-MX -> es), an
+ * unsupported language uses English, and a message missing from a catalog
+ * is sent in English.
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+const catalogs = {
+  en: {},
+  es,
+  sw
+};
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+/**
+ * Resolve a language tag to a supported locale
+ * @param {string} tag - e.g. 'es', 'es-MX', 'sw_KE'
+ * @returns {string|null} Supported locale, null if the language isn't supported
+ */
+const resolveLocale = (tag) => {
+  const language = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+/**
+ * Pick the locale for an Accept-Language header
+ * Languages are tried by quality, then in the order sent
+ * @param {string} [header] - e.g. 'sw-KE,sw;q=0.9,en;q=0.8'
+ * @returns {string} Supported locale, English if none matches
+ */
+const negotiateLocale = (header) => {
+  const ranges = String(header || '').split(',')
+    .map((range, index) => {
+      const [tag, ...options] = range.split(';').map(part => part.trim());
+      const quality = options.find(option => option.startsWith('q='));
+      return { tag, quality: quality ? Number(quality.slice(2)) : 1, index };
+    })
+    .filter(range => range.tag && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  for (const { tag } of ranges) {
+    if (tag === '*') return DEFAULT_LOCALE;
+    const locale = resolveLocale(tag);
+    if (locale) return locale;
+  }
+
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * Fill in a message's placeholders
+ * Lists are joined the way the locale writes "a, b or c"
+ * @param {string} template - Message with `{name}` placeholders
+ * @param {Object} [params] - Values by placeholder name
+ * @param {string} [locale] - Locale used to join lists
+ * @returns {string} Message
+ */
+const interpolate = (template, params, locale = DEFAULT_LOCALE) => {
+  if (!params) return template;
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    if (Array.isArray(value)) {
+      return new Intl.ListFormat(locale, { type: 'disjunction' }).format(value.map(String));
+    }
+    return String(value);
+  });
+};
+
+/**
+ * Translate an English message template
+ * @param {string} [locale] - Supported locale, defaults to English
+ * @param {string} template - English message with `{name}` placeholders
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} Localized message, English if the catalog doesn't have it
+ */
+const translate = (locale, template, params) => {
+  const catalog = catalogs[locale] || catalogs[DEFAULT_LOCALE];
+  const localized = Object.prototype.hasOwnProperty.call(catalog, template) ? catalog[template] : template;
+  return interpolate(localized, params, catalogs[locale] ? locale : DEFAULT_LOCALE);
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  negotiateLocale,
+  interpolate,
+  translate
+};
@@ -0,0 +1,126 @@
+/**
+ * Minimal cron expression support
+ *
+ * Five fields, evaluated in UTC: minute hour day-of-month month day-of-week.
+ * Each field accepts `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps
+ * (`*\/15`, `0-30/10`). Day-of-week is 0-6 with Sunday as 0 (7 also works).
+ * As in classic cron, when both day fields are restricted a day matching
+ * either one matches.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MINUTE_MS = 60 * 1000;
+// Give up looking for a match after this many years (e.g. "0 0 31 2 *")
+const SEARCH_YEARS = 5;
+
+/**
+ * Parse one field into the set of values it matches
+ */
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let from;
+    let to;
+
+    if (range === '*') {
+      [from, to] = [min, max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(Number);
+    } else {
+      from = Number(range);
+      // "5/10" means every 10 starting at 5
+      to = stepText === undefined ? from : max;
+    }
+
+    if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron ${name} field: ${text}`);
+    }
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "5 * * * *"
+ * @returns {Object} Matchers per field
+ * @throws {Error} If the expression is invalid
+ */
+const parseCron = (expression) => {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: ${expression}`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+};
+
+/**
+ * Whether a date's day matches the day-of-month and day-of-week fields
+ */
+const dayMatches = (cron, date) => {
+  const inMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const inWeek = cron.dayOfWeek.has(date.getUTCDay());
+
+  if (cron.anyDayOfMonth) return inWeek;
+  if (cron.anyDayOfWeek) return inMonth;
+  return inMonth || inWeek;
+};
+
+/**
+ * Get the next time a cron expression fires, strictly after a moment
+ * @param {string} expression - Cron expression
+ * @param {Date} [after] - Moment to search from
+ * @returns {Date} Next run time (whole minute, UTC)
+ */
+const nextRun = (expression, after = new Date()) => {
+  const cron = parseCron(expression);
+  const date = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = after.getTime() + SEARCH_YEARS * 366 * 24 * 60 * MINUTE_MS;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression never fires: ${expression}`);
+};
+
+module.exports = {
+  parseCron,
+  nextRun
+};
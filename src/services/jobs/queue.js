@@ -0,0 +1,138 @@
+const Job = require('../../models/Job');
+
+/**
+ * Mongo-backed job queue
+ *
+ * Jobs are claimed with a single atomic update, so any number of workers
+ * (in any number of processes) can poll the same collection without running
+ * a job twice. A claimed job is locked for `lockMs`; if its worker dies the
+ * lock expires and another worker picks it up. Failed jobs are retried with
+ * exponential backoff until `maxAttempts` is reached, and so are jobs whose
+ * worker died, without the backoff.
+ */
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * Delay before retrying a job that failed its nth attempt
+ * 30s, 1m, 2m, 4m... capped at 1 hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const backoffMs = (attempts) => {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+};
+
+/**
+ * Add a job to the queue
+ * With a uniqueKey, enqueuing the same key again is a no-op
+ * @param {string} name - Handler name
+ * @param {Object} [data] - Handler input
+ * @param {Object} [options] - { runAt, maxAttempts, uniqueKey }
+ * @returns {Promise<Object|null>} Job, or null if the unique key already exists
+ */
+const enqueue = async (name, data = {}, { runAt = new Date(), maxAttempts, uniqueKey } = {}) => {
+  try {
+    return await Job.create({ name, data, runAt, maxAttempts, uniqueKey });
+  } catch (error) {
+    if (error.code === 11000 && uniqueKey) return null;
+    throw error;
+  }
+};
+
+/**
+ * Fail running jobs whose worker died on their last attempt
+ * A job that crashes or hangs its worker would otherwise be picked up again
+ * every time its lock expires
+ * @param {Date} now - Current time
+ */
+const failAbandoned = (now) => {
+  return Job.updateMany(
+    {
+      status: 'running',
+      lockedUntil: { $lt: now },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    },
+    {
+      $set: { status: 'failed', finishedAt: now, lastError: 'Lock expired on the last attempt' },
+      $unset: { lockedBy: 1, lockedUntil: 1 }
+    }
+  );
+};
+
+/**
+ * Claim the next due job
+ * @param {string} workerId - Claiming worker
+ * @param {number} lockMs - How long the worker may hold the job
+ * @returns {Promise<Object|null>} Claimed job
+ */
+const claimNext = async (workerId, lockMs) => {
+  const now = new Date();
+
+  await failAbandoned(now);
+
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        // Lock expired: the worker running it died, retry if attempts remain
+        {
+          status: 'running',
+          lockedUntil: { $lt: now },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: workerId, lockedUntil: new Date(now.getTime() + lockMs) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Mark a claimed job as done
+ * @param {Object} job - Claimed job
+ */
+const complete = (job) => {
+  return Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: { status: 'completed', finishedAt: new Date() },
+      $unset: { lockedBy: 1, lockedUntil: 1, lastError: 1 }
+    }
+  );
+};
+
+/**
+ * Record a failed attempt, scheduling a retry if attempts remain
+ * @param {Object} job - Claimed job
+ * @param {Error} error - What went wrong
+ * @returns {Promise<boolean>} Whether the job will be retried
+ */
+const fail = async (job, error) => {
+  const retry = job.attempts < job.maxAttempts;
+  const update = retry
+    ? { status: 'queued', runAt: new Date(Date.now() + backoffMs(job.attempts)) }
+    : { status: 'failed', finishedAt: new Date() };
+
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: { ...update, lastError: String(error && error.stack || error).slice(0, 2000) },
+      $unset: { lockedBy: 1, lockedUntil: 1 }
+    }
+  );
+
+  return retry;
+};
+
+module.exports = {
+  backoffMs,
+  enqueue,
+  claimNext,
+  complete,
+  fail
+};
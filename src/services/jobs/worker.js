@@ -0,0 +1,139 @@
+const os = require('os');
+const crypto = require('crypto');
+const queue = require('./queue');
+const { nextRun } = require('./cron');
+const { logger } = require('../logger');
+
+/**
+ * Job worker
+ *
+ * Polls the queue and runs claimed jobs with their handler. Handlers are
+ * async functions `(data, job) => result`; throwing fails the attempt and
+ * the job is retried with backoff.
+ *
+ * Recurring jobs are declared as schedules `{ name, cron, data }`. The
+ * worker enqueues the next occurrence of each schedule with a unique key
+ * derived from its run time, so every occurrence is queued once no matter
+ * how many workers are running. Occurrences missed while no worker was
+ * running are skipped, not replayed.
+ */
+
+const DEFAULT_POLL_MS = 1000;
+const DEFAULT_LOCK_MS = 5 * 60 * 1000;
+const SCHEDULE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Queue the upcoming occurrence of every schedule
+ * @param {Array} schedules - [{ name, cron, data }]
+ * @param {Date} [now] - Current time
+ */
+const enqueueSchedules = (schedules, now = new Date()) => {
+  return Promise.all(schedules.map((schedule) => {
+    // Look back a minute so the occurrence due right now isn't skipped
+    const runAt = nextRun(schedule.cron, new Date(now.getTime() - 60 * 1000));
+    return queue.enqueue(schedule.name, schedule.data || {}, {
+      runAt,
+      maxAttempts: schedule.maxAttempts,
+      uniqueKey: `${schedule.name}@${runAt.toISOString()}`
+    });
+  }));
+};
+
+/**
+ * Create a worker
+ * @param {Object} options - { handlers, schedules, pollMs, lockMs, id }
+ * @returns {{id: string, start: Function, stop: Function, runNext: Function}}
+ */
+const createWorker = ({
+  handlers,
+  schedules = [],
+  pollMs = DEFAULT_POLL_MS,
+  lockMs = DEFAULT_LOCK_MS,
+  id = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`
+}) => {
+  let running = false;
+  let pollTimer = null;
+  let scheduleTimer = null;
+  let current = Promise.resolve();
+
+  /**
+   * Claim and run one job
+   * @returns {Promise<boolean>} Whether a job was run
+   */
+  const runNext = async () => {
+    const job = await queue.claimNext(id, lockMs);
+    if (!job) return false;
+
+    try {
+      const handler = handlers[job.name];
+      if (!handler) {
+        throw new Error(`No handler for job: ${job.name}`);
+      }
+
+      await handler(job.data || {}, job);
+      await queue.complete(job);
+    } catch (error) {
+      const retry = await queue.fail(job, error);
+      logger.error(retry ? 'Job failed, will retry' : 'Job failed, giving up', {
+        job: job.name,
+        jobId: job._id,
+        attempt: job.attempts,
+        maxAttempts: job.maxAttempts,
+        error
+      });
+    }
+
+    return true;
+  };
+
+  const poll = async () => {
+    if (!running) return;
+
+    let ran = false;
+    try {
+      current = runNext();
+      ran = await current;
+    } catch (error) {
+      logger.error('Job worker error', { workerId: id, error });
+    }
+
+    // Drain the queue before waiting again
+    if (running) pollTimer = setTimeout(poll, ran ? 0 : pollMs);
+  };
+
+  const schedule = async () => {
+    try {
+      await enqueueSchedules(schedules);
+    } catch (error) {
+      logger.error('Job scheduling error', { error });
+    }
+  };
+
+  const start = () => {
+    if (running) return;
+    running = true;
+
+    schedule();
+    if (schedules.length) {
+      scheduleTimer = setInterval(schedule, SCHEDULE_INTERVAL_MS);
+    }
+    poll();
+  };
+
+  /**
+   * Stop polling, waiting for the job in progress to finish
+   */
+  const stop = async () => {
+    running = false;
+    clearTimeout(pollTimer);
+    clearInterval(scheduleTimer);
+    await current.catch(() => {});
+  };
+
+  return { id, start, stop, runNext };
+};
+
+module.exports = {
+  enqueueSchedules,
+  createWorker
+};
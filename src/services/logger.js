@@ -0,0 +1,168 @@
+/**
+ * Structured logger
+ *
+ * Every entry is one JSON line with `time`, `level` and `msg`, plus the
+ * logger's bindings (e.g. `requestId`) and the fields passed in:
+ *
+ *   logger.error('Publish event error', { error });
+ *   // {"time":"...","level":"error","msg":"Publish event error","error":{...}}
+ *
+ * Levels are debug, info, warn and error; LOG_LEVEL sets the lowest one
+ * written (`info` by default, `silent` for none). Values under keys that look
+ * like secrets (password, token, authorization...) and bearer tokens or JWTs
+ * inside strings are replaced with "[REDACTED]" before anything is written.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_KEY = /pass(word)?|secret|token|authorization|cookie|api[-_]?key|private[-_]?key|credential|familycode/i;
+
+// Bearer credentials and JWTs that end up inside messages or URLs
+const SENSITIVE_TEXT = /\bBearer\s+[\w.~+/=-]+|\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+
+// Path segments that are secrets themselves, like email verification tokens
+const TOKEN_SEGMENT = /^[a-f0-9]{32,}$/i;
+
+// Nested objects deeper than this are cut off
+const MAX_DEPTH = 6;
+
+let level = null;
+let output = null;
+
+/**
+ * Get the lowest level written, resolving it from the environment on first use
+ * @returns {string} Level name
+ */
+const getLevel = () => {
+  if (!level) {
+    level = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+  }
+  return level;
+};
+
+/**
+ * Change the lowest level written
+ * @param {string} [name] - Level name, the LOG_LEVEL default if omitted
+ */
+const setLevel = (name) => {
+  if (name !== undefined && !LEVELS[name]) {
+    throw new Error(`Unknown log level: ${name}`);
+  }
+  level = name || null;
+};
+
+/**
+ * Replace where entries are written (e.g. to collect them in tests)
+ * @param {Function} [write] - Called with each JSON line, stdout/stderr if omitted
+ */
+const setOutput = (write) => {
+  output = write || null;
+};
+
+const write = (name, line) => {
+  if (output) return output(line);
+
+  const stream = LEVELS[name] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+/**
+ * Redact secrets from a value about to be logged
+ * @param {*} value - Any value
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} Copy safe to log
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return value.replace(SENSITIVE_TEXT, REDACTED);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redact(value.message) };
+    if (value.code !== undefined) error.code = value.code;
+    if (value.stack) error.stack = redact(value.stack);
+    return error;
+  }
+
+  if (value instanceof Date) return value.toISOString();
+
+  // Documents, ObjectIds and the like log as their JSON form
+  if (typeof value.toJSON === 'function') {
+    return redact(value.toJSON(), depth);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) && item !== undefined && item !== null
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+/**
+ * Redact secrets from a request URL
+ * Token-like path segments and sensitive query parameters are replaced
+ * @param {string} url - e.g. req.originalUrl
+ * @returns {string} URL safe to log
+ */
+const redactUrl = (url) => {
+  const [path, query] = String(url).split('?');
+  const safePath = path.split('/')
+    .map(segment => (TOKEN_SEGMENT.test(segment) ? REDACTED : segment))
+    .join('/');
+
+  if (query === undefined) return safePath;
+
+  const safeQuery = query.split('&')
+    .map((param) => {
+      const [key] = param.split('=');
+      return SENSITIVE_KEY.test(key) ? `${key}=${REDACTED}` : param;
+    })
+    .join('&');
+
+  return `${safePath}?${safeQuery}`;
+};
+
+/**
+ * Create a logger
+ * @param {Object} [bindings] - Fields added to every entry
+ * @returns {Object} { debug, info, warn, error, child }
+ */
+const createLogger = (bindings = {}) => {
+  const log = (name) => (msg, fields = {}) => {
+    if (LEVELS[name] < LEVELS[getLevel()]) return;
+
+    const entry = redact({ ...bindings, ...fields });
+    write(name, JSON.stringify({
+      time: new Date().toISOString(),
+      level: name,
+      msg: redact(msg),
+      ...entry
+    }));
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+  };
+};
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  setLevel,
+  setOutput,
+  redact,
+  redactUrl
+};
@@ -0,0 +1,20 @@
+/**
+ * Mail transport that prints messages to the console
+ * Intended for local development
+ */
+const send = async (message) => {
+  const attachments = (message.attachments || [])
+    .map(attachment => `\n📎 ${attachment.filename} (${attachment.content.length} bytes)`)
+    .join('');
+
+  console.log(`
+📧 Email
+From: ${message.from}
+To: ${message.to}
+Subject: ${message.subject}
+
+${message.text}
+${attachments}`);
+};
+
+module.exports = { send };
@@ -0,0 +1,26 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Mail transport that writes each message as a JSON file to MAIL_DIR
+ * Lets flows that send email be tested offline
+ */
+const send = async (message) => {
+  const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail');
+  await fs.mkdir(dir, { recursive: true });
+
+  const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+  await fs.writeFile(
+    path.join(dir, fileName),
+    JSON.stringify({
+      ...message,
+      attachments: (message.attachments || []).map(attachment => ({
+        ...attachment,
+        content: Buffer.from(attachment.content).toString('base64')
+      })),
+      sentAt: new Date().toISOString()
+    }, null, 2)
+  );
+};
+
+module.exports = { send };
@@ -0,0 +1,62 @@
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+
+/**
+ * Pluggable mailer
+ *
+ * A transport is any object with an async `send({ to, subject, text, html,
+ * attachments })` method, where attachments are `{ filename, contentType,
+ * content }` with Buffer content. The built-in transports are selected with MAIL_TRANSPORT
+ * (`console` by default, or `file`); a real provider can be plugged in at
+ * startup with `setTransport()`.
+ */
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Get the transport in use, resolving it from the environment on first use
+ * @returns {Object} Mail transport
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    activeTransport = transports[name];
+
+    if (!activeTransport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Replace the mail transport (e.g. with an SMTP or API provider)
+ * @param {Object} transport - Object implementing send(message)
+ */
+const setTransport = (transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html, attachments }
+ * @returns {Promise<void>}
+ */
+const sendMail = async (message) => {
+  const from = process.env.MAIL_FROM || 'Touch Grass <no-reply@touchgrass.app>';
+  await getTransport().send({ from, ...message });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport
+};
@@ -0,0 +1,95 @@
+const { translate } = require('../i18n');
+
+/**
+ * Email templates
+ * Each builder returns { subject, text } ready for sendMail(), written in the
+ * given locale (English if omitted). Paragraphs are translated one by one, so
+ * each is a catalog entry of its own.
+ */
+
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+const paragraphs = (...lines) => lines.join('\n\n');
+
+const passwordReset = (token, locale) => {
+  const t = (template, params) => translate(locale, template, params);
+  const link = `${appUrl()}/reset-password?token=${token}`;
+  return {
+    subject: t('Reset your Touch Grass password'),
+    text: paragraphs(
+      t('We received a request to reset your password.'),
+      t('Use the link below to choose a new one. It expires in 1 hour and can only be used once.'),
+      link,
+      t('If you didn\'t ask for this, you can ignore this email.')
+    )
+  };
+};
+
+const emailVerification = (token, locale) => {
+  const t = (template, params) => translate(locale, template, params);
+  const link = `${appUrl()}/api/auth/verify-email/${token}`;
+  return {
+    subject: t('Verify your Touch Grass email'),
+    text: paragraphs(
+      t('Welcome to Touch Grass!'),
+      t('Please confirm your email address so you can add kids and share your family code. The link expires in 24 hours.'),
+      link,
+      t('If you didn\'t create an account, you can ignore this email.')
+    )
+  };
+};
+
+const familyInvite = (code, inviterEmail, role, locale) => {
+  const t = (template, params) => translate(locale, template, params);
+  return {
+    subject: t('{inviter} invited you to their Touch Grass family', { inviter: inviterEmail }),
+    text: paragraphs(
+      t('{inviter} invited you to join their family on Touch Grass as a {role}.', { inviter: inviterEmail, role }),
+      t('Log in to your parent account and enter this invite code. It expires in 7 days.'),
+      code,
+      t('If you weren\'t expecting this, you can ignore this email.')
+    )
+  };
+};
+
+const passwordChanged = (locale) => {
+  const t = (template, params) => translate(locale, template, params);
+  return {
+    subject: t('Your Touch Grass password was changed'),
+    text: paragraphs(
+      t('Your password was just changed and all other sessions were signed out.'),
+      t('If this wasn\'t you, reset your password immediately.')
+    )
+  };
+};
+
+const signed = (change) => (change > 0 ? `+${change}` : change === 0 ? '±0' : String(change));
+
+const weeklyDigest = (report, locale) => {
+  const t = (template, params) => translate(locale, template, params);
+  const sections = report.kids.map(kid => [
+    kid.kid.name,
+    `- ${t('Outdoor time: {minutes} minutes ({change} vs last week)', { minutes: kid.minutes, change: signed(kid.change.minutes) })}`,
+    `- ${t('Daily goal met: {days} of 7 days ({change})', { days: kid.daysGoalMet, change: signed(kid.change.daysGoalMet) })}`,
+    `- ${t('Streak: {current} days, longest {longest}', { current: kid.streaks.current, longest: kid.streaks.longest })}`,
+    `- ${t('Challenges completed: {count} ({change})', { count: kid.challengesCompleted, change: signed(kid.change.challengesCompleted) })}`,
+    `- ${t('Points earned: {points} ({change})', { points: kid.pointsEarned, change: signed(kid.change.pointsEarned) })}`
+  ].join('\n'));
+
+  return {
+    subject: t('Your Touch Grass weekly report ({start} to {end})', { start: report.week.start, end: report.week.end }),
+    text: paragraphs(
+      t('Here\'s how your family\'s week went outside.'),
+      sections.join('\n\n') || t('No kids to report on yet.'),
+      t('The full report is attached. You can turn off weekly reports in your family settings.')
+    )
+  };
+};
+
+module.exports = {
+  passwordReset,
+  emailVerification,
+  familyInvite,
+  passwordChanged,
+  weeklyDigest
+};
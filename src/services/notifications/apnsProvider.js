@@ -0,0 +1,76 @@
+const fs = require('fs');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Push provider for Apple Push Notification service
+ * Uses token-based authentication, configured with APNS_KEY (path to the
+ * .p8 key), APNS_KEY_ID, APNS_TEAM_ID and APNS_BUNDLE_ID. Set
+ * APNS_PRODUCTION=true to use the production environment.
+ * @returns {Object} Push provider
+ */
+const createApnsProvider = () => {
+  const { APNS_KEY, APNS_KEY_ID, APNS_TEAM_ID, APNS_BUNDLE_ID } = process.env;
+  if (!APNS_KEY || !APNS_KEY_ID || !APNS_TEAM_ID || !APNS_BUNDLE_ID) {
+    throw new Error('APNS_KEY, APNS_KEY_ID, APNS_TEAM_ID and APNS_BUNDLE_ID are required for APNs push notifications');
+  }
+
+  const key = fs.readFileSync(APNS_KEY, 'utf8');
+  const host = process.env.APNS_PRODUCTION === 'true'
+    ? 'https://api.push.apple.com'
+    : 'https://api.sandbox.push.apple.com';
+  let providerToken = null;
+
+  // Apple accepts a provider token for up to an hour; refresh well before
+  const getProviderToken = () => {
+    if (!providerToken || providerToken.issuedAt < Date.now() - 40 * 60 * 1000) {
+      providerToken = {
+        value: jwt.sign({}, key, { algorithm: 'ES256', issuer: APNS_TEAM_ID, keyid: APNS_KEY_ID }),
+        issuedAt: Date.now()
+      };
+    }
+    return providerToken.value;
+  };
+
+  const send = (device, { title, body, data = {} }) => new Promise((resolve, reject) => {
+    const client = http2.connect(host);
+    client.on('error', reject);
+
+    const request = client.request({
+      ':method': 'POST',
+      ':path': `/3/device/${device.token}`,
+      authorization: `bearer ${getProviderToken()}`,
+      'apns-topic': APNS_BUNDLE_ID,
+      'apns-push-type': 'alert'
+    });
+
+    let status;
+    let responseBody = '';
+    request.setEncoding('utf8');
+    request.on('response', (headers) => { status = headers[':status']; });
+    request.on('data', (chunk) => { responseBody += chunk; });
+    request.on('end', () => {
+      client.close();
+
+      if (status === 200) return resolve({ ok: true });
+
+      const reason = responseBody ? JSON.parse(responseBody).reason : undefined;
+      resolve({
+        ok: false,
+        // 410 means the token is no longer active for the topic
+        invalidToken: status === 410 || reason === 'BadDeviceToken' || reason === 'Unregistered',
+        error: `APNs responded with status ${status}${reason ? ` (${reason})` : ''}`
+      });
+    });
+    request.on('error', (error) => {
+      client.close();
+      reject(error);
+    });
+
+    request.end(JSON.stringify({ aps: { alert: { title, body }, sound: 'default' }, ...data }));
+  });
+
+  return { send };
+};
+
+module.exports = createApnsProvider;
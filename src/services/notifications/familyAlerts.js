@@ -0,0 +1,129 @@
+const Kid = require('../../models/Kid');
+const Family = require('../../models/Family');
+const { subscribeAll } = require('../events');
+const { dayIn, getDailyTotals } = require('../progress');
+const { notifyUser, notifyFamily } = require('./index');
+const { logger } = require('../logger');
+
+/**
+ * Push notifications for family events
+ *
+ * Listens to the family event bus, so the activity, challenge and reward
+ * flows trigger notifications just by publishing their events. Parents are
+ * alerted about what their kids do, kids about what their parents decide.
+ * Whoever caused an event is never notified about it. Texts are translated
+ * to each recipient's locale by the dispatcher.
+ */
+
+/**
+ * Check whether a completed session pushed the kid over today's daily goal
+ * @returns {Promise<number|null>} The goal in minutes if just reached
+ */
+const reachedDailyGoal = async (kid, event) => {
+  const goal = kid.goals && kid.goals.dailyMinutes;
+  if (!goal) return null;
+
+  const { timeZone } = await Family.forOwner(kid.parent);
+  const today = dayIn(new Date(), timeZone);
+  if (dayIn(new Date(event.data.startedAt), timeZone) !== today) return null;
+
+  const since = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+  const minutes = (await getDailyTotals(kid._id, timeZone, { from: since })).get(today) || 0;
+
+  return minutes >= goal && minutes - event.data.durationMinutes < goal ? goal : null;
+};
+
+/**
+ * Send the notifications for one family event
+ * @param {Object} event - FamilyEvent document
+ */
+const handleEvent = async (event) => {
+  const kid = event.kid && await Kid.findById(event.kid).select('name user goals parent');
+  if (!kid) return;
+
+  const data = { eventId: String(event._id), type: event.type, kidId: String(kid._id) };
+  const { durationMinutes, title, points, rewardName, cost } = event.data || {};
+  const params = { kid: kid.name, minutes: durationMinutes, title, points, reward: rewardName, cost };
+  const toParents = (category, heading, body) => {
+    return notifyFamily(event.parent, category, { title: heading, body, params, data }, { exclude: event.actor });
+  };
+  const toKid = (category, heading, body) => {
+    if (!kid.user || (event.actor && kid.user.equals(event.actor))) return null;
+    return notifyUser(kid.user, category, { title: heading, body, params, data });
+  };
+
+  switch (event.type) {
+    case 'activity.started':
+      await toParents('activity', '{kid} is outside', '{kid} just started outdoor time.');
+      break;
+
+    case 'activity.completed': {
+      await toParents('activity', '{kid} was outside', '{kid} spent {minutes} minutes outside.');
+
+      const goal = await reachedDailyGoal(kid, event);
+      if (goal) {
+        params.goal = goal;
+        await toParents('goals', 'Daily goal reached', '{kid} reached today\'s goal of {goal} minutes outside!');
+        if (kid.user) {
+          await notifyUser(kid.user, 'goals', {
+            title: 'Goal reached!',
+            body: 'You spent {goal} minutes outside today. Great job!',
+            params,
+            data
+          });
+        }
+      }
+      break;
+    }
+
+    case 'challenge.assigned':
+      await toKid('challenges', 'New challenge', '{title} ({points} points)');
+      break;
+
+    case 'challenge.submitted':
+      await toParents('challenges', 'Challenge to review', '{kid} finished "{title}".');
+      break;
+
+    case 'challenge.approved':
+      await toKid('challenges', 'Challenge approved!', '"{title}" earned you {points} points.');
+      break;
+
+    case 'challenge.rejected':
+      await toKid('challenges', 'Give it another try', '"{title}" wasn\'t approved yet.');
+      break;
+
+    case 'redemption.requested':
+      await toParents('rewards', 'New reward request', '{kid} wants {reward} ({cost} points).');
+      break;
+
+    case 'redemption.approved':
+      await toKid('rewards', 'Reward approved!', 'Enjoy your {reward}!');
+      break;
+
+    case 'redemption.denied':
+      await toKid('rewards', 'Reward not approved', '{reward} wasn\'t approved. Your points are back.');
+      break;
+
+    case 'checkin.flagged':
+      await toParents('location', 'Check-in outside your places', '{kid} checked in outside all of your family\'s places.');
+      break;
+
+    default:
+      break;
+  }
+};
+
+/**
+ * Start sending push notifications for family events published in this process
+ * @returns {Function} Stop
+ */
+const startFamilyAlerts = () => {
+  return subscribeAll((event) => {
+    handleEvent(event).catch(error => logger.error('Family alert error', { type: event.type, error }));
+  });
+};
+
+module.exports = {
+  handleEvent,
+  startFamilyAlerts
+};
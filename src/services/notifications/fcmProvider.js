@@ -0,0 +1,86 @@
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Push provider for Firebase Cloud Messaging (HTTP v1 API)
+ * Configured with FCM_SERVICE_ACCOUNT, the path to (or JSON contents of) a
+ * Firebase service account key
+ * @returns {Object} Push provider
+ */
+const createFcmProvider = () => {
+  const raw = process.env.FCM_SERVICE_ACCOUNT;
+  if (!raw) {
+    throw new Error('FCM_SERVICE_ACCOUNT is required for FCM push notifications');
+  }
+
+  const account = JSON.parse(raw.trim().startsWith('{') ? raw : fs.readFileSync(raw, 'utf8'));
+  const tokenUri = account.token_uri || 'https://oauth2.googleapis.com/token';
+  let accessToken = null;
+
+  /**
+   * Exchange a signed service account assertion for an OAuth access token
+   * Cached until shortly before it expires
+   */
+  const getAccessToken = async () => {
+    if (accessToken && accessToken.expiresAt > Date.now() + 60 * 1000) {
+      return accessToken.value;
+    }
+
+    const assertion = jwt.sign(
+      { scope: 'https://www.googleapis.com/auth/firebase.messaging' },
+      account.private_key,
+      { algorithm: 'RS256', issuer: account.client_email, audience: tokenUri, expiresIn: '1h' }
+    );
+
+    const response = await fetch(tokenUri, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`FCM authentication failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    accessToken = { value: body.access_token, expiresAt: Date.now() + body.expires_in * 1000 };
+    return accessToken.value;
+  };
+
+  const send = async (device, { title, body, data = {} }) => {
+    const response = await fetch(
+      `https://fcm.googleapis.com/v1/projects/${account.project_id}/messages:send`,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${await getAccessToken()}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          message: {
+            token: device.token,
+            notification: { title, body },
+            // FCM data values must be strings
+            data: Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)]))
+          }
+        })
+      }
+    );
+
+    if (response.ok) return { ok: true };
+
+    // 404 (UNREGISTERED): the app was uninstalled or the token rotated
+    return {
+      ok: false,
+      invalidToken: response.status === 404,
+      error: `FCM responded with status ${response.status}`
+    };
+  };
+
+  return { send };
+};
+
+module.exports = createFcmProvider;
@@ -0,0 +1,187 @@
+const User = require('../../models/User');
+const Family = require('../../models/Family');
+const logProvider = require('./logProvider');
+const createFcmProvider = require('./fcmProvider');
+const createApnsProvider = require('./apnsProvider');
+const { minutesOfDayIn } = require('../progress');
+const { translate } = require('../i18n');
+const { logger } = require('../logger');
+
+/**
+ * Push notification dispatcher
+ *
+ * A provider is any object with an async `send(device, { title, body, data })`
+ * method resolving to `{ ok, invalidToken?, error? }`. Devices name the
+ * provider that issued their token (`fcm` or `apns`). With PUSH_MODE=log
+ * (the default) every notification goes to the log provider instead; set
+ * PUSH_MODE=live to deliver through FCM and APNs. Providers can be replaced
+ * at startup with `setProvider()`.
+ *
+ * Users control delivery with their notification preferences: a master
+ * switch, per-category switches and quiet hours in their family's time zone.
+ *
+ * Titles and bodies are English templates with `{name}` placeholders, filled
+ * from `params` and translated to each recipient's saved locale:
+ *
+ *   notifyUser(kidUserId, 'rewards', { title: 'Reward approved!', body: 'Enjoy your {reward}!', params: { reward } });
+ */
+const factories = {
+  fcm: createFcmProvider,
+  apns: createApnsProvider
+};
+
+const activeProviders = {};
+
+/**
+ * Get the provider delivering to a device, creating it on first use
+ * @param {string} name - Device provider (fcm or apns)
+ * @returns {Object} Push provider
+ */
+const getProvider = (name) => {
+  if ((process.env.PUSH_MODE || 'log') === 'log') return logProvider;
+
+  if (!activeProviders[name]) {
+    if (!factories[name]) {
+      throw new Error(`Unknown push provider: ${name}`);
+    }
+    activeProviders[name] = factories[name]();
+  }
+
+  return activeProviders[name];
+};
+
+/**
+ * Replace a push provider
+ * @param {string} name - fcm or apns
+ * @param {Object} provider - Object implementing send(device, notification)
+ */
+const setProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('Push provider must implement send(device, notification)');
+  }
+  activeProviders[name] = provider;
+};
+
+/**
+ * Whether a moment falls in a user's quiet hours
+ * Quiet hours may wrap past midnight (e.g. 21:00-07:00)
+ * @param {Object} quietHours - { enabled, start, end }
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} [now] - Moment to check
+ * @returns {boolean}
+ */
+const inQuietHours = (quietHours, timeZone, now = new Date()) => {
+  if (!quietHours || !quietHours.enabled) return false;
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const current = minutesOfDayIn(now, timeZone);
+
+  if (start === end) return false;
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+/**
+ * Send a notification to every device of a user, honoring their preferences
+ * Never throws: notification failures must not fail the action behind them
+ * @param {string} userId - Recipient User ID
+ * @param {string} category - One of User.NOTIFICATION_CATEGORIES
+ * @param {Object} notification - { title, body, params, data }
+ * @returns {Promise<Object>} { sent, failed, skipped? }
+ */
+const notifyUser = async (userId, category, notification) => {
+  try {
+    const user = await User.findById(userId).select('+devices');
+
+    if (!user || user.disabled || !user.devices.length) {
+      return { sent: 0, failed: 0, skipped: 'no_devices' };
+    }
+
+    const preferences = user.notificationPreferences || {};
+    if (preferences.enabled === false
+      || (preferences.categories && preferences.categories[category] === false)) {
+      return { sent: 0, failed: 0, skipped: 'preferences' };
+    }
+
+    if (preferences.quietHours && preferences.quietHours.enabled) {
+      const family = await Family.forOwner(user.role === 'kid' ? user.parent : user._id);
+      if (inQuietHours(preferences.quietHours, family.timeZone)) {
+        return { sent: 0, failed: 0, skipped: 'quiet_hours' };
+      }
+    }
+
+    const summary = { sent: 0, failed: 0 };
+    const invalidTokens = [];
+    const message = {
+      title: translate(user.locale, notification.title, notification.params),
+      body: translate(user.locale, notification.body, notification.params),
+      data: { category, ...notification.data }
+    };
+
+    await Promise.all(user.devices.map(async (device) => {
+      try {
+        const result = await getProvider(device.provider).send(device, message);
+
+        if (result.ok) {
+          summary.sent++;
+          return;
+        }
+
+        summary.failed++;
+        if (result.invalidToken) invalidTokens.push(device.token);
+        else logger.error('Push notification failed', { provider: device.provider, error: result.error });
+      } catch (error) {
+        summary.failed++;
+        logger.error('Push notification error', { provider: device.provider, error });
+      }
+    }));
+
+    // Forget tokens the provider says will never work again
+    if (invalidTokens.length) {
+      await User.updateOne(
+        { _id: user._id },
+        { $pull: { devices: { token: { $in: invalidTokens } } } }
+      );
+    }
+
+    return summary;
+  } catch (error) {
+    logger.error('Notify user error', { userId, category, error });
+    return { sent: 0, failed: 0, skipped: 'error' };
+  }
+};
+
+/**
+ * Send a notification to the parents of a family
+ * @param {string} ownerId - Family owner ID
+ * @param {string} category - Notification category
+ * @param {Object} notification - { title, body, params, data }
+ * @param {Object} [options] - { exclude: userId not to notify, e.g. whoever acted }
+ * @returns {Promise<void>}
+ */
+const notifyFamily = async (ownerId, category, notification, { exclude } = {}) => {
+  try {
+    const family = await Family.forOwner(ownerId);
+    const recipients = family.members
+      .map(member => member.user)
+      .filter(userId => !exclude || !userId.equals(exclude));
+
+    await Promise.all(recipients.map(userId => notifyUser(userId, category, notification)));
+  } catch (error) {
+    logger.error('Notify family error', { ownerId, category, error });
+  }
+};
+
+module.exports = {
+  getProvider,
+  setProvider,
+  inQuietHours,
+  notifyUser,
+  notifyFamily
+};
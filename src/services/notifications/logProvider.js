@@ -0,0 +1,17 @@
+/**
+ * Push provider that prints notifications to the console
+ * Intended for local development and testing
+ */
+const send = async (device, notification) => {
+  console.log(`
+🔔 Push (${device.provider}/${device.platform})
+To: ${device.token.slice(0, 12)}…
+Title: ${notification.title}
+
+${notification.body}
+`);
+
+  return { ok: true };
+};
+
+module.exports = { send };
@@ -0,0 +1,225 @@
+const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const { version } = require('../../package.json');
+
+/**
+ * OpenAPI document
+ *
+ * Generated from the mounted routers rather than written by hand: every
+ * route's request schema (middleware/validate.js) documents its parameters
+ * and body, and the auth, checkRole and requireVerifiedEmail middleware in
+ * front of it document who may call it.
+ */
+
+const json = (schema) => ({ 'application/json': { schema } });
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  schemas: {
+    Success: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', const: true },
+        message: { type: 'string' },
+        count: { type: 'integer', description: 'Lists only' },
+        data: {}
+      },
+      required: ['success']
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', const: false },
+        code: { type: 'string', description: 'Stable error code, e.g. KID_NOT_FOUND' },
+        message: { type: 'string' }
+      },
+      required: ['success', 'code', 'message']
+    },
+    ValidationError: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', const: false },
+        code: { type: 'string', const: 'VALIDATION_FAILED' },
+        message: { type: 'string', description: 'Every field error, joined' },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string', example: 'age' },
+              in: { type: 'string', enum: ['params', 'query', 'body'] },
+              message: { type: 'string', example: 'must be at least 1' }
+            }
+          }
+        }
+      },
+      required: ['success', 'code', 'message', 'errors']
+    }
+  }
+};
+
+/**
+ * What a middleware says about who may call the routes behind it
+ */
+const guardOf = (handle) => {
+  if (handle === auth) return { auth: true };
+  if (handle === requireVerifiedEmail) return { verified: true };
+  if (handle.roles) return { roles: handle.roles };
+  return {};
+};
+
+/**
+ * List a router's routes with their schema and guards
+ * Router-level middleware (router.use) guards every route registered after it
+ * @param {Object} router - Express router
+ * @returns {Object[]} [{ method, path, schema, auth, roles, verified }]
+ */
+const routesOf = (router) => {
+  const routes = [];
+  let guards = {};
+
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      guards = { ...guards, ...guardOf(layer.handle) };
+      continue;
+    }
+
+    const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+    const routeGuards = handlers.reduce((all, handle) => ({ ...all, ...guardOf(handle) }), guards);
+    const validator = handlers.find(handle => handle.schema);
+
+    for (const method of Object.keys(layer.route.methods)) {
+      if (method === '_all') continue;
+      routes.push({ method, path: layer.route.path, schema: validator ? validator.schema : {}, ...routeGuards });
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Split a params or query schema into OpenAPI parameters
+ */
+const parametersOf = (schema, location) => {
+  const required = schema.required || [];
+
+  return Object.entries(schema.properties).map(([name, { description, ...property }]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    description,
+    schema: property
+  }));
+};
+
+/**
+ * Build one OpenAPI operation
+ */
+const operationOf = (route, path, tag) => {
+  const { schema } = route;
+  const operation = {
+    tags: [tag],
+    operationId: schema.operationId,
+    summary: schema.summary
+  };
+
+  const access = [];
+  if (route.roles) access.push(`**Roles:** ${route.roles.join(', ')}`);
+  if (route.verified) access.push('Requires a verified email.');
+  const description = [schema.description, access.join(' ')].filter(Boolean).join('\n\n');
+  if (description) operation.description = description;
+
+  const parameters = [
+    ...(schema.params ? parametersOf(schema.params, 'path') : []),
+    ...(schema.query ? parametersOf(schema.query, 'query') : [])
+  ];
+  // Path parameters without a schema are still required strings
+  for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+    if (!parameters.some(parameter => parameter.in === 'path' && parameter.name === name)) {
+      parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+  if (parameters.length) operation.parameters = parameters;
+
+  if (schema.upload) {
+    const body = schema.body || { properties: {} };
+    operation.requestBody = {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: { [schema.upload]: { type: 'string', format: 'binary' }, ...body.properties },
+            required: [schema.upload]
+          }
+        }
+      }
+    };
+  } else if (schema.body) {
+    operation.requestBody = {
+      required: Boolean(schema.body.required && schema.body.required.length),
+      content: json(schema.body)
+    };
+  }
+
+  operation.responses = {
+    [schema.status || 200]: { description: 'Success', content: json(ref('Success')) }
+  };
+  if (parameters.length || operation.requestBody) {
+    operation.responses[400] = { description: 'Invalid request', content: json(ref('ValidationError')) };
+  }
+  if (route.auth) {
+    operation.security = [{ bearerAuth: [] }];
+    operation.responses[401] = { description: 'Missing or invalid access token', content: json(ref('Error')) };
+  }
+  if (route.roles || route.verified) {
+    operation.responses[403] = { description: 'Not allowed for this user', content: json(ref('Error')) };
+  }
+  if (path.includes('{')) {
+    operation.responses[404] = { description: 'Not found', content: json(ref('Error')) };
+  }
+
+  return operation;
+};
+
+/**
+ * Build the OpenAPI document of the mounted API routers
+ * @param {Array} apiRoutes - [[mountPath, router]] as mounted in app.js
+ * @returns {Object} OpenAPI 3.1 document
+ */
+const buildSpec = (apiRoutes) => {
+  const paths = {};
+  const tags = [];
+
+  for (const [mountPath, router] of apiRoutes) {
+    const tag = mountPath.replace(/^\/api\//, '');
+    tags.push({ name: tag });
+
+    for (const route of routesOf(router)) {
+      const path = `${mountPath}${route.path === '/' ? '' : route.path}`.replace(/:(\w+)/g, '{$1}');
+      paths[path] = paths[path] || {};
+      paths[path][route.method] = operationOf(route, path, tag);
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Touch Grass API',
+      version,
+      description: 'Outdoor time tracking for families. Responses are wrapped as '
+        + '`{ success, message?, count?, data }`; errors as `{ success: false, code, message }`.'
+    },
+    tags,
+    paths,
+    components
+  };
+};
+
+module.exports = {
+  buildSpec
+};
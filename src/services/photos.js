@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Photo = require('../models/Photo');
+const { getStorage } = require('./storage');
+const { BadRequestError } = require('../errors');
+
+/**
+ * Photo processing
+ *
+ * Uploaded photos are decoded and re-encoded, which drops every piece of
+ * metadata (EXIF, GPS, XMP, ICC comments) from the stored files; kids'
+ * photos must never reveal where they were taken. EXIF orientation is
+ * applied to the pixels first so photos still display the right way up.
+ */
+
+const ALLOWED_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+const MAX_BYTES = 10 * 1024 * 1024;
+const MIN_DIMENSION = 200;
+const MAX_DIMENSION = 8000;
+// Longest side of the stored photo and of its thumbnail
+const FULL_SIZE = 2048;
+const THUMBNAIL_SIZE = 320;
+// Profile images are stored square
+const AVATAR_MIN_DIMENSION = 64;
+const AVATAR_SIZE = 512;
+const AVATAR_THUMBNAIL_SIZE = 128;
+
+/**
+ * Error for photos that fail validation, safe to show to the client
+ */
+class PhotoValidationError extends BadRequestError {}
+
+/**
+ * Encode an image pipeline in the upload's format, without metadata
+ */
+const encode = (pipeline, format) => {
+  if (format === 'png') return pipeline.png();
+  if (format === 'webp') return pipeline.webp({ quality: 85 });
+  return pipeline.jpeg({ quality: 85, mozjpeg: true });
+};
+
+/**
+ * Decode an upload and check its type and dimensions
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} mimeType - MIME type declared by the client
+ * @param {number} minDimension - Smallest width and height allowed
+ * @returns {Promise<Object>} { format, width, height } after EXIF orientation
+ * @throws {PhotoValidationError} If the file isn't an acceptable photo
+ */
+const readPhoto = async (buffer, mimeType, minDimension) => {
+  const declared = ALLOWED_TYPES[mimeType];
+  if (!declared) {
+    throw new PhotoValidationError('PHOTO_TYPE_NOT_ALLOWED', 'Photo must be a JPEG, PNG or WebP image');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_DIMENSION * MAX_DIMENSION }).metadata();
+  } catch (error) {
+    throw new PhotoValidationError('PHOTO_UNREADABLE', 'Photo could not be read');
+  }
+
+  // The declared type comes from the client, trust the decoded format instead
+  if (metadata.format !== declared) {
+    throw new PhotoValidationError('PHOTO_TYPE_MISMATCH', 'Photo content does not match its file type');
+  }
+
+  // Orientations 5-8 are rotated a quarter turn
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (width < minDimension || height < minDimension) {
+    throw new PhotoValidationError('PHOTO_TOO_SMALL', 'Photo must be at least {size}x{size} pixels',
+      { params: { size: minDimension } });
+  }
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new PhotoValidationError('PHOTO_DIMENSIONS_TOO_LARGE', 'Photo cannot exceed {size}x{size} pixels',
+      { params: { size: MAX_DIMENSION } });
+  }
+
+  return { format: declared, width, height };
+};
+
+/**
+ * Start an image pipeline with EXIF orientation applied
+ */
+const oriented = (buffer) => {
+  return sharp(buffer, { limitInputPixels: MAX_DIMENSION * MAX_DIMENSION }).rotate();
+};
+
+/**
+ * Validate an uploaded photo and produce its stored versions
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} mimeType - MIME type declared by the client
+ * @returns {Promise<Object>} { contentType, width, height, full, thumbnail }
+ * @throws {PhotoValidationError} If the file isn't an acceptable photo
+ */
+const processPhoto = async (buffer, mimeType) => {
+  const { format } = await readPhoto(buffer, mimeType, MIN_DIMENSION);
+
+  const full = await encode(
+    oriented(buffer).resize(FULL_SIZE, FULL_SIZE, { fit: 'inside', withoutEnlargement: true }),
+    format
+  ).toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await encode(
+    oriented(buffer).resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true }),
+    format
+  ).toBuffer();
+
+  return {
+    contentType: mimeType,
+    width: full.info.width,
+    height: full.info.height,
+    full: full.data,
+    thumbnail
+  };
+};
+
+/**
+ * Parse an optional crop rectangle from request fields
+ * @param {Object} fields - { cropX, cropY, cropWidth, cropHeight }
+ * @param {Object} size - { width, height } of the oriented image
+ * @returns {Object|null} { left, top, width, height }, or null for no crop
+ * @throws {PhotoValidationError} If the crop is incomplete or out of bounds
+ */
+const parseCrop = ({ cropX, cropY, cropWidth, cropHeight }, size) => {
+  const values = [cropX, cropY, cropWidth, cropHeight];
+  if (values.every(value => value === undefined || value === '')) return null;
+
+  const [left, top, width, height] = values.map(Number);
+  if (![left, top, width, height].every(Number.isInteger)) {
+    throw new PhotoValidationError('PHOTO_CROP_INVALID',
+      'cropX, cropY, cropWidth and cropHeight must all be whole numbers of pixels');
+  }
+
+  if (left < 0 || top < 0 || width < AVATAR_MIN_DIMENSION || height < AVATAR_MIN_DIMENSION
+    || left + width > size.width || top + height > size.height) {
+    throw new PhotoValidationError(
+      'PHOTO_CROP_INVALID',
+      'Crop must be at least {min}x{min} pixels and fit inside the {width}x{height} photo',
+      { params: { min: AVATAR_MIN_DIMENSION, width: size.width, height: size.height } }
+    );
+  }
+
+  return { left, top, width, height };
+};
+
+/**
+ * Validate an uploaded profile image, crop it and produce square versions
+ * Without a crop the image is center-cropped to a square
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} mimeType - MIME type declared by the client
+ * @param {Object} [fields] - Optional crop fields, in pixels of the upright image
+ * @returns {Promise<Object>} { contentType, full, thumbnail }
+ * @throws {PhotoValidationError} If the file or crop isn't acceptable
+ */
+const processAvatar = async (buffer, mimeType, fields = {}) => {
+  const { format, width, height } = await readPhoto(buffer, mimeType, AVATAR_MIN_DIMENSION);
+  const crop = parseCrop(fields, { width, height });
+
+  const square = (size) => {
+    // rotate() runs first, so the crop applies to the upright image
+    const pipeline = oriented(buffer);
+    if (crop) pipeline.extract(crop);
+    return encode(pipeline.resize(size, size, { fit: 'cover' }), format).toBuffer();
+  };
+
+  return {
+    contentType: mimeType,
+    full: await square(AVATAR_SIZE),
+    thumbnail: await square(AVATAR_THUMBNAIL_SIZE)
+  };
+};
+
+/**
+ * Build storage keys for a new photo
+ * @param {string} parentId - Family owner ID, used to group a family's files
+ * @param {string} format - File extension
+ * @returns {{key: string, thumbnailKey: string}}
+ */
+const photoKeys = (parentId, format) => {
+  const id = crypto.randomBytes(16).toString('hex');
+  return {
+    key: `${parentId}/${id}.${format}`,
+    thumbnailKey: `${parentId}/${id}_thumb.${format}`
+  };
+};
+
+/**
+ * Delete photos and their stored files
+ * Used when the session, challenge or kid they belong to is deleted
+ * @param {Object} filter - Photo filter, e.g. { activity: sessionId }
+ * @returns {Promise<number>} Number of photos deleted
+ */
+const removePhotos = async (filter) => {
+  const photos = await Photo.find(filter);
+  if (!photos.length) return 0;
+
+  await Photo.deleteMany({ _id: { $in: photos.map(photo => photo._id) } });
+
+  const storage = getStorage();
+  await Promise.allSettled(
+    photos.flatMap(photo => [storage.remove(photo.key), storage.remove(photo.thumbnailKey)])
+  );
+
+  return photos.length;
+};
+
+module.exports = {
+  ALLOWED_TYPES,
+  MAX_BYTES,
+  PhotoValidationError,
+  processPhoto,
+  processAvatar,
+  photoKeys,
+  removePhotos
+};
@@ -0,0 +1,195 @@
+const Place = require('../models/Place');
+const { BadRequestError } = require('../errors');
+
+/**
+ * Places (geofences)
+ *
+ * Parents draw places as circles or polygons. Both are stored as a GeoJSON
+ * polygon in `Place.area` so a single 2dsphere query finds the places
+ * around a point; circles are stored as a polygon enclosing the circle and
+ * the exact distance to the center is checked afterwards.
+ */
+
+const EARTH_RADIUS_METERS = 6371008.8;
+const CIRCLE_SIDES = 32;
+const MAX_POLYGON_POINTS = 100;
+
+/**
+ * Error raised for invalid coordinates or shapes
+ * The message is safe to show to the user
+ */
+class PlaceValidationError extends BadRequestError {}
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Validate a { latitude, longitude } pair
+ * @param {Object} point - Input from the client
+ * @param {string} [label] - Name used in the error message
+ * @returns {number[]} [longitude, latitude], GeoJSON order
+ * @throws {PlaceValidationError}
+ */
+const toPosition = (point, label = 'Location') => {
+  const latitude = Number(point && point.latitude);
+  const longitude = Number(point && point.longitude);
+
+  if (!point || point.latitude === undefined || point.longitude === undefined
+    || !Number.isFinite(latitude) || !Number.isFinite(longitude)
+    || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    throw new PlaceValidationError('PLACE_LOCATION_INVALID', '{label} needs a latitude (-90 to 90) and longitude (-180 to 180)',
+      { params: { label } });
+  }
+
+  return [longitude, latitude];
+};
+
+/**
+ * Great-circle distance between two positions
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @returns {number} Meters
+ */
+const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Position reached going a distance from a start along a bearing
+ */
+const destination = ([lng, lat], meters, bearing) => {
+  const angle = meters / EARTH_RADIUS_METERS;
+  const lat1 = toRadians(lat);
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(bearing));
+  const lng2 = toRadians(lng) + Math.atan2(
+    Math.sin(bearing) * Math.sin(angle) * Math.cos(lat1),
+    Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return [toDegrees(lng2), toDegrees(lat2)];
+};
+
+/**
+ * Polygon enclosing a circle
+ * The polygon's sides touch the circle, so every point of the circle is inside
+ * @param {number[]} center - [longitude, latitude]
+ * @param {number} radiusMeters - Radius
+ * @returns {number[][]} Closed ring
+ */
+const circleRing = (center, radiusMeters) => {
+  const vertexDistance = radiusMeters / Math.cos(Math.PI / CIRCLE_SIDES);
+  const ring = [];
+
+  for (let i = 0; i < CIRCLE_SIDES; i++) {
+    ring.push(destination(center, vertexDistance, (2 * Math.PI * i) / CIRCLE_SIDES));
+  }
+  ring.push(ring[0]);
+
+  return ring;
+};
+
+/**
+ * Build the stored geometry of a place from client input
+ * @param {Object} input - { shape: 'circle', center, radiusMeters } or { shape: 'polygon', points }
+ * @returns {Object} { shape, center?, radiusMeters?, area }
+ * @throws {PlaceValidationError}
+ */
+const buildGeometry = ({ shape, center, radiusMeters, points }) => {
+  if (shape === 'circle') {
+    const position = toPosition(center, 'Center');
+    const radius = Number(radiusMeters);
+
+    if (!Number.isFinite(radius) || radius < 10 || radius > 5000) {
+      throw new PlaceValidationError('PLACE_RADIUS_INVALID', 'Radius must be between 10 and 5000 meters');
+    }
+
+    return {
+      shape,
+      center: { type: 'Point', coordinates: position },
+      radiusMeters: radius,
+      area: { type: 'Polygon', coordinates: [circleRing(position, radius)] }
+    };
+  }
+
+  if (shape === 'polygon') {
+    if (!Array.isArray(points) || points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+      throw new PlaceValidationError('PLACE_POLYGON_INVALID', 'A polygon needs between 3 and {max} points',
+        { params: { max: MAX_POLYGON_POINTS } });
+    }
+
+    const ring = points.map((point, i) => toPosition(point, `Point ${i + 1}`));
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+
+    if (ring.length < 4) {
+      throw new PlaceValidationError('PLACE_POLYGON_INVALID', 'A polygon needs at least 3 distinct points');
+    }
+
+    return {
+      shape,
+      center: undefined,
+      radiusMeters: undefined,
+      area: { type: 'Polygon', coordinates: [ring] }
+    };
+  }
+
+  throw new PlaceValidationError('PLACE_SHAPE_INVALID', 'Shape must be one of: {shapes}',
+    { params: { shapes: Place.PLACE_SHAPES } });
+};
+
+/**
+ * Approximate size of a place, to prefer the most specific match
+ * @returns {number} Square meters
+ */
+const sizeOf = (place) => {
+  if (place.shape === 'circle') return Math.PI * place.radiusMeters ** 2;
+
+  // Shoelace formula on an equirectangular projection, fine at place scale
+  const ring = place.area.coordinates[0];
+  const meanLat = toRadians(ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length);
+  const project = ([lng, lat]) => [
+    toRadians(lng) * Math.cos(meanLat) * EARTH_RADIUS_METERS,
+    toRadians(lat) * EARTH_RADIUS_METERS
+  ];
+
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = project(ring[i]);
+    const [x2, y2] = project(ring[i + 1]);
+    area += x1 * y2 - x2 * y1;
+  }
+
+  return Math.abs(area) / 2;
+};
+
+/**
+ * Find a family's places containing a position, smallest first
+ * @param {string} ownerId - Family owner ID
+ * @param {number[]} position - [longitude, latitude]
+ * @returns {Promise<Array>} Place documents
+ */
+const findPlacesAt = async (ownerId, position) => {
+  const candidates = await Place.find({
+    parent: ownerId,
+    area: { $geoIntersects: { $geometry: { type: 'Point', coordinates: position } } }
+  });
+
+  return candidates
+    .filter(place => place.shape !== 'circle'
+      || distanceMeters(place.center.coordinates, position) <= place.radiusMeters)
+    .sort((a, b) => sizeOf(a) - sizeOf(b));
+};
+
+module.exports = {
+  PlaceValidationError,
+  toPosition,
+  distanceMeters,
+  buildGeometry,
+  findPlacesAt
+};
@@ -0,0 +1,51 @@
+const PointsTransaction = require('../models/PointsTransaction');
+
+/**
+ * Points earned per completed outdoor minute
+ */
+const POINTS_PER_MINUTE = 1;
+
+/**
+ * Bring the points awarded for an activity in line with its current state
+ *
+ * The ledger is append-only, so instead of editing the original award this
+ * posts the difference between what the session is worth now and what was
+ * already awarded for it. Safe to call after every stop, log, correction or
+ * deletion; it posts nothing when the totals already match.
+ *
+ * @param {Object} session - ActivitySession document
+ * @param {Object} options - { actor, deleted }
+ * @returns {Promise<Object|null>} Ledger entry posted, if any
+ */
+const syncActivityPoints = async (session, { actor, deleted = false } = {}) => {
+  const worth = !deleted && session.status === 'completed'
+    ? Math.max(Math.round(session.durationMinutes * POINTS_PER_MINUTE), 0)
+    : 0;
+
+  const [awarded] = await PointsTransaction.aggregate([
+    { $match: { activity: session._id } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+
+  const delta = worth - (awarded ? awarded.total : 0);
+  if (delta === 0) return null;
+
+  let note = `${session.durationMinutes} outdoor minutes`;
+  if (deleted) note = 'Activity deleted';
+  else if (awarded) note = 'Activity corrected';
+
+  return PointsTransaction.create({
+    kid: session.kid,
+    parent: session.parent,
+    amount: delta,
+    type: awarded ? 'adjustment' : 'activity',
+    activity: session._id,
+    note,
+    createdBy: actor
+  });
+};
+
+module.exports = {
+  POINTS_PER_MINUTE,
+  syncActivityPoints
+};
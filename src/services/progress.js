@@ -0,0 +1,236 @@
+const ActivitySession = require('../models/ActivitySession');
+
+/**
+ * Outdoor time progress
+ *
+ * Days are handled as 'YYYY-MM-DD' strings in the family's time zone, so a
+ * session at 23:30 in Nairobi counts for that Nairobi day no matter where
+ * the server runs. Sessions are attributed to the day they started.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the calendar day of a moment in a time zone
+ * @param {Date} date - Moment in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Day as 'YYYY-MM-DD'
+ */
+const dayIn = (date, timeZone) => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+/**
+ * Get the minutes since midnight of a moment in a time zone
+ * @param {Date} date - Moment in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} 0-1439
+ */
+const minutesOfDayIn = (date, timeZone) => {
+  const [hours, minutes] = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date).split(':').map(Number);
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Shift a day string by a number of days
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Get the Monday starting the week of a day
+ * @param {string} day - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const weekStartOf = (day) => {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+};
+
+/**
+ * Total completed outdoor minutes per day for a kid
+ * @param {string} kidId - Kid ID
+ * @param {string} timeZone - IANA time zone for day boundaries
+ * @param {Object} [range] - Optional { from, to } Date bounds on session start
+ * @returns {Promise<Map<string, number>>} Day -> minutes
+ */
+const getDailyTotals = async (kidId, timeZone, { from, to } = {}) => {
+  const match = { kid: kidId, status: 'completed' };
+  if (from || to) {
+    match.startedAt = {};
+    if (from) match.startedAt.$gte = from;
+    if (to) match.startedAt.$lt = to;
+  }
+
+  const rows = await ActivitySession.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt', timezone: timeZone } },
+        minutes: { $sum: '$durationMinutes' }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id, row.minutes]));
+};
+
+/**
+ * Whether a day's minutes meet the daily goal
+ * Without a daily goal any outdoor time counts
+ */
+const meetsDailyGoal = (minutes, dailyMinutes) => {
+  return dailyMinutes ? minutes >= dailyMinutes : minutes > 0;
+};
+
+/**
+ * Compute current and longest streak of days meeting the daily goal
+ * The current streak stays alive through today until the day is over
+ * @param {Map<string, number>} totals - Day -> minutes
+ * @param {number|null} dailyMinutes - Daily goal
+ * @param {string} today - Today in the family's time zone
+ * @returns {{current: number, longest: number}}
+ */
+const computeStreaks = (totals, dailyMinutes, today) => {
+  const metDays = [...totals.keys()]
+    .filter(day => day <= today && meetsDailyGoal(totals.get(day), dailyMinutes))
+    .sort();
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const day of metDays) {
+    run = previous && addDays(previous, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  const met = new Set(metDays);
+  let current = 0;
+  let day = met.has(today) ? today : addDays(today, -1);
+  while (met.has(day)) {
+    current++;
+    day = addDays(day, -1);
+  }
+
+  return { current, longest };
+};
+
+/**
+ * Build per-day progress for the last `days` days, oldest first
+ */
+const buildDailyRollup = (totals, goals, today, days) => {
+  const rollup = [];
+
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDays(today, -i);
+    const minutes = totals.get(date) || 0;
+    rollup.push({
+      date,
+      minutes,
+      goalMet: meetsDailyGoal(minutes, goals.dailyMinutes)
+    });
+  }
+
+  return rollup;
+};
+
+/**
+ * Build per-week progress (weeks start on Monday) for the last `weeks` weeks
+ */
+const buildWeeklyRollup = (totals, goals, today, weeks) => {
+  const rollup = [];
+  const currentWeek = weekStartOf(today);
+
+  for (let i = weeks - 1; i >= 0; i--) {
+    const weekStart = addDays(currentWeek, -7 * i);
+    let minutes = 0;
+    let activeDays = 0;
+    let daysGoalMet = 0;
+
+    for (let d = 0; d < 7; d++) {
+      const day = addDays(weekStart, d);
+      if (day > today) break;
+
+      const dayMinutes = totals.get(day) || 0;
+      minutes += dayMinutes;
+      if (dayMinutes > 0) activeDays++;
+      if (meetsDailyGoal(dayMinutes, goals.dailyMinutes)) daysGoalMet++;
+    }
+
+    rollup.push({
+      weekStart,
+      minutes,
+      activeDays,
+      daysGoalMet,
+      goalMet: goals.daysPerWeek ? daysGoalMet >= goals.daysPerWeek : null
+    });
+  }
+
+  return rollup;
+};
+
+/**
+ * Compute goal progress, streaks and rollups for a kid
+ * @param {Object} kid - Kid document
+ * @param {string} timeZone - Family IANA time zone
+ * @param {Object} [options] - { days, weeks } rollup lengths
+ * @returns {Promise<Object>} Progress report
+ */
+const getProgress = async (kid, timeZone, { days = 7, weeks = 4 } = {}) => {
+  const goals = {
+    dailyMinutes: kid.goals ? kid.goals.dailyMinutes : null,
+    daysPerWeek: kid.goals ? kid.goals.daysPerWeek : null
+  };
+  const today = dayIn(new Date(), timeZone);
+  const totals = await getDailyTotals(kid._id, timeZone);
+
+  const todayMinutes = totals.get(today) || 0;
+  const weekly = buildWeeklyRollup(totals, goals, today, weeks);
+  const thisWeek = weekly[weekly.length - 1];
+
+  return {
+    kidId: kid._id,
+    timeZone,
+    goals,
+    today: {
+      date: today,
+      minutes: todayMinutes,
+      remainingMinutes: goals.dailyMinutes ? Math.max(goals.dailyMinutes - todayMinutes, 0) : null,
+      goalMet: meetsDailyGoal(todayMinutes, goals.dailyMinutes)
+    },
+    thisWeek,
+    streaks: computeStreaks(totals, goals.dailyMinutes, today),
+    daily: buildDailyRollup(totals, goals, today, days),
+    weekly
+  };
+};
+
+module.exports = {
+  dayIn,
+  minutesOfDayIn,
+  addDays,
+  weekStartOf,
+  getDailyTotals,
+  meetsDailyGoal,
+  computeStreaks,
+  getProgress
+};
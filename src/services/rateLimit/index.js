@@ -0,0 +1,36 @@
+const createMemoryStore = require('./memoryStore');
+const createRedisStore = require('./redisStore');
+
+/**
+ * Pluggable rate limit store
+ *
+ * A store implements:
+ *   increment(key, windowMs) -> { count, resetAt }  count hits in a fixed window
+ *   get(key)                 -> { count, resetAt } | null
+ *   reset(key)
+ *
+ * The in-memory store is used by default. Plug in a shared store at startup
+ * with `setStore(createRedisStore(client))`.
+ */
+let activeStore = null;
+
+const getStore = () => {
+  if (!activeStore) {
+    activeStore = createMemoryStore();
+  }
+  return activeStore;
+};
+
+const setStore = (store) => {
+  if (!store || typeof store.increment !== 'function') {
+    throw new Error('Rate limit store must implement increment(key, windowMs)');
+  }
+  activeStore = store;
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  createMemoryStore,
+  createRedisStore
+};
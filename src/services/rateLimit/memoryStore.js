@@ -0,0 +1,48 @@
+/**
+ * In-memory rate limit store
+ * Counters live in this process only, so limits are per server instance.
+ * Use the Redis store when running more than one instance.
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  // Drop expired counters so memory doesn't grow with every IP seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  const read = (key) => {
+    const entry = counters.get(key);
+    if (!entry || entry.resetAt <= Date.now()) return null;
+    return entry;
+  };
+
+  return {
+    async increment(key, windowMs) {
+      let entry = read(key);
+
+      if (!entry) {
+        entry = { count: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, entry);
+      }
+
+      entry.count++;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async get(key) {
+      const entry = read(key);
+      return entry ? { count: entry.count, resetAt: new Date(entry.resetAt) } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
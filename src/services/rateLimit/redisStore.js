@@ -0,0 +1,44 @@
+/**
+ * Redis rate limit store, shared by every server instance
+ * Takes an already connected ioredis-compatible client
+ * (incr, pexpire, pttl, get, del), so redis is not a hard dependency.
+ *
+ * @example
+ * const Redis = require('ioredis');
+ * rateLimit.setStore(createRedisStore(new Redis(process.env.REDIS_URL)));
+ */
+const createRedisStore = (client, { prefix = 'rl:' } = {}) => ({
+  async increment(key, windowMs) {
+    const redisKey = prefix + key;
+    const count = await client.incr(redisKey);
+
+    // First hit of a window starts its expiry
+    if (count === 1) {
+      await client.pexpire(redisKey, windowMs);
+    }
+
+    let ttl = await client.pttl(redisKey);
+    if (ttl < 0) {
+      // Expiry was lost (e.g. crash between incr and pexpire), restart the window
+      await client.pexpire(redisKey, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: new Date(Date.now() + ttl) };
+  },
+
+  async get(key) {
+    const redisKey = prefix + key;
+    const count = parseInt(await client.get(redisKey), 10);
+    if (!count) return null;
+
+    const ttl = await client.pttl(redisKey);
+    return { count, resetAt: new Date(Date.now() + Math.max(ttl, 0)) };
+  },
+
+  async reset(key) {
+    await client.del(prefix + key);
+  }
+});
+
+module.exports = createRedisStore;
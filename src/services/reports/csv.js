@@ -0,0 +1,54 @@
+/**
+ * Weekly report as CSV, one row per kid
+ */
+
+const COLUMNS = [
+  ['kid', r => r.kid.name],
+  ['week_start', r => r.week.start],
+  ['week_end', r => r.week.end],
+  ['minutes', r => r.minutes],
+  ['minutes_prior_week', r => r.previousWeek.minutes],
+  ['active_days', r => r.activeDays],
+  ['active_days_prior_week', r => r.previousWeek.activeDays],
+  ['daily_goal_minutes', r => r.goals.dailyMinutes],
+  ['days_goal_met', r => r.daysGoalMet],
+  ['days_goal_met_prior_week', r => r.previousWeek.daysGoalMet],
+  ['weekly_goal_met', r => r.weeklyGoalMet],
+  ['current_streak', r => r.streaks.current],
+  ['longest_streak', r => r.streaks.longest],
+  ['challenges_completed', r => r.challengesCompleted],
+  ['challenges_completed_prior_week', r => r.previousWeek.challengesCompleted],
+  ['points_earned', r => r.pointsEarned],
+  ['points_earned_prior_week', r => r.previousWeek.pointsEarned]
+];
+
+/**
+ * Quote a value if needed (RFC 4180)
+ * Values starting with a formula character are prefixed so spreadsheets
+ * don't evaluate them
+ */
+const escape = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && typeof value === 'string') text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a weekly report as CSV
+ * @param {Object} report - From buildWeeklyReport()
+ * @returns {string} CSV text
+ */
+const toCsv = (report) => {
+  const rows = [COLUMNS.map(([name]) => name)];
+
+  for (const kidReport of report.kids) {
+    rows.push(COLUMNS.map(([, value]) => value(kidReport)));
+  }
+
+  return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = { toCsv };
@@ -0,0 +1,188 @@
+const Challenge = require('../../models/Challenge');
+const PointsTransaction = require('../../models/PointsTransaction');
+const { dayIn, addDays, weekStartOf, getDailyTotals, meetsDailyGoal, computeStreaks } = require('../progress');
+const { sendMail } = require('../mailer');
+const templates = require('../mailer/templates');
+const { toPdf } = require('./pdf');
+
+/**
+ * Weekly reports
+ *
+ * Summarizes a kid's week (Monday to Sunday in the family's time zone)
+ * and compares it with the week before. Reports are rendered as JSON, CSV
+ * (`./csv`) or PDF (`./pdf`) and emailed as the weekly parent digest.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points that count as earned (refunds only give back what was spent)
+const EARNING_TYPES = ['activity', 'challenge', 'adjustment'];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Resolve the week to report on
+ * @param {string} [week] - Any day of the week as 'YYYY-MM-DD'; defaults to last week
+ * @param {string} timeZone - Family time zone
+ * @returns {{start: string, end: string}|null} Monday and Sunday, or null if invalid
+ */
+const resolveWeek = (week, timeZone) => {
+  let start;
+
+  if (week) {
+    const date = new Date(`${week}T00:00:00Z`);
+    if (!DAY_PATTERN.test(week) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== week) {
+      return null;
+    }
+    start = weekStartOf(week);
+  } else {
+    start = addDays(weekStartOf(dayIn(new Date(), timeZone)), -7);
+  }
+
+  return { start, end: addDays(start, 6) };
+};
+
+/**
+ * Sum a kid's week from daily totals and dated records
+ * Records are fetched with a day of margin and matched on their local day
+ */
+const summarizeWeek = ({ totals, challenges, points, goals, start, timeZone }) => {
+  const end = addDays(start, 6);
+  const inWeek = (date) => {
+    const day = dayIn(date, timeZone);
+    return day >= start && day <= end;
+  };
+
+  const daily = [];
+  for (let d = 0; d < 7; d++) {
+    const date = addDays(start, d);
+    const minutes = totals.get(date) || 0;
+    daily.push({ date, minutes, goalMet: meetsDailyGoal(minutes, goals.dailyMinutes) });
+  }
+
+  const daysGoalMet = daily.filter(day => day.goalMet).length;
+
+  return {
+    minutes: daily.reduce((sum, day) => sum + day.minutes, 0),
+    activeDays: daily.filter(day => day.minutes > 0).length,
+    daysGoalMet,
+    weeklyGoalMet: goals.daysPerWeek ? daysGoalMet >= goals.daysPerWeek : null,
+    challengesCompleted: challenges.filter(challenge => inWeek(challenge.reviewedAt)).length,
+    pointsEarned: points
+      .filter(entry => inWeek(entry.createdAt))
+      .reduce((sum, entry) => sum + entry.amount, 0),
+    daily
+  };
+};
+
+/**
+ * Build a kid's weekly report, compared with the week before
+ * @param {Object} kid - Kid document
+ * @param {string} timeZone - Family time zone
+ * @param {{start: string, end: string}} week - From resolveWeek()
+ * @returns {Promise<Object>} Report
+ */
+const buildKidReport = async (kid, timeZone, week) => {
+  const goals = {
+    dailyMinutes: kid.goals ? kid.goals.dailyMinutes : null,
+    daysPerWeek: kid.goals ? kid.goals.daysPerWeek : null
+  };
+  const previousStart = addDays(week.start, -7);
+
+  // Prior week start to the day after this week, with a day of margin for time zones
+  const from = new Date(new Date(`${previousStart}T00:00:00Z`).getTime() - DAY_MS);
+  const to = new Date(new Date(`${week.end}T00:00:00Z`).getTime() + 2 * DAY_MS);
+
+  const [totals, challenges, points] = await Promise.all([
+    // All days, for streaks
+    getDailyTotals(kid._id, timeZone),
+    Challenge.find({ kid: kid._id, status: 'approved', reviewedAt: { $gte: from, $lt: to } })
+      .select('reviewedAt'),
+    PointsTransaction.find({
+      kid: kid._id,
+      type: { $in: EARNING_TYPES },
+      amount: { $gt: 0 },
+      createdAt: { $gte: from, $lt: to }
+    }).select('amount createdAt')
+  ]);
+
+  const records = { totals, challenges, points, goals, timeZone };
+  const current = summarizeWeek({ ...records, start: week.start });
+  const previous = summarizeWeek({ ...records, start: previousStart });
+
+  // Streaks as of the end of the week (or today, for the current week)
+  const today = dayIn(new Date(), timeZone);
+  const streaks = computeStreaks(totals, goals.dailyMinutes, week.end < today ? week.end : today);
+
+  const { daily, ...summary } = current;
+  const { daily: previousDaily, ...previousSummary } = previous;
+
+  return {
+    kid: { id: kid._id, name: kid.name },
+    timeZone,
+    week,
+    goals,
+    ...summary,
+    streaks,
+    daily,
+    previousWeek: previousSummary,
+    change: {
+      minutes: current.minutes - previous.minutes,
+      activeDays: current.activeDays - previous.activeDays,
+      daysGoalMet: current.daysGoalMet - previous.daysGoalMet,
+      challengesCompleted: current.challengesCompleted - previous.challengesCompleted,
+      pointsEarned: current.pointsEarned - previous.pointsEarned
+    }
+  };
+};
+
+/**
+ * Build the weekly report for a set of kids
+ * @param {Array} kids - Kid documents
+ * @param {Function} timeZoneOf - Resolves a kid's family time zone
+ * @param {string} [week] - Any day of the week; defaults to last week
+ * @returns {Promise<Object|null>} { week, generatedAt, kids }, or null if week is invalid
+ */
+const buildWeeklyReport = async (kids, timeZoneOf, week) => {
+  const reports = [];
+  let range = null;
+
+  for (const kid of kids) {
+    const timeZone = await timeZoneOf(kid);
+    range = resolveWeek(week, timeZone);
+    if (!range) return null;
+
+    reports.push(await buildKidReport(kid, timeZone, range));
+  }
+
+  return {
+    week: range || resolveWeek(week, 'UTC'),
+    generatedAt: new Date(),
+    kids: reports
+  };
+};
+
+/**
+ * Email a weekly report with the PDF attached
+ * @param {string} to - Recipient email
+ * @param {Object} report - From buildWeeklyReport()
+ * @param {string} [locale] - Language of the email
+ */
+const emailWeeklyReport = async (to, report, locale) => {
+  await sendMail({
+    to,
+    ...templates.weeklyDigest(report, locale),
+    attachments: [{
+      filename: `touch-grass-weekly-${report.week.start}.pdf`,
+      contentType: 'application/pdf',
+      content: await toPdf(report)
+    }]
+  });
+};
+
+module.exports = {
+  resolveWeek,
+  buildKidReport,
+  buildWeeklyReport,
+  emailWeeklyReport
+};
@@ -0,0 +1,98 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Weekly report as PDF, one section per kid
+ */
+
+const GREEN = '#15803d';
+const GREY = '#6b7280';
+
+/**
+ * Format a week-over-week change, e.g. "+15" or "-2"
+ */
+const formatChange = (change) => {
+  if (change === 0) return 'same as last week';
+  return `${change > 0 ? '+' : ''}${change} vs last week`;
+};
+
+/**
+ * Write one kid's section
+ */
+const writeKid = (doc, kidReport) => {
+  const { goals, streaks, change } = kidReport;
+
+  doc.fontSize(16).fillColor(GREEN).text(kidReport.kid.name);
+  doc.moveDown(0.3);
+
+  const lines = [
+    ['Outdoor time', `${kidReport.minutes} minutes`, formatChange(change.minutes)],
+    ['Active days', `${kidReport.activeDays} of 7`, formatChange(change.activeDays)],
+    [
+      'Daily goal met',
+      goals.dailyMinutes
+        ? `${kidReport.daysGoalMet} days (goal ${goals.dailyMinutes} min)`
+        : `${kidReport.daysGoalMet} days (no goal set)`,
+      formatChange(change.daysGoalMet)
+    ],
+    ['Streak', `${streaks.current} days (longest ${streaks.longest})`, ''],
+    ['Challenges completed', String(kidReport.challengesCompleted), formatChange(change.challengesCompleted)],
+    ['Points earned', String(kidReport.pointsEarned), formatChange(change.pointsEarned)]
+  ];
+
+  if (kidReport.weeklyGoalMet !== null) {
+    lines.splice(3, 0, [
+      'Weekly goal',
+      kidReport.weeklyGoalMet ? 'Met' : 'Not met',
+      `${goals.daysPerWeek} days needed`
+    ]);
+  }
+
+  for (const [label, value, note] of lines) {
+    doc.fontSize(11).fillColor('black').text(`${label}: `, { continued: true })
+      .text(value, { continued: Boolean(note) });
+    if (note) doc.fillColor(GREY).text(`  (${note})`);
+  }
+
+  doc.moveDown(0.5);
+  doc.fontSize(10).fillColor(GREY).text('Minutes per day');
+  doc.fillColor('black').text(
+    kidReport.daily
+      .map(day => `${new Date(`${day.date}T00:00:00Z`).toUTCString().slice(0, 3)} ${day.minutes}${day.goalMet ? ' *' : ''}`)
+      .join('   ')
+  );
+  if (goals.dailyMinutes) {
+    doc.fillColor(GREY).text('* daily goal met');
+  }
+
+  doc.moveDown(1.5);
+};
+
+/**
+ * Render a weekly report as PDF
+ * @param {Object} report - From buildWeeklyReport()
+ * @returns {Promise<Buffer>} PDF file
+ */
+const toPdf = (report) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Touch Grass weekly report' } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(22).fillColor(GREEN).text('Touch Grass weekly report');
+    doc.fontSize(12).fillColor(GREY).text(`${report.week.start} to ${report.week.end}`);
+    doc.moveDown(1.5);
+
+    if (!report.kids.length) {
+      doc.fontSize(11).fillColor('black').text('No kids to report on yet.');
+    }
+
+    report.kids.forEach(kidReport => writeKid(doc, kidReport));
+
+    doc.end();
+  });
+};
+
+module.exports = { toPdf };
@@ -0,0 +1,312 @@
+const Kid = require('../models/Kid');
+const Family = require('../models/Family');
+const ScreenTimeTransaction = require('../models/ScreenTimeTransaction');
+const { dayIn, addDays } = require('./progress');
+const { BadRequestError } = require('../errors');
+
+/**
+ * Screen time ledger
+ *
+ * Outdoor time buys screen time. Completed sessions earn screen minutes at
+ * the kid's ratio, up to the daily earn cap; kids spend them up to the daily
+ * spend cap; at the end of each day anything over the carry-over limit
+ * expires. Every change is an entry in the append-only ledger and the
+ * balance is always computed from it, never taken from the client.
+ *
+ * Carry-over is applied lazily: whenever a kid's screen time is read or
+ * changed, any days that ended since the last settlement are settled first.
+ */
+
+// Days settled at most in one go; older unsettled days are skipped
+const MAX_SETTLE_DAYS = 62;
+
+const EARNING_TYPES = ['earned', 'adjustment'];
+const SPENDING_TYPES = ['spent', 'refund'];
+
+/**
+ * Error raised when a spend or deduction breaks a rule
+ * The message is safe to show to the user
+ */
+class ScreenTimeError extends BadRequestError {}
+
+/**
+ * Sum a kid's earned and spent minutes for one day
+ * @param {string} kidId - Kid ID
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {Object} [options] - { excludeActivity } to leave one activity out of earnings
+ * @returns {Promise<{earned: number, spent: number}>}
+ */
+const dayTotals = async (kidId, day, { excludeActivity } = {}) => {
+  const entries = await ScreenTimeTransaction.find({
+    kid: kidId,
+    day,
+    type: { $in: [...EARNING_TYPES, ...SPENDING_TYPES] }
+  }).select('type minutes activity');
+
+  return entries.reduce((totals, entry) => {
+    if (EARNING_TYPES.includes(entry.type)) {
+      if (!excludeActivity || !entry.activity || !entry.activity.equals(excludeActivity)) {
+        totals.earned += entry.minutes;
+      }
+    } else {
+      totals.spent -= entry.minutes;
+    }
+    return totals;
+  }, { earned: 0, spent: 0 });
+};
+
+/**
+ * Apply the carry-over limit to every day that ended since the last settlement
+ * Claims the days first so concurrent requests can't expire minutes twice
+ * @param {Object} kid - Kid document
+ * @param {string} timeZone - Family time zone
+ * @returns {Promise<number>} Minutes expired
+ */
+const settle = async (kid, timeZone) => {
+  const yesterday = addDays(dayIn(new Date(), timeZone), -1);
+  const settledThrough = kid.screenTime && kid.screenTime.settledThrough;
+  if (settledThrough && settledThrough >= yesterday) return 0;
+
+  const claimed = await Kid.findOneAndUpdate(
+    { _id: kid._id, 'screenTime.settledThrough': settledThrough || null },
+    { $set: { 'screenTime.settledThrough': yesterday } },
+    { new: true }
+  );
+  // Another request is settling
+  if (!claimed) return 0;
+  kid.screenTime.settledThrough = yesterday;
+
+  const limit = kid.screenTime.carryOverMinutes;
+  if (limit === null || limit === undefined) return 0;
+
+  let day = settledThrough ? addDays(settledThrough, 1) : yesterday;
+  const oldest = addDays(yesterday, -(MAX_SETTLE_DAYS - 1));
+  if (day < oldest) day = oldest;
+
+  let expired = 0;
+  for (; day <= yesterday; day = addDays(day, 1)) {
+    const balance = await ScreenTimeTransaction.balanceFor(kid._id, day);
+    if (balance <= limit) continue;
+
+    await ScreenTimeTransaction.create({
+      kid: kid._id,
+      parent: kid.parent,
+      minutes: limit - balance,
+      type: 'expired',
+      day,
+      note: limit ? `Over the ${limit}-minute carry-over` : 'Unspent minutes expire daily'
+    });
+    expired += balance - limit;
+  }
+
+  return expired;
+};
+
+/**
+ * Build a kid's screen time balance, today's limits and settings
+ * @param {Object} kid - Kid document
+ * @param {string} timeZone - Family time zone
+ * @returns {Promise<Object>}
+ */
+const summary = async (kid, timeZone) => {
+  await settle(kid, timeZone);
+
+  const today = dayIn(new Date(), timeZone);
+  const settings = kid.screenTime;
+  const [balance, totals] = await Promise.all([
+    ScreenTimeTransaction.balanceFor(kid._id),
+    dayTotals(kid._id, today)
+  ]);
+
+  const remaining = (cap, used) => (cap === null || cap === undefined ? null : Math.max(cap - used, 0));
+
+  return {
+    kidId: kid._id,
+    balance,
+    today: {
+      date: today,
+      earned: totals.earned,
+      spent: totals.spent,
+      remainingToEarn: remaining(settings.dailyEarnCap, totals.earned),
+      remainingToSpend: remaining(settings.dailySpendCap, totals.spent)
+    },
+    settings: {
+      ratio: settings.ratio,
+      dailyEarnCap: settings.dailyEarnCap,
+      dailySpendCap: settings.dailySpendCap,
+      carryOverMinutes: settings.carryOverMinutes
+    }
+  };
+};
+
+/**
+ * Bring the screen time earned by an activity in line with its current state
+ *
+ * Like points, the difference between what the session is worth now and
+ * what it already earned is posted, so this is safe to call after every
+ * stop, log, correction or deletion. The daily earn cap counts everything
+ * else earned on the session's day.
+ *
+ * @param {Object} session - ActivitySession document
+ * @param {Object} options - { actor, deleted }
+ * @returns {Promise<Object|null>} Ledger entry posted, if any
+ */
+const syncActivityScreenTime = async (session, { actor, deleted = false } = {}) => {
+  const kid = await Kid.findById(session.kid);
+  if (!kid) return null;
+
+  const { timeZone } = await Family.forOwner(kid.parent);
+  const day = dayIn(session.startedAt, timeZone);
+  const settings = kid.screenTime;
+
+  let worth = !deleted && session.status === 'completed'
+    ? Math.max(Math.floor(session.durationMinutes * settings.ratio), 0)
+    : 0;
+
+  if (worth && settings.dailyEarnCap !== null && settings.dailyEarnCap !== undefined) {
+    const { earned } = await dayTotals(kid._id, day, { excludeActivity: session._id });
+    worth = Math.min(worth, Math.max(settings.dailyEarnCap - earned, 0));
+  }
+
+  const [awarded] = await ScreenTimeTransaction.aggregate([
+    { $match: { activity: session._id } },
+    { $group: { _id: null, total: { $sum: '$minutes' } } }
+  ]);
+
+  const delta = worth - (awarded ? awarded.total : 0);
+  if (delta === 0) return null;
+
+  let note = `${session.durationMinutes} outdoor minutes`;
+  if (deleted) note = 'Activity deleted';
+  else if (awarded) note = 'Activity corrected';
+
+  return ScreenTimeTransaction.create({
+    kid: kid._id,
+    parent: kid.parent,
+    minutes: delta,
+    type: awarded ? 'adjustment' : 'earned',
+    day,
+    activity: session._id,
+    note,
+    createdBy: actor
+  });
+};
+
+/**
+ * Spend screen time, enforcing the balance and the daily spend cap
+ * @param {Object} kid - Kid document
+ * @param {number} minutes - Minutes to spend
+ * @param {Object} options - { actor, note, timeZone }
+ * @returns {Promise<Object>} Ledger entry
+ * @throws {ScreenTimeError} If the kid can't spend that much
+ */
+const spend = async (kid, minutes, { actor, note, timeZone }) => {
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
+    throw new ScreenTimeError('SCREEN_TIME_MINUTES_INVALID', 'Minutes must be a whole number between 1 and 1440');
+  }
+
+  await settle(kid, timeZone);
+
+  const today = dayIn(new Date(), timeZone);
+  const cap = kid.screenTime.dailySpendCap;
+
+  // Checked before and after posting: two spends racing past the first
+  // check are caught by the second and reversed
+  const check = async () => {
+    const [balance, { spent }] = await Promise.all([
+      ScreenTimeTransaction.balanceFor(kid._id),
+      dayTotals(kid._id, today)
+    ]);
+
+    if (balance < 0) {
+      return new ScreenTimeError('SCREEN_TIME_INSUFFICIENT', 'Not enough screen time');
+    }
+    if (cap !== null && cap !== undefined && spent > cap) {
+      return new ScreenTimeError('SCREEN_TIME_DAILY_LIMIT', 'Daily screen time limit of {cap} minutes reached',
+        { params: { cap } });
+    }
+    return null;
+  };
+
+  const [balance, { spent }] = await Promise.all([
+    ScreenTimeTransaction.balanceFor(kid._id),
+    dayTotals(kid._id, today)
+  ]);
+
+  if (balance < minutes) {
+    throw new ScreenTimeError('SCREEN_TIME_INSUFFICIENT', 'Not enough screen time. {balance} minutes available.',
+      { params: { balance } });
+  }
+  if (cap !== null && cap !== undefined && spent + minutes > cap) {
+    throw new ScreenTimeError('SCREEN_TIME_DAILY_LIMIT',
+      'Daily screen time limit reached. {minutes} minutes left today.',
+      { params: { minutes: Math.max(cap - spent, 0) } });
+  }
+
+  const entry = await ScreenTimeTransaction.create({
+    kid: kid._id,
+    parent: kid.parent,
+    minutes: -minutes,
+    type: 'spent',
+    day: today,
+    note,
+    createdBy: actor
+  });
+
+  const problem = await check();
+  if (problem) {
+    await ScreenTimeTransaction.create({
+      kid: kid._id,
+      parent: kid.parent,
+      minutes,
+      type: 'refund',
+      day: today,
+      note: problem.message,
+      createdBy: actor
+    });
+    throw problem;
+  }
+
+  return entry;
+};
+
+/**
+ * Manually grant or deduct screen time
+ * Grants ignore the daily earn cap; deductions can't take the balance below zero
+ * @param {Object} kid - Kid document
+ * @param {number} minutes - Positive to grant, negative to deduct
+ * @param {Object} options - { actor, note, timeZone }
+ * @returns {Promise<Object>} Ledger entry
+ * @throws {ScreenTimeError} If a deduction exceeds the balance
+ */
+const adjust = async (kid, minutes, { actor, note, timeZone }) => {
+  await settle(kid, timeZone);
+
+  if (Number.isInteger(minutes) && minutes < 0) {
+    const balance = await ScreenTimeTransaction.balanceFor(kid._id);
+    if (balance + minutes < 0) {
+      throw new ScreenTimeError('SCREEN_TIME_DEDUCTION_TOO_LARGE', 'Cannot deduct more than the balance of {balance} minutes',
+        { params: { balance } });
+    }
+  }
+
+  return ScreenTimeTransaction.create({
+    kid: kid._id,
+    parent: kid.parent,
+    minutes,
+    type: minutes < 0 ? 'deduction' : 'grant',
+    day: dayIn(new Date(), timeZone),
+    note,
+    createdBy: actor
+  });
+};
+
+module.exports = {
+  ScreenTimeError,
+  dayTotals,
+  settle,
+  summary,
+  syncActivityScreenTime,
+  spend,
+  adjust
+};
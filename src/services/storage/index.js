@@ -0,0 +1,51 @@
+const localStorage = require('./localStorage');
+const createSupabaseStorage = require('./supabaseStorage');
+
+/**
+ * Pluggable file storage
+ *
+ * A storage is any object with async `put(key, buffer, contentType)`,
+ * `get(key)` (resolving to a Buffer) and `remove(key)` methods. The built-in
+ * storages are selected with STORAGE_DRIVER (`local` by default, or
+ * `supabase`); another provider can be plugged in at startup with
+ * `setStorage()`.
+ */
+const drivers = {
+  local: () => localStorage,
+  supabase: () => createSupabaseStorage()
+};
+
+let activeStorage = null;
+
+/**
+ * Get the storage in use, resolving it from the environment on first use
+ * @returns {Object} File storage
+ */
+const getStorage = () => {
+  if (!activeStorage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    activeStorage = drivers[name]();
+  }
+
+  return activeStorage;
+};
+
+/**
+ * Replace the file storage
+ * @param {Object} storage - Object implementing put, get and remove
+ */
+const setStorage = (storage) => {
+  if (!storage || ['put', 'get', 'remove'].some(method => typeof storage[method] !== 'function')) {
+    throw new Error('Storage must implement put(key, buffer, contentType), get(key) and remove(key)');
+  }
+  activeStorage = storage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
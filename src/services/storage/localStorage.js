@@ -0,0 +1,38 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Storage that keeps files on local disk under UPLOAD_DIR
+ * Files are only served through the API, never as static files
+ */
+const rootDir = () => path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+
+/**
+ * Resolve a key to a path, refusing keys that escape the upload directory
+ */
+const resolveKey = (key) => {
+  const root = rootDir();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+const put = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+};
+
+const get = async (key) => {
+  return fs.readFile(resolveKey(key));
+};
+
+const remove = async (key) => {
+  await fs.rm(resolveKey(key), { force: true });
+};
+
+module.exports = { put, get, remove };
@@ -0,0 +1,41 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Storage backed by a Supabase Storage bucket
+ * The bucket should be private: files are only served through the API
+ * Configured with SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY and SUPABASE_BUCKET
+ * @returns {Object} File storage
+ */
+const createSupabaseStorage = () => {
+  const url = process.env.SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !serviceKey) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for Supabase storage');
+  }
+
+  const client = createClient(url, serviceKey, {
+    auth: { persistSession: false }
+  });
+  const bucket = () => client.storage.from(process.env.SUPABASE_BUCKET || 'photos');
+
+  const put = async (key, buffer, contentType) => {
+    const { error } = await bucket().upload(key, buffer, { contentType, upsert: false });
+    if (error) throw error;
+  };
+
+  const get = async (key) => {
+    const { data, error } = await bucket().download(key);
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  };
+
+  const remove = async (key) => {
+    const { error } = await bucket().remove([key]);
+    if (error) throw error;
+  };
+
+  return { put, get, remove };
+};
+
+module.exports = createSupabaseStorage;
@@ -0,0 +1,129 @@
+const ActivityIdea = require('../models/ActivityIdea');
+const ActivitySession = require('../models/ActivitySession');
+const { translate } = require('./i18n');
+
+/**
+ * Activity suggestions
+ *
+ * Ranks catalog activities for a kid. Activities outside the kid's age range
+ * or hidden by the parent are never suggested; the rest are scored:
+ *
+ *   +3 per interest shared with the kid
+ *   +1 for outdoor activities (the point of the app)
+ *   +1 in season, -2 out of season (all-year activities are neutral)
+ *   -3 if the kid did this exact activity in the last 7 days
+ *   -1 per session of the same type in the last 7 days, up to -3
+ */
+
+const RECENT_DAYS = 7;
+
+// Months (0-11) per season, northern hemisphere
+const NORTHERN_SEASONS = [
+  'winter', 'winter', 'spring', 'spring', 'spring', 'summer',
+  'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'
+];
+const OPPOSITE_SEASON = { winter: 'summer', spring: 'autumn', summer: 'winter', autumn: 'spring' };
+
+// One message per season, so each is translated as a whole
+const SEASON_REASONS = {
+  winter: 'Great for winter',
+  spring: 'Great for spring',
+  summer: 'Great for summer',
+  autumn: 'Great for autumn'
+};
+
+/**
+ * Get the current season
+ * @param {Date} date - Current date
+ * @param {string} [hemisphere='north'] - north or south
+ * @returns {string} Season name
+ */
+const seasonOf = (date, hemisphere = 'north') => {
+  const season = NORTHERN_SEASONS[date.getUTCMonth()];
+  return hemisphere === 'south' ? OPPOSITE_SEASON[season] : season;
+};
+
+/**
+ * Score one activity for a kid
+ * Reasons are in the context's locale
+ * @returns {{score: number, reasons: string[]}}
+ */
+const scoreIdea = (idea, { interests, season, recentIdeas, recentTypes, locale }) => {
+  const reasons = [];
+  let score = 0;
+
+  const shared = idea.interests.filter(tag => interests.has(tag));
+  if (shared.length) {
+    score += 3 * shared.length;
+    reasons.push(translate(locale, 'Matches interests: {interests}', { interests: shared.join(', ') }));
+  }
+
+  if (idea.setting === 'outdoor') {
+    score += 1;
+  }
+
+  if (idea.seasons.length) {
+    if (idea.seasons.includes(season)) {
+      score += 1;
+      reasons.push(translate(locale, SEASON_REASONS[season]));
+    } else {
+      score -= 2;
+    }
+  }
+
+  if (recentIdeas.has(String(idea._id))) {
+    score -= 3;
+    reasons.push(translate(locale, 'Done recently'));
+  }
+
+  const sameType = recentTypes.get(idea.activityType) || 0;
+  if (sameType && idea.activityType !== 'other') {
+    score -= Math.min(sameType, 3);
+  }
+
+  return { score, reasons };
+};
+
+/**
+ * Rank catalog activities for a kid
+ * @param {Object} kid - Kid document
+ * @param {Object} [options] - { limit, hemisphere, now, locale }
+ * @returns {Promise<Array>} [{ activity, score, reasons }] best first
+ */
+const suggestForKid = async (kid, { limit = 10, hemisphere = 'north', now = new Date(), locale } = {}) => {
+  const since = new Date(now.getTime() - RECENT_DAYS * 24 * 60 * 60 * 1000);
+
+  const [ideas, recentSessions] = await Promise.all([
+    ActivityIdea.find({
+      active: true,
+      minAge: { $lte: kid.age },
+      maxAge: { $gte: kid.age },
+      _id: { $nin: kid.hiddenSuggestions || [] }
+    }),
+    ActivitySession.find({ kid: kid._id, startedAt: { $gte: since } })
+      .select('type activityIdea')
+  ]);
+
+  const context = {
+    interests: new Set((kid.interests || []).map(tag => tag.toLowerCase().trim())),
+    season: seasonOf(now, hemisphere),
+    locale,
+    recentIdeas: new Set(recentSessions.filter(s => s.activityIdea).map(s => String(s.activityIdea))),
+    recentTypes: recentSessions.reduce(
+      (counts, s) => counts.set(s.type, (counts.get(s.type) || 0) + 1),
+      new Map()
+    )
+  };
+
+  return ideas
+    .map(idea => ({ activity: idea, ...scoreIdea(idea, context) }))
+    // Ties go to shorter activities, they're easier to start
+    .sort((a, b) => b.score - a.score || a.activity.durationMinutes - b.activity.durationMinutes)
+    .slice(0, limit);
+};
+
+module.exports = {
+  seasonOf,
+  scoreIdea,
+  suggestForKid
+};
@@ -0,0 +1,37 @@
+require('dotenv').config();
+const connectDB = require('./config/db');
+const { createWorker } = require('./services/jobs/worker');
+const { handlers, schedules } = require('./jobs');
+const { logger } = require('./services/logger');
+
+/**
+ * Background job worker
+ *
+ * Runs queued and recurring jobs (reminders, streaks, cleanup) outside the
+ * API process. Start as many as needed: jobs are locked while they run, so
+ * each one runs once.
+ *
+ * Usage: npm run worker
+ */
+const start = async () => {
+  await connectDB();
+
+  const worker = createWorker({
+    handlers,
+    schedules,
+    pollMs: Number(process.env.JOB_POLL_MS) || undefined
+  });
+  worker.start();
+  logger.info('Job worker started', { workerId: worker.id });
+
+  const shutdown = async () => {
+    logger.info('Stopping job worker', { workerId: worker.id });
+    await worker.stop();
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+};
+
+start();
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const app = require('../src/app');
+const AuditLog = require('../src/models/AuditLog');
+const { createParent, createKidUser, addKid, joinAsCoParent } = require('./helpers/users');
+
+const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+const auditLog = async (parent, query = {}) => {
+  const res = await request(app)
+    .get('/api/audit')
+    .query(query)
+    .set(auth(parent))
+    .expect(200);
+
+  return res.body.data;
+};
+
+describe('audit trail', () => {
+  it('records successful and failed logins', async () => {
+    const parent = await createParent();
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: parent.email, password: 'wrong-password' })
+      .expect(401);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'TouchGrass/1.0')
+      .send({ email: parent.email, password: parent.password })
+      .expect(200);
+
+    const [succeeded, failed] = await auditLog(parent, { limit: 2 });
+
+    expect(succeeded).toMatchObject({
+      action: 'login_succeeded',
+      actor: { email: parent.email, role: 'parent' },
+      userAgent: 'TouchGrass/1.0',
+      requestId: login.headers['x-request-id']
+    });
+    expect(failed).toMatchObject({
+      action: 'login_failed',
+      actor: { email: parent.email },
+      details: { reason: 'wrong_password' }
+    });
+    expect(JSON.stringify(failed.details)).not.toContain(parent.email);
+    expect(JSON.stringify(failed)).not.toContain('wrong-password');
+  });
+
+  it('records logins with unknown emails outside any family', async () => {
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: 'password123' })
+      .expect(401);
+
+    const entry = await AuditLog.findOne({ action: 'login_failed' }).lean();
+    expect(entry).toMatchObject({ actor: null, familyOwners: [] });
+    expect(entry.details).toEqual({ reason: 'unknown_email', emailHash: AuditLog.hashEmail('Nobody@example.com') });
+    expect(JSON.stringify(entry)).not.toContain('nobody@');
+  });
+
+  it('records kid profile changes', async () => {
+    const parent = await createParent();
+    const kid = await addKid(parent, { name: 'Alex' });
+
+    await request(app).put(`/api/kids/${kid._id}`).set(auth(parent)).send({ age: 9, name: 'Alex' }).expect(200);
+    await request(app).delete(`/api/kids/${kid._id}`).set(auth(parent)).expect(200);
+
+    const entries = await auditLog(parent, { kidId: kid._id });
+
+    expect(entries.map(entry => entry.action)).toEqual(['kid_deleted', 'kid_updated', 'kid_created']);
+    expect(entries[1].details).toEqual({ changes: ['age'] });
+    expect(entries[0].details).toEqual({ name: 'Alex' });
+  });
+
+  it('records family code use and password changes', async () => {
+    const parent = await createParent();
+    const kid = await createKidUser(parent);
+
+    await request(app)
+      .put('/api/auth/password')
+      .set(auth(kid))
+      .send({ currentPassword: kid.password, newPassword: 'newpassword123' })
+      .expect(200);
+
+    const [codeUsed] = await auditLog(parent, { action: 'family_code_used' });
+    expect(codeUsed.actor).toMatchObject({ email: kid.email, role: 'kid' });
+
+    const [passwordChanged] = await auditLog(parent, { action: 'password_changed' });
+    expect(passwordChanged).toMatchObject({ actor: { email: kid.email }, details: { via: 'change' } });
+  });
+
+  it('only shows the parent\'s own family', async () => {
+    const parent = await createParent();
+    const other = await createParent();
+    await addKid(other);
+
+    expect(await auditLog(parent, { action: 'kid_created' })).toEqual([]);
+    expect(await auditLog(other, { action: 'kid_created' })).toHaveLength(1);
+  });
+
+  it('shares the family\'s entries with co-parents and files their logins under it', async () => {
+    const owner = await createParent();
+    const coParent = await createParent();
+    await joinAsCoParent(owner, coParent);
+    await addKid(owner);
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: coParent.email, password: coParent.password })
+      .expect(200);
+
+    expect(await auditLog(coParent, { action: 'kid_created' })).toHaveLength(1);
+
+    const logins = await auditLog(owner, { action: 'login_succeeded', userId: coParent.id });
+    expect(logins).toHaveLength(1);
+    expect(logins[0].actor).toMatchObject({ email: coParent.email });
+  });
+
+  it('is for parents only', async () => {
+    const parent = await createParent();
+    const kid = await createKidUser(parent);
+
+    await request(app).get('/api/audit').set(auth(kid)).expect(403);
+  });
+});
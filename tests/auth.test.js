@@ -0,0 +1,254 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Kid = require('../src/models/Kid');
+const { lastMessageTo } = require('./helpers/mail');
+const { uniqueEmail, createParent, createKidUser } = require('./helpers/users');
+
+describe('POST /api/auth/signup', () => {
+  it('signs up a parent and emails a verification link', async () => {
+    const email = uniqueEmail('parent');
+
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ email, password: 'password123', role: 'parent' })
+      .expect(201);
+
+    expect(res.body.success).toBe(true);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+    expect(res.body.data).toMatchObject({ email, role: 'parent', emailVerified: false });
+
+    expect(lastMessageTo(email).text).toMatch(/verify-email\//);
+
+    const user = await User.findOne({ email }).select('+password');
+    expect(user.password).not.toBe('password123');
+  });
+
+  it('signs up a kid with a family code and links their profile', async () => {
+    const parent = await createParent();
+    const email = uniqueEmail('kid');
+
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ email, password: 'password123', role: 'kid', familyCode: parent.familyCode, name: 'Sam', age: 9 })
+      .expect(201);
+
+    expect(res.body.data).toMatchObject({ email, role: 'kid', name: 'Sam', age: 9 });
+    expect(String(res.body.data.parentId)).toBe(String(parent.id));
+
+    const kid = await Kid.findById(res.body.data.kidId);
+    expect(String(kid.parent)).toBe(String(parent.id));
+    expect(String(kid.user)).toBe(String(res.body.data.id));
+
+    const parentUser = await User.findById(parent.id);
+    expect(parentUser.kids.map(String)).toContain(String(kid._id));
+  });
+
+  it('rejects a kid signup with an invalid family code', async () => {
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ email: uniqueEmail('kid'), password: 'password123', role: 'kid', familyCode: 'NOPE99', name: 'Sam', age: 9 })
+      .expect(400);
+
+    expect(res.body).toEqual({
+      success: false,
+      code: 'FAMILY_CODE_INVALID',
+      message: 'Invalid family code. Please check with your parent.'
+    });
+    expect(await Kid.countDocuments()).toBe(0);
+  });
+
+  it('rejects a kid signup without a family code', async () => {
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ email: uniqueEmail('kid'), password: 'password123', role: 'kid', name: 'Sam', age: 9 })
+      .expect(400);
+
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.message).toBe('familyCode is required');
+    expect(res.body.errors).toEqual([{ field: 'familyCode', in: 'body', message: 'is required' }]);
+  });
+
+  it('rejects a kid signup with an age out of range', async () => {
+    const parent = await createParent();
+
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ email: uniqueEmail('kid'), password: 'password123', role: 'kid', familyCode: parent.familyCode, name: 'Sam', age: 40 })
+      .expect(400);
+
+    expect(res.body.errors).toEqual([{ field: 'age', in: 'body', message: 'cannot exceed 18' }]);
+    expect(await Kid.countDocuments()).toBe(0);
+  });
+
+  it('rejects a family code whose parent has not verified their email', async () => {
+    const parent = await createParent({ verified: false });
+    const { familyCode } = await User.findById(parent.id);
+
+    await request(app)
+      .post('/api/auth/signup')
+      .send({ email: uniqueEmail('kid'), password: 'password123', role: 'kid', familyCode, name: 'Sam', age: 9 })
+      .expect(403);
+
+    expect(await Kid.countDocuments()).toBe(0);
+  });
+
+  it('rejects a duplicate email', async () => {
+    const parent = await createParent();
+
+    await request(app)
+      .post('/api/auth/signup')
+      .send({ email: parent.email, password: 'password123', role: 'parent' })
+      .expect(409);
+  });
+
+  it('rejects a short password', async () => {
+    await request(app)
+      .post('/api/auth/signup')
+      .send({ email: uniqueEmail('parent'), password: '123', role: 'parent' })
+      .expect(400);
+  });
+
+  it('gives the family code use back when the kid can\'t be saved', async () => {
+    const parent = await createParent();
+    const save = jest.spyOn(User.prototype, 'save').mockRejectedValueOnce(new Error('Write failed'));
+
+    await request(app)
+      .post('/api/auth/signup')
+      .send({ email: uniqueEmail('kid'), password: 'password123', role: 'kid', familyCode: parent.familyCode, name: 'Sam', age: 9 })
+      .expect(500);
+    save.mockRestore();
+
+    const { familyCodeSettings } = await User.findById(parent.id);
+    expect(familyCodeSettings.uses).toBe(0);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('logs in with the right password', async () => {
+    const parent = await createParent();
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: parent.email, password: parent.password })
+      .expect(200);
+
+    expect(res.body.success).toBe(true);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.data.email).toBe(parent.email);
+  });
+
+  it('rejects a wrong password', async () => {
+    const parent = await createParent();
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: parent.email, password: 'wrong-password' })
+      .expect(401);
+
+    expect(res.body.message).toBe('Invalid email or password');
+  });
+
+  it('rejects an unknown email with the same message', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: uniqueEmail('nobody'), password: 'password123' })
+      .expect(401);
+
+    expect(res.body.message).toBe('Invalid email or password');
+  });
+
+  it('requires email and password', async () => {
+    await request(app)
+      .post('/api/auth/login')
+      .send({})
+      .expect(400);
+  });
+});
+
+describe('account lockout', () => {
+  it('locks the account after 5 wrong passwords, even for the right one', async () => {
+    const parent = await createParent();
+
+    for (let i = 0; i < 4; i++) {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: parent.email, password: 'wrong-password' })
+        .expect(401);
+    }
+
+    const locked = await request(app)
+      .post('/api/auth/login')
+      .send({ email: parent.email, password: 'wrong-password' })
+      .expect(429);
+
+    expect(locked.body.code).toBe('AUTH_ACCOUNT_LOCKED');
+    expect(locked.body.retryAfter).toBeGreaterThan(0);
+    expect(locked.headers['retry-after']).toBe(String(locked.body.retryAfter));
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: parent.email, password: parent.password })
+      .expect(429);
+
+    expect(res.body.code).toBe('AUTH_ACCOUNT_LOCKED');
+  });
+});
+
+describe('GET /api/auth/me', () => {
+  it('returns the parent with their family code and kids', async () => {
+    const parent = await createParent();
+    await createKidUser(parent, { name: 'Sam' });
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${parent.token}`)
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({ email: parent.email, role: 'parent', emailVerified: true });
+    expect(res.body.data.familyCode).toEqual(expect.any(String));
+    expect(res.body.data.kids).toHaveLength(1);
+  });
+
+  it('hides the family code until the parent is verified', async () => {
+    const parent = await createParent({ verified: false });
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${parent.token}`)
+      .expect(200);
+
+    expect(res.body.data.familyCode).toBeUndefined();
+  });
+
+  it('returns the kid with their profile', async () => {
+    const parent = await createParent();
+    const kid = await createKidUser(parent, { name: 'Sam', age: 9 });
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${kid.token}`)
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({ email: kid.email, role: 'kid', age: 9 });
+    expect(String(res.body.data.kidId)).toBe(String(kid.kidId));
+  });
+
+  it('requires a token', async () => {
+    const res = await request(app).get('/api/auth/me').expect(401);
+
+    expect(res.body.code).toBe('AUTH_TOKEN_MISSING');
+    expect(res.body.message).toBe('No authorization token provided');
+  });
+
+  it('rejects an invalid token', async () => {
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', 'Bearer not-a-token')
+      .expect(401);
+
+    expect(res.body.code).toBe('AUTH_TOKEN_INVALID');
+    expect(res.body.message).toBe('Invalid token');
+  });
+});
@@ -0,0 +1,85 @@
+const request = require('supertest');
+const app = require('../src/app');
+const checkRole = require('../src/middleware/checkRole');
+const Kid = require('../src/models/Kid');
+const { createParent, createKidUser } = require('./helpers/users');
+
+const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+describe('checkRole', () => {
+  let parent;
+  let kid;
+
+  beforeEach(async () => {
+    parent = await createParent();
+    kid = await createKidUser(parent);
+  });
+
+  it('denies kids the parent-only kid routes', async () => {
+    const res = await request(app)
+      .get('/api/kids')
+      .set(auth(kid))
+      .expect(403);
+
+    expect(res.body).toEqual({
+      success: false,
+      code: 'ROLE_NOT_ALLOWED',
+      message: 'Access denied. Only parent can perform this action'
+    });
+  });
+
+  it('denies kids changes to their own profile', async () => {
+    await request(app)
+      .put(`/api/kids/${kid.kidId}`)
+      .set(auth(kid))
+      .send({ age: 18 })
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/kids/${kid.kidId}`)
+      .set(auth(kid))
+      .expect(403);
+
+    expect((await Kid.findById(kid.kidId)).age).toBe(9);
+  });
+
+  it('denies kids adding rewards', async () => {
+    await request(app)
+      .post('/api/rewards')
+      .set(auth(kid))
+      .send({ name: 'Ice cream', cost: 10 })
+      .expect(403);
+  });
+
+  it('denies parents the kid-only routes', async () => {
+    const res = await request(app)
+      .post('/api/redemptions')
+      .set(auth(parent))
+      .send({})
+      .expect(403);
+
+    expect(res.body.message).toBe('Access denied. Only kid can perform this action');
+  });
+
+  it('lists every allowed role in the denial', () => {
+    const next = jest.fn();
+
+    expect(() => checkRole('kid', 'parent')({ user: { role: 'admin' } }, {}, next)).toThrow(
+      expect.objectContaining({
+        status: 403,
+        code: 'ROLE_NOT_ALLOWED',
+        message: 'Access denied. Only kid or parent can perform this action'
+      })
+    );
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('rejects requests that were not authenticated', () => {
+    const next = jest.fn();
+
+    expect(() => checkRole('parent')({}, {}, next)).toThrow(
+      expect.objectContaining({ status: 401, code: 'AUTH_REQUIRED' })
+    );
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+const request = require('supertest');
+const app = require('../src/app');
+const validate = require('../src/middleware/validate');
+const { object } = require('../src/schemas/common');
+
+describe('GET /api/docs/openapi.json', () => {
+  let spec;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .get('/api/docs/openapi.json')
+      .expect(200);
+    spec = res.body;
+  });
+
+  it('documents every route', () => {
+    expect(spec.openapi).toBe('3.1.0');
+    expect(Object.keys(spec.paths)).toEqual(expect.arrayContaining([
+      '/api/auth/signup',
+      '/api/kids/{id}',
+      '/api/kids/{id}/suggestions/{activityId}/hide',
+      '/api/family/members/{userId}',
+      '/api/checkins'
+    ]));
+  });
+
+  it('documents request bodies, parameters and guards from the schemas', () => {
+    const addKid = spec.paths['/api/kids'].post;
+    expect(addKid.operationId).toBe('addKid');
+    expect(addKid.security).toEqual([{ bearerAuth: [] }]);
+    expect(addKid.description).toContain('**Roles:** parent');
+    expect(addKid.description).toContain('Requires a verified email.');
+    expect(addKid.requestBody.content['application/json'].schema.required).toEqual(['name', 'age']);
+    expect(Object.keys(addKid.responses)).toEqual(expect.arrayContaining(['201', '400', '401', '403']));
+
+    const getKid = spec.paths['/api/kids/{id}'].get;
+    expect(getKid.parameters).toEqual([
+      expect.objectContaining({ name: 'id', in: 'path', required: true })
+    ]);
+
+    const uploadAvatar = spec.paths['/api/kids/{id}/avatar'].put;
+    expect(uploadAvatar.requestBody.content['multipart/form-data'].schema.properties.photo)
+      .toEqual({ type: 'string', format: 'binary' });
+  });
+
+  it('leaves public routes without security', () => {
+    expect(spec.paths['/api/auth/login'].post.security).toBeUndefined();
+  });
+});
+
+describe('GET /api/docs', () => {
+  it('serves the interactive docs', async () => {
+    const res = await request(app)
+      .get('/api/docs/')
+      .expect(200);
+
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+  });
+});
+
+describe('validate', () => {
+  const run = (schema, req) => {
+    const next = jest.fn();
+    try {
+      validate(schema)({ params: {}, query: {}, ...req }, {}, next);
+    } catch (error) {
+      return { error, next };
+    }
+    return { next };
+  };
+
+  it('passes valid requests through untouched', () => {
+    const schema = { query: object({ limit: { type: 'integer', minimum: 1 } }) };
+    const req = { query: { limit: '5' } };
+    const { error, next } = run(schema, req);
+
+    expect(error).toBeUndefined();
+    expect(next).toHaveBeenCalled();
+    expect(req.query.limit).toBe('5');
+  });
+
+  it('rejects the request with every field error', () => {
+    const schema = {
+      params: object({ id: { type: 'string', format: 'object-id' } }, ['id']),
+      body: object({ name: { type: 'string', minLength: 2 }, age: { type: 'integer' } }, ['name', 'age'])
+    };
+    const { error, next } = run(schema, { params: { id: 'nope' }, body: { name: 'A', age: '8' } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(error).toMatchObject({
+      status: 400,
+      code: 'VALIDATION_FAILED',
+      message: 'id must be a valid ID, name must be at least 2 characters long, age must be a whole number',
+      errors: [
+        { field: 'id', in: 'params', message: 'must be a valid ID' },
+        { field: 'name', in: 'body', message: 'must be at least 2 characters long' },
+        { field: 'age', in: 'body', message: 'must be a whole number' }
+      ]
+    });
+  });
+
+  it('treats a missing body as empty', () => {
+    const { error } = run({ body: object({ email: { type: 'string' } }, ['email']) }, {});
+
+    expect(error.errors).toEqual([{ field: 'email', in: 'body', message: 'is required' }]);
+  });
+});
@@ -0,0 +1,7 @@
+// Environment for the test run, loaded before any module
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_EXPIRE = '15m';
+process.env.PUSH_MODE = 'log';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOG_LEVEL = 'silent';
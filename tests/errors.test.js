@@ -0,0 +1,119 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const Challenge = require('../src/models/Challenge');
+const { NotFoundError, TooManyRequestsError } = require('../src/errors');
+const { setLevel, setOutput } = require('../src/services/logger');
+
+// App whose only route throws the given error
+const throwing = (error) => {
+  const errorApp = express();
+  errorApp.get('/', async () => {
+    throw error;
+  });
+  errorApp.use(errorHandler);
+  return errorApp;
+};
+
+describe('error handler', () => {
+  let logged;
+
+  beforeEach(() => {
+    logged = [];
+    setLevel('error');
+    setOutput(line => logged.push(JSON.parse(line)));
+  });
+
+  afterEach(() => {
+    setLevel();
+    setOutput();
+  });
+
+  it('responds with the status and code of an AppError', async () => {
+    const res = await request(throwing(new NotFoundError('KID_NOT_FOUND', 'Kid not found')))
+      .get('/')
+      .expect(404);
+
+    expect(res.body).toEqual({ success: false, code: 'KID_NOT_FOUND', message: 'Kid not found' });
+  });
+
+  it('sends Retry-After for rate limits', async () => {
+    const res = await request(throwing(new TooManyRequestsError('RATE_LIMITED', 'Slow down', Date.now() + 30000)))
+      .get('/')
+      .expect(429);
+
+    expect(res.headers['retry-after']).toBe('30');
+    expect(res.body).toMatchObject({ code: 'RATE_LIMITED', retryAfter: 30 });
+  });
+
+  it('turns Mongoose validation errors into field errors', async () => {
+    const error = new mongoose.Error.ValidationError();
+    error.addError('age', new mongoose.Error.ValidatorError({ path: 'age', message: 'Age cannot exceed 18' }));
+
+    const res = await request(throwing(error))
+      .get('/')
+      .expect(400);
+
+    expect(res.body).toEqual({
+      success: false,
+      code: 'VALIDATION_FAILED',
+      message: 'Age cannot exceed 18',
+      errors: [{ field: 'age', message: 'Age cannot exceed 18' }]
+    });
+  });
+
+  it('lists the allowed values of enum errors', async () => {
+    const error = new Challenge({ proofType: 'video' }).validateSync(['proofType']);
+
+    const res = await request(throwing(error))
+      .get('/')
+      .expect(400);
+
+    expect(res.body.errors).toEqual([
+      { field: 'proofType', message: 'Proof type must be one of: photo, location, or parent' }
+    ]);
+  });
+
+  it('reports duplicate keys as conflicts', async () => {
+    const error = Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { slug: 1 } });
+
+    const res = await request(throwing(error))
+      .get('/')
+      .expect(409);
+
+    expect(res.body).toMatchObject({ code: 'ALREADY_EXISTS', message: 'slug already exists' });
+  });
+
+  it('hides unexpected errors', async () => {
+    const res = await request(throwing(new Error('connection string with a password')))
+      .get('/')
+      .expect(500);
+
+    expect(res.body).toEqual({ success: false, code: 'INTERNAL_ERROR', message: 'Internal server error' });
+    expect(logged).toEqual([
+      expect.objectContaining({ level: 'error', msg: 'Request error', error: expect.objectContaining({ message: 'connection string with a password' }) })
+    ]);
+  });
+});
+
+describe('app errors', () => {
+  it('responds 404 for unknown routes', async () => {
+    const res = await request(app)
+      .get('/api/nothing-here')
+      .expect(404);
+
+    expect(res.body.code).toBe('ROUTE_NOT_FOUND');
+  });
+
+  it('rejects malformed JSON', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":')
+      .expect(400);
+
+    expect(res.body.code).toBe('INVALID_JSON');
+  });
+});
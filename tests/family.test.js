@@ -0,0 +1,135 @@
+const request = require('supertest');
+const app = require('../src/app');
+const Family = require('../src/models/Family');
+const Kid = require('../src/models/Kid');
+const User = require('../src/models/User');
+const { createParent, joinAsCoParent, uniqueEmail } = require('./helpers/users');
+
+const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+/**
+ * Sign up a kid with a family code that requires approval
+ * @returns {Promise<string>} Join request ID
+ */
+const requestToJoin = async (parent) => {
+  await request(app)
+    .put('/api/family/code')
+    .set(auth(parent))
+    .send({ requireApproval: true })
+    .expect(200);
+
+  const res = await request(app)
+    .post('/api/auth/signup')
+    .send({
+      email: uniqueEmail('kid'),
+      password: 'password123',
+      role: 'kid',
+      familyCode: parent.familyCode,
+      name: 'Sam',
+      age: 9
+    })
+    .expect(202);
+
+  return res.body.data.joinRequestId;
+};
+
+describe('POST /api/family/code/regenerate', () => {
+  it('drops an expiry that has already passed', async () => {
+    const parent = await createParent();
+    await User.updateOne({ _id: parent.id }, { 'familyCodeSettings.expiresAt': new Date(Date.now() - 1000) });
+
+    const res = await request(app)
+      .post('/api/family/code/regenerate')
+      .set(auth(parent))
+      .send({})
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({ active: true, expiresAt: null });
+  });
+
+  it('keeps an expiry that is still ahead', async () => {
+    const parent = await createParent();
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    await User.updateOne({ _id: parent.id }, { 'familyCodeSettings.expiresAt': expiresAt });
+
+    const res = await request(app)
+      .post('/api/family/code/regenerate')
+      .set(auth(parent))
+      .send({})
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({ active: true, expiresAt: expiresAt.toISOString() });
+  });
+});
+
+describe('POST /api/family/join-requests/:id/approve', () => {
+  it('creates the kid once when approved twice at the same time', async () => {
+    const parent = await createParent();
+    const joinRequestId = await requestToJoin(parent);
+
+    const responses = await Promise.all([1, 2].map(() => request(app)
+      .post(`/api/family/join-requests/${joinRequestId}/approve`)
+      .set(auth(parent))));
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 400]);
+    expect(responses.find(res => res.status === 400).body.code).toBe('JOIN_REQUEST_ALREADY_HANDLED');
+    expect(await Kid.countDocuments({ parent: parent.id })).toBe(1);
+  });
+
+  it('lets a co-parent list and approve join requests', async () => {
+    const owner = await createParent();
+    const coParent = await createParent();
+    await joinAsCoParent(owner, coParent);
+    const joinRequestId = await requestToJoin(owner);
+
+    const list = await request(app)
+      .get('/api/family/join-requests?status=pending')
+      .set(auth(coParent))
+      .expect(200);
+    expect(list.body.data.map(joinRequest => joinRequest._id)).toEqual([joinRequestId]);
+
+    await request(app)
+      .post(`/api/family/join-requests/${joinRequestId}/approve`)
+      .set(auth(coParent))
+      .expect(200);
+
+    expect(await Kid.countDocuments({ parent: owner.id })).toBe(1);
+  });
+
+  it('hides join requests from other parents', async () => {
+    const owner = await createParent();
+    const stranger = await createParent();
+    const joinRequestId = await requestToJoin(owner);
+
+    const res = await request(app)
+      .post(`/api/family/join-requests/${joinRequestId}/approve`)
+      .set(auth(stranger))
+      .expect(404);
+
+    expect(res.body.code).toBe('JOIN_REQUEST_NOT_FOUND');
+  });
+});
+
+describe('POST /api/family/invites/accept', () => {
+  it('lets only one parent accept an invite at the same time', async () => {
+    const owner = await createParent();
+    const parents = [await createParent(), await createParent()];
+
+    const invite = await request(app)
+      .post('/api/family/invites')
+      .set(auth(owner))
+      .send({ role: 'caregiver' })
+      .expect(201);
+
+    const responses = await Promise.all(parents.map(parent => request(app)
+      .post('/api/family/invites/accept')
+      .set(auth(parent))
+      .send({ code: invite.body.data.code })));
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 400]);
+    expect(responses.find(res => res.status === 400).body.code).toBe('INVITE_CODE_INVALID');
+
+    const family = await Family.findOne({ owner: owner.id });
+    expect(family.members).toHaveLength(2);
+  });
+});
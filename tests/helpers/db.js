@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+/**
+ * In-memory MongoDB for tests
+ */
+let mongod = null;
+
+const connect = async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+};
+
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const close = async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+};
+
+module.exports = {
+  connect,
+  clear,
+  close
+};
@@ -0,0 +1,31 @@
+const { setTransport } = require('../../src/services/mailer');
+
+/**
+ * Mail transport that keeps sent messages in memory
+ */
+const sent = [];
+
+setTransport({
+  send: async (message) => {
+    sent.push(message);
+  }
+});
+
+/**
+ * Get the last message sent to an address
+ * @param {string} to - Recipient
+ * @returns {Object|undefined}
+ */
+const lastMessageTo = (to) => {
+  return [...sent].reverse().find(message => message.to === to);
+};
+
+const clear = () => {
+  sent.length = 0;
+};
+
+module.exports = {
+  sent,
+  lastMessageTo,
+  clear
+};
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { lastMessageTo } = require('./mail');
+
+/**
+ * Test fixtures: users created through the API
+ */
+
+let counter = 0;
+const uniqueEmail = (prefix) => `${prefix}${++counter}@example.com`;
+
+/**
+ * Sign up a parent, verifying their email through the link in the
+ * verification email unless `verified` is false
+ * @param {Object} [options] - { email, password, verified }
+ * @returns {Promise<Object>} { token, id, email, password, familyCode }
+ */
+const createParent = async ({ email = uniqueEmail('parent'), password = 'password123', verified = true } = {}) => {
+  const res = await request(app)
+    .post('/api/auth/signup')
+    .send({ email, password, role: 'parent' })
+    .expect(201);
+
+  const parent = { token: res.body.token, id: res.body.data.id, email, password };
+
+  if (verified) {
+    const [, token] = lastMessageTo(email).text.match(/verify-email\/([a-f0-9]+)/);
+    await request(app).get(`/api/auth/verify-email/${token}`).expect(200);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${parent.token}`)
+      .expect(200);
+    parent.familyCode = me.body.data.familyCode;
+  }
+
+  return parent;
+};
+
+/**
+ * Sign up a kid with a parent's family code
+ * @param {Object} parent - From createParent()
+ * @param {Object} [details] - { email, name, age }
+ * @returns {Promise<Object>} { token, id, kidId, email, password }
+ */
+const createKidUser = async (parent, { email = uniqueEmail('kid'), name = 'Sam', age = 9 } = {}) => {
+  const password = 'password123';
+  const res = await request(app)
+    .post('/api/auth/signup')
+    .send({ email, password, role: 'kid', familyCode: parent.familyCode, name, age })
+    .expect(201);
+
+  return {
+    token: res.body.token,
+    id: res.body.data.id,
+    kidId: res.body.data.kidId,
+    email,
+    password
+  };
+};
+
+/**
+ * Add a kid profile as a parent
+ * @param {Object} parent - From createParent()
+ * @param {Object} [details] - Kid fields
+ * @returns {Promise<Object>} Kid as returned by the API
+ */
+const addKid = async (parent, details = {}) => {
+  const res = await request(app)
+    .post('/api/kids')
+    .set('Authorization', `Bearer ${parent.token}`)
+    .send({ name: 'Alex', age: 8, interests: ['football'], ...details })
+    .expect(201);
+
+  return res.body.data;
+};
+
+/**
+ * Make a parent co-parent of another parent's family
+ * @param {Object} owner - From createParent()
+ * @param {Object} coParent - From createParent()
+ */
+const joinAsCoParent = async (owner, coParent) => {
+  const invite = await request(app)
+    .post('/api/family/invites')
+    .set('Authorization', `Bearer ${owner.token}`)
+    .send({ role: 'co-parent' })
+    .expect(201);
+
+  await request(app)
+    .post('/api/family/invites/accept')
+    .set('Authorization', `Bearer ${coParent.token}`)
+    .send({ code: invite.body.data.code })
+    .expect(200);
+};
+
+module.exports = {
+  uniqueEmail,
+  createParent,
+  createKidUser,
+  addKid,
+  joinAsCoParent
+};
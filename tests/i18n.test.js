@@ -0,0 +1,164 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { negotiateLocale, translate } = require('../src/services/i18n');
+const es = require('../src/services/i18n/locales/es.json');
+const sw = require('../src/services/i18n/locales/sw.json');
+const { scoreIdea } = require('../src/services/suggestions');
+const { createParent } = require('./helpers/users');
+const { lastMessageTo } = require('./helpers/mail');
+
+const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+const placeholders = (message) => (message.match(/\{\w+\}/g) || []).sort();
+
+describe('i18n service', () => {
+  it('negotiates the locale from Accept-Language', () => {
+    expect(negotiateLocale('es-MX,es;q=0.9,en;q=0.8')).toBe('es');
+    expect(negotiateLocale('fr, sw;q=0.8, es;q=0.5')).toBe('sw');
+    expect(negotiateLocale('en-US;q=0, es;q=0.1')).toBe('es');
+    expect(negotiateLocale('de')).toBe('en');
+    expect(negotiateLocale(undefined)).toBe('en');
+  });
+
+  it('translates with placeholders and falls back to English', () => {
+    expect(translate('es', 'cannot exceed {limit} characters', { limit: 50 }))
+      .toBe('no puede tener más de 50 caracteres');
+    expect(translate('sw', 'Access denied. Only {roles} can perform this action', { roles: ['kid', 'parent'] }))
+      .toBe('Ufikiaji umekataliwa. Ni kid au parent pekee anayeweza kufanya kitendo hiki');
+    expect(translate('es', 'Not in any catalog')).toBe('Not in any catalog');
+    expect(translate('fr', 'Kid not found')).toBe('Kid not found');
+  });
+
+  it('writes suggestion reasons in the given locale', () => {
+    const idea = { _id: 'idea', interests: ['football'], setting: 'outdoor', seasons: ['summer'], activityType: 'sports' };
+
+    const { reasons } = scoreIdea(idea, {
+      interests: new Set(['football']),
+      season: 'summer',
+      recentIdeas: new Set(),
+      recentTypes: new Map(),
+      locale: 'es'
+    });
+
+    expect(reasons).toEqual(['Coincide con sus intereses: football', 'Ideal para el verano']);
+  });
+
+  it('has the same messages and placeholders in every catalog', () => {
+    expect(Object.keys(sw).sort()).toEqual(Object.keys(es).sort());
+
+    for (const catalog of [es, sw]) {
+      for (const [message, localized] of Object.entries(catalog)) {
+        expect(placeholders(localized)).toEqual(placeholders(message));
+      }
+    }
+  });
+});
+
+describe('localized responses', () => {
+  it('localizes errors from Accept-Language', async () => {
+    const res = await request(app)
+      .get('/api/kids')
+      .set('Accept-Language', 'es-MX,es;q=0.9')
+      .expect(401);
+
+    expect(res.headers['content-language']).toBe('es');
+    expect(res.body).toEqual({
+      success: false,
+      code: 'AUTH_TOKEN_MISSING',
+      message: 'No se proporcionó un token de autorización'
+    });
+  });
+
+  it('localizes field errors', async () => {
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .set('Accept-Language', 'sw')
+      .send({ email: 'alex@example.com', password: '123' })
+      .expect(400);
+
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.errors).toEqual([
+      { field: 'password', in: 'body', message: 'lazima iwe na angalau herufi 6' }
+    ]);
+  });
+
+  it('localizes success messages', async () => {
+    const parent = await createParent();
+
+    const res = await request(app)
+      .put('/api/family/settings')
+      .set(auth(parent))
+      .set('Accept-Language', 'sw')
+      .send({ name: 'The Otienos' })
+      .expect(200);
+
+    expect(res.body.message).toBe('Mipangilio ya familia imesasishwa');
+  });
+
+  it('prefers the user\'s saved locale', async () => {
+    const parent = await createParent();
+
+    const updated = await request(app)
+      .put('/api/auth/locale')
+      .set(auth(parent))
+      .send({ locale: 'sw' })
+      .expect(200);
+
+    expect(updated.body).toMatchObject({ message: 'Lugha imesasishwa', data: { locale: 'sw' } });
+
+    const res = await request(app)
+      .post('/api/kids')
+      .set(auth(parent))
+      .set('Accept-Language', 'es')
+      .send({ name: 'Alex', age: 8 })
+      .expect(201);
+
+    expect(res.headers['content-language']).toBe('sw');
+    expect(res.body.message).toBe('Mtoto ameongezwa kwa mafanikio');
+
+    const me = await request(app).get('/api/auth/me').set(auth(parent)).expect(200);
+    expect(me.body.data.locale).toBe('sw');
+  });
+
+  it('emails in the user\'s saved locale', async () => {
+    const parent = await createParent();
+
+    await request(app).put('/api/auth/locale').set(auth(parent)).send({ locale: 'sw' }).expect(200);
+
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: parent.email })
+      .expect(200);
+
+    expect(lastMessageTo(parent.email).subject).toBe('Weka upya nenosiri lako la Touch Grass');
+  });
+
+  it('follows Accept-Language again once the locale is cleared', async () => {
+    const parent = await createParent();
+
+    await request(app).put('/api/auth/locale').set(auth(parent)).send({ locale: 'sw' }).expect(200);
+
+    const res = await request(app)
+      .put('/api/auth/locale')
+      .set(auth(parent))
+      .set('Accept-Language', 'es')
+      .send({ locale: null })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ message: 'Idioma actualizado', data: { locale: null } });
+  });
+
+  it('rejects unsupported locales', async () => {
+    const parent = await createParent();
+
+    const res = await request(app)
+      .put('/api/auth/locale')
+      .set(auth(parent))
+      .send({ locale: 'fr' })
+      .expect(400);
+
+    expect(res.body.errors).toEqual([
+      { field: 'locale', in: 'body', message: 'must be one of: en, es, sw, or null' }
+    ]);
+  });
+});
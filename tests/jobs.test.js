@@ -0,0 +1,50 @@
+const Job = require('../src/models/Job');
+const Family = require('../src/models/Family');
+const queue = require('../src/services/jobs/queue');
+const { sendFamilyReport } = require('../src/jobs/reports');
+const { createParent } = require('./helpers/users');
+
+// A job whose worker died holding it
+const abandonedJob = (attempts) => Job.create({
+  name: 'reminders.family',
+  status: 'running',
+  attempts,
+  maxAttempts: 3,
+  lockedBy: 'dead-worker',
+  lockedUntil: new Date(Date.now() - 1000)
+});
+
+describe('job queue', () => {
+  it('retries a job whose worker died while attempts remain', async () => {
+    const job = await abandonedJob(2);
+
+    const claimed = await queue.claimNext('worker-1', 60000);
+
+    expect(String(claimed._id)).toBe(String(job._id));
+    expect(claimed).toMatchObject({ status: 'running', lockedBy: 'worker-1', attempts: 3 });
+  });
+
+  it('fails a job whose worker died on its last attempt', async () => {
+    const job = await abandonedJob(3);
+
+    expect(await queue.claimNext('worker-1', 60000)).toBeNull();
+
+    const failed = await Job.findById(job._id);
+    expect(failed.status).toBe('failed');
+    expect(failed.lockedBy).toBeUndefined();
+  });
+});
+
+describe('weekly report jobs', () => {
+  it('queues the report once per parent', async () => {
+    const parent = await createParent();
+    const family = await Family.forOwner(parent.id);
+    const week = '2026-10-12';
+
+    await sendFamilyReport({ familyId: family._id, week });
+    await sendFamilyReport({ familyId: family._id, week });
+
+    const jobs = await Job.find({ name: 'reports.recipient' });
+    expect(jobs.map(job => job.uniqueKey)).toEqual([`reports:${family._id}:${week}:${parent.id}`]);
+  });
+});
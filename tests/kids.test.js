@@ -0,0 +1,252 @@
+const request = require('supertest');
+const app = require('../src/app');
+const Kid = require('../src/models/Kid');
+const User = require('../src/models/User');
+const ActivitySession = require('../src/models/ActivitySession');
+const PointsTransaction = require('../src/models/PointsTransaction');
+const { createParent, createKidUser, addKid } = require('./helpers/users');
+
+const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+describe('POST /api/kids', () => {
+  it('adds a kid to the parent\'s family', async () => {
+    const parent = await createParent();
+
+    const res = await request(app)
+      .post('/api/kids')
+      .set(auth(parent))
+      .send({ name: 'Alex', age: 8, interests: ['football', 'bikes'] })
+      .expect(201);
+
+    expect(res.body.data).toMatchObject({ name: 'Alex', age: 8, interests: ['football', 'bikes'] });
+    expect(String(res.body.data.parent)).toBe(String(parent.id));
+
+    const parentUser = await User.findById(parent.id);
+    expect(parentUser.kids.map(String)).toContain(String(res.body.data._id));
+  });
+
+  it('requires a verified email', async () => {
+    const parent = await createParent({ verified: false });
+
+    await request(app)
+      .post('/api/kids')
+      .set(auth(parent))
+      .send({ name: 'Alex', age: 8, interests: ['football'] })
+      .expect(403);
+
+    expect(await Kid.countDocuments()).toBe(0);
+  });
+
+  it('requires name and age', async () => {
+    const parent = await createParent();
+
+    const res = await request(app)
+      .post('/api/kids')
+      .set(auth(parent))
+      .send({ name: 'Alex' })
+      .expect(400);
+
+    expect(res.body.errors).toEqual([{ field: 'age', in: 'body', message: 'is required' }]);
+  });
+
+  it('adds a kid without interests', async () => {
+    const parent = await createParent();
+
+    const res = await request(app)
+      .post('/api/kids')
+      .set(auth(parent))
+      .send({ name: 'Alex', age: 8 })
+      .expect(201);
+
+    expect(res.body.data.interests).toEqual([]);
+  });
+
+  it('rejects too many interests', async () => {
+    const parent = await createParent();
+
+    const res = await request(app)
+      .post('/api/kids')
+      .set(auth(parent))
+      .send({ name: 'Alex', age: 8, interests: Array.from({ length: 11 }, (_, i) => `interest ${i}`) })
+      .expect(400);
+
+    expect(res.body.message).toBe('interests cannot have more than 10 items');
+  });
+
+  it('rejects an age out of range', async () => {
+    const parent = await createParent();
+
+    await request(app)
+      .post('/api/kids')
+      .set(auth(parent))
+      .send({ name: 'Alex', age: 40, interests: ['football'] })
+      .expect(400);
+  });
+});
+
+describe('GET /api/kids', () => {
+  it('lists only the parent\'s own kids', async () => {
+    const parent = await createParent();
+    const otherParent = await createParent();
+    await addKid(parent, { name: 'Alex' });
+    await addKid(parent, { name: 'Bo' });
+    await addKid(otherParent, { name: 'Cleo' });
+
+    const res = await request(app)
+      .get('/api/kids')
+      .set(auth(parent))
+      .expect(200);
+
+    expect(res.body.count).toBe(2);
+    expect(res.body.data.map(kid => kid.name).sort()).toEqual(['Alex', 'Bo']);
+  });
+});
+
+describe('GET /api/kids/:id', () => {
+  it('returns the parent\'s kid', async () => {
+    const parent = await createParent();
+    const kid = await addKid(parent);
+
+    const res = await request(app)
+      .get(`/api/kids/${kid._id}`)
+      .set(auth(parent))
+      .expect(200);
+
+    expect(res.body.data.name).toBe(kid.name);
+  });
+
+  it('does not return another parent\'s kid', async () => {
+    const parent = await createParent();
+    const otherParent = await createParent();
+    const kid = await addKid(otherParent);
+
+    const res = await request(app)
+      .get(`/api/kids/${kid._id}`)
+      .set(auth(parent))
+      .expect(404);
+
+    expect(res.body.code).toBe('KID_NOT_FOUND');
+    expect(res.body.message).toBe('Kid not found');
+  });
+});
+
+describe('PUT /api/kids/:id', () => {
+  it('updates the parent\'s kid', async () => {
+    const parent = await createParent();
+    const kid = await addKid(parent);
+
+    const res = await request(app)
+      .put(`/api/kids/${kid._id}`)
+      .set(auth(parent))
+      .send({ name: 'Alexa', age: 9, interests: ['swimming'] })
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({ name: 'Alexa', age: 9, interests: ['swimming'] });
+  });
+
+  it('clears interests', async () => {
+    const parent = await createParent();
+    const kid = await addKid(parent);
+
+    const res = await request(app)
+      .put(`/api/kids/${kid._id}`)
+      .set(auth(parent))
+      .send({ interests: [] })
+      .expect(200);
+
+    expect(res.body.data.interests).toEqual([]);
+  });
+
+  it('rejects an invalid kid ID', async () => {
+    const parent = await createParent();
+
+    const res = await request(app)
+      .put('/api/kids/not-an-id')
+      .set(auth(parent))
+      .send({ name: 'Alexa' })
+      .expect(400);
+
+    expect(res.body.errors).toEqual([{ field: 'id', in: 'params', message: 'must be a valid ID' }]);
+  });
+
+  it('does not update another parent\'s kid', async () => {
+    const parent = await createParent();
+    const otherParent = await createParent();
+    const kid = await addKid(otherParent, { name: 'Cleo' });
+
+    await request(app)
+      .put(`/api/kids/${kid._id}`)
+      .set(auth(parent))
+      .send({ name: 'Hijacked' })
+      .expect(404);
+
+    expect((await Kid.findById(kid._id)).name).toBe('Cleo');
+  });
+});
+
+describe('DELETE /api/kids/:id', () => {
+  it('deletes the parent\'s kid and unlinks it', async () => {
+    const parent = await createParent();
+    const kid = await addKid(parent);
+
+    await request(app)
+      .delete(`/api/kids/${kid._id}`)
+      .set(auth(parent))
+      .expect(200);
+
+    expect(await Kid.findById(kid._id)).toBeNull();
+    const parentUser = await User.findById(parent.id);
+    expect(parentUser.kids.map(String)).not.toContain(String(kid._id));
+  });
+
+  it('disables the deleted kid\'s login', async () => {
+    const parent = await createParent();
+    const kidUser = await createKidUser(parent);
+
+    await request(app)
+      .delete(`/api/kids/${kidUser.kidId}`)
+      .set(auth(parent))
+      .expect(200);
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: kidUser.email, password: kidUser.password })
+      .expect(403);
+
+    expect(res.body.code).toBe('ACCOUNT_DISABLED');
+    expect(res.body.message).toBe('This account has been disabled');
+  });
+
+  it('deletes the kid\'s activity and keeps the points ledger', async () => {
+    const parent = await createParent();
+    const kid = await addKid(parent);
+
+    await ActivitySession.create({ kid: kid._id, parent: parent.id, loggedBy: parent.id });
+    await request(app)
+      .post(`/api/kids/${kid._id}/points/adjust`)
+      .set(auth(parent))
+      .send({ amount: 10, note: 'Bonus' })
+      .expect(201);
+
+    await request(app)
+      .delete(`/api/kids/${kid._id}`)
+      .set(auth(parent))
+      .expect(200);
+
+    expect(await ActivitySession.countDocuments({ kid: kid._id })).toBe(0);
+    expect(await PointsTransaction.countDocuments({ kid: kid._id })).toBe(1);
+  });
+
+  it('does not delete another parent\'s kid', async () => {
+    const parent = await createParent();
+    const otherParent = await createParent();
+    const kid = await addKid(otherParent);
+
+    await request(app)
+      .delete(`/api/kids/${kid._id}`)
+      .set(auth(parent))
+      .expect(404);
+
+    expect(await Kid.findById(kid._id)).not.toBeNull();
+  });
+});
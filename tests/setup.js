@@ -0,0 +1,14 @@
+const db = require('./helpers/db');
+const mail = require('./helpers/mail');
+const rateLimitStore = require('../src/services/rateLimit');
+
+// Each test file gets its own in-memory MongoDB, emptied after every test
+beforeAll(db.connect);
+
+afterEach(async () => {
+  await db.clear();
+  mail.clear();
+  rateLimitStore.setStore(rateLimitStore.createMemoryStore());
+});
+
+afterAll(db.close);